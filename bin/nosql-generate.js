@@ -0,0 +1,295 @@
+#!/usr/bin/env node
+/**
+ * NoSQL Generator - Command-Line Tool
+ * Author: Mandela404
+ * Version: 1.0.0
+ * 
+ * Runs the NoSQL generators from js/nosql/ outside the browser:
+ * - Reads JSON from a file or stdin
+ * - Accepts the same options as the UI (database, structure, ids, timestamps, indexes)
+ * - Writes the generated code to stdout, or the code and extra files to a directory
+ * 
+ * Usage: nosql-generate [input.json] --db mongodb --structure nested [options]
+ * (installed by npm install -g . or npm link, or run as node bin/nosql-generate.js)
+ */
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { dirname, join, relative, resolve, isAbsolute, sep } from 'node:path';
+import { parseArgs } from 'node:util';
+import { setLogLevel } from '../js/logger.js';
+
+// Keep informational logs off stdout, which carries the generated code
+setLogLevel('warning');
+
+const { generateDocuments } = await import('../js/nosql/core.js');
+const { getGenerator, getGenerators, getOutputLanguage } = await import('../js/nosql/registry.js');
+
+// Options shared by every generator (mirroring the UI)
+const COMMON_OPTIONS = {
+    db: { type: 'string', short: 'd', default: 'mongodb' },
+    structure: { type: 'string', short: 's', default: 'nested' },
+    'add-ids': { type: 'boolean', default: false },
+    'add-timestamps': { type: 'boolean', default: false },
+    'add-indexes': { type: 'boolean', default: false },
+    naming: { type: 'string', default: 'none' },
+    'collection-names': { type: 'string', default: '' },
+    out: { type: 'string', short: 'o' },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+/**
+ * Convert a camelCase option key to a --kebab-case flag name
+ * @param {string} key - The option key
+ * @returns {string} The flag name
+ */
+function toFlagName(key) {
+    return key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+}
+
+/**
+ * Build the parseArgs option config for a generator's option schema
+ * @param {Object|null} generator - The generator definition
+ * @returns {Object} parseArgs option config
+ */
+function getGeneratorFlags(generator) {
+    const flags = {};
+    
+    if (!generator) {
+        return flags;
+    }
+    
+    generator.options.forEach(option => {
+        flags[toFlagName(option.key)] = { type: option.type === 'checkbox' ? 'boolean' : 'string' };
+    });
+    
+    return flags;
+}
+
+/**
+ * Build the help text
+ * @returns {string} The usage help
+ */
+function getHelpText() {
+    let help = 'Usage: nosql-generate [input.json] [options]\n\n';
+    help += 'Reads JSON from the input file (or stdin) and prints the generated code.\n\n';
+    help += 'Options:\n';
+    help += '  -d, --db <type>           Database type (default: mongodb)\n';
+    help += '  -s, --structure <type>    Document structure (default: nested)\n';
+    help += '      --add-ids             Generate document ids\n';
+    help += '      --add-timestamps      Add createdAt/updatedAt fields\n';
+    help += '      --add-indexes         Add index suggestions\n';
+    help += '      --naming <style>      Collection naming convention: none, camelCase, snake_case, PascalCase\n';
+    help += '      --collection-names <names>\n';
+    help += '                            Explicit names per data path, e.g. "users=people,users.orders=purchases"\n';
+    help += '  -o, --out <dir>           Write the code, extra files and per-collection documents to a directory\n';
+    help += '  -h, --help                Show this help\n';
+    
+    const generators = getGenerators().map(generator => ({
+        generator,
+        flags: generator.options.map(option => `--${toFlagName(option.key)}${option.type === 'checkbox' ? '' : ' <value>'}`)
+    }));
+    
+    // The labels line up two spaces after the longest flag of any generator
+    const width = Math.max(0, ...generators.flatMap(({ flags }) => flags.map(flag => flag.length))) + 2;
+    
+    generators.forEach(({ generator, flags }) => {
+        help += `\n${generator.label} (--db ${generator.id})\n`;
+        help += `  Structures: ${generator.structures.map(structure => structure.value).join(', ')}\n`;
+        
+        generator.options.forEach((option, index) => {
+            help += `  ${flags[index].padEnd(width)}${option.label}\n`;
+        });
+    });
+    
+    return help;
+}
+
+/**
+ * Parse the command-line arguments
+ * @param {Array<string>} args - The raw arguments
+ * @returns {Object} Object containing the parsed values and positionals
+ */
+function parseCommandLine(args) {
+    // First pass: find the database type to know which generator flags are valid
+    const { values: preliminary } = parseArgs({
+        args,
+        options: COMMON_OPTIONS,
+        strict: false,
+        allowPositionals: true
+    });
+    
+    const generator = typeof preliminary.db === 'string' ? getGenerator(preliminary.db) : null;
+    
+    return parseArgs({
+        args,
+        options: { ...COMMON_OPTIONS, ...getGeneratorFlags(generator) },
+        allowPositionals: true
+    });
+}
+
+/**
+ * Read all of stdin as a string
+ * @returns {Promise<string>} The stdin contents
+ */
+async function readStdin() {
+    const chunks = [];
+    
+    for await (const chunk of process.stdin) {
+        chunks.push(chunk);
+    }
+    
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Read and parse the JSON input
+ * @param {string|undefined} inputPath - The input file path, '-' or undefined for stdin
+ * @returns {Promise<Object|Array>} The parsed JSON data
+ */
+async function readInput(inputPath) {
+    if ((!inputPath || inputPath === '-') && process.stdin.isTTY) {
+        throw new Error('No input: pass a JSON file or pipe JSON to stdin (see --help)');
+    }
+    
+    const source = inputPath && inputPath !== '-' ? await readFile(inputPath, 'utf8') : await readStdin();
+    
+    try {
+        return JSON.parse(source);
+    } catch (error) {
+        throw new Error(`Invalid JSON input: ${error.message}`);
+    }
+}
+
+/**
+ * Collect generation options from the parsed flags
+ * @param {Object} values - The parsed flag values
+ * @param {Object} generator - The generator definition
+ * @returns {Object} Generation options
+ */
+function getGenerationOptions(values, generator) {
+    const options = {
+        addIds: values['add-ids'],
+        addTimestamps: values['add-timestamps'],
+        addIndexes: values['add-indexes'],
+        namingConvention: values.naming,
+        collectionNames: values['collection-names']
+    };
+    
+    generator.options.forEach(option => {
+        const value = values[toFlagName(option.key)];
+        
+        if (value === undefined) {
+            options[option.key] = option.default;
+        } else if (option.type === 'number') {
+            options[option.key] = Number(value);
+        } else {
+            options[option.key] = value;
+        }
+    });
+    
+    return options;
+}
+
+/**
+ * Get the path of a file in the output directory
+ * @param {string} outDir - The output directory
+ * @param {string} name - A generator file name or collection file name, '/' separates subdirectories
+ * @returns {string} The file path, inside the output directory
+ */
+function getOutputPath(outDir, name) {
+    // Names come from the input data, so '..' segments and absolute paths must not leave the output directory
+    const segments = name.split(/[\\/]+/)
+        .filter(segment => segment !== '' && segment !== '.')
+        .map(segment => (segment === '..' ? '_' : segment));
+    const filePath = join(outDir, ...segments);
+    const relativePath = relative(resolve(outDir), resolve(filePath));
+    
+    if (segments.length === 0 || relativePath === '' || relativePath === '..' || relativePath.startsWith(`..${sep}`) || isAbsolute(relativePath)) {
+        throw new Error(`Cannot write ${JSON.stringify(name)} outside the output directory ${outDir}`);
+    }
+    
+    return filePath;
+}
+
+/**
+ * Write a generation result to a directory
+ * @param {Object} result - The structured generation result
+ * @param {string} outDir - The output directory
+ * @returns {Promise<Array<string>>} The written file paths
+ */
+async function writeOutputDirectory(result, outDir) {
+    const { extension } = getOutputLanguage(result.language);
+    const written = [];
+    
+    await mkdir(outDir, { recursive: true });
+    
+    const codePath = join(outDir, `${result.dbType}_${result.structure}.${extension}`);
+    await writeFile(codePath, result.code);
+    written.push(codePath);
+    
+    // Extra files produced by the generator (import data, rules, configuration)
+    for (const file of result.files) {
+        const filePath = getOutputPath(outDir, file.name);
+        await mkdir(dirname(filePath), { recursive: true });
+        await writeFile(filePath, file.content);
+        written.push(filePath);
+    }
+    
+    // One JSON file per collection with the generated document bodies, unless the generator wrote one
+    for (const [collection, documents] of Object.entries(result.documents)) {
+        // Subcollection paths (users/{userId}/orders) become nested directories
+        const documentsPath = getOutputPath(outDir, `${collection}.json`);
+        
+        if (written.includes(documentsPath)) {
+            continue;
+        }
+        
+        await mkdir(dirname(documentsPath), { recursive: true });
+        await writeFile(documentsPath, `${JSON.stringify(documents.map(entry => entry.data), null, 2)}\n`);
+        written.push(documentsPath);
+    }
+    
+    return written;
+}
+
+/**
+ * Run the command-line tool
+ * @param {Array<string>} args - The raw arguments
+ */
+async function main(args) {
+    const { values, positionals } = parseCommandLine(args);
+    
+    if (values.help) {
+        process.stdout.write(getHelpText());
+        return;
+    }
+    
+    const generator = getGenerator(values.db);
+    
+    if (!generator) {
+        throw new Error(`Unsupported database type: ${values.db} (available: ${getGenerators().map(item => item.id).join(', ')})`);
+    }
+    
+    const jsonData = await readInput(positionals[0]);
+    const result = generateDocuments(jsonData, values.db, values.structure, getGenerationOptions(values, generator));
+    
+    result.warnings.forEach(warning => process.stderr.write(`Warning: ${warning}\n`));
+    
+    if (values.out) {
+        const written = await writeOutputDirectory(result, values.out);
+        written.forEach(path => process.stderr.write(`Wrote ${path}\n`));
+    } else {
+        process.stdout.write(result.code);
+        
+        if (result.files.length > 0) {
+            process.stderr.write(`Note: ${result.files.length} extra file(s) not written, use --out to save them\n`);
+        }
+    }
+}
+
+try {
+    await main(process.argv.slice(2));
+} catch (error) {
+    process.stderr.write(`Error: ${error.message}\n`);
+    process.exitCode = 1;
+}
@@ -10,7 +10,8 @@
 // Import modules
 import { initUI, toggleTheme, toggleSidebar, toggleCmdLog } from './uiComponents.js';
 import { initJsonFormatter, formatJson, validateJson } from './jsonFormatter.js';
-import { initNoSQLGenerator, generateNoSQL } from './nosqlGenerator.js';
+import { initNoSQLGenerator, generateNoSQL, getDatabaseOptions, getCurrentResult } from './nosqlGenerator.js';
+import { getOutputLanguage } from './nosql/registry.js';
 import { initPdfGenerator, generatePDF, previewPDF } from './pdfGenerator.js';
 import { initSecurityTools } from './security.js';
 import { initLogger, logInfo, logSuccess, logWarning, logError } from './logger.js';
@@ -26,6 +27,7 @@ const appState = {
     theme: 'light',
     jsonData: null,
     nosqlData: null,
+    nosqlSchema: null,
     settings: null,
     language: null,
     initialized: false
@@ -356,11 +358,15 @@ function handleGenerateNoSQL() {
         const options = {
             addTimestamps: document.getElementById('add-timestamps').checked,
             addIds: document.getElementById('add-ids').checked,
-            addIndexes: document.getElementById('add-indexes').checked
+            addIndexes: document.getElementById('add-indexes').checked,
+            namingConvention: document.getElementById('naming-convention').value,
+            collectionNames: document.getElementById('collection-names').value,
+            ...getDatabaseOptions(dbType)
         };
         
         const result = generateNoSQL(appState.jsonData, dbType, structure, options);
         appState.nosqlData = result.data;
+        appState.nosqlSchema = result.schema;
         
         showNotification('success', 'NoSQL Generated', `${dbType.toUpperCase()} document generated`);
         logSuccess(`NoSQL document generated for ${dbType}`);
@@ -397,17 +403,23 @@ function handleCopyNoSQL() {
  * Handle downloading NoSQL
  */
 function handleDownloadNoSQL() {
-    const nosqlOutput = document.getElementById('nosql-output').textContent;
+    const result = getCurrentResult();
     
-    if (!nosqlOutput) {
+    if (!result || !result.code) {
         showNotification('warning', 'Nothing to Download', 'Generate NoSQL data first');
         logWarning('Download attempted with empty NoSQL output');
         return;
     }
     
-    const dbType = document.querySelector('input[name="db-type"]:checked').value;
-    const filename = `${appState.settings.defaultFilename || 'nosql_export'}_${dbType}.js`;
-    downloadFile(nosqlOutput, filename, 'application/javascript');
+    const outputLanguage = getOutputLanguage(result.language);
+    const filename = `${appState.settings.defaultFilename || 'nosql_export'}_${result.dbType}.${outputLanguage.extension}`;
+    downloadFile(result.code, filename, outputLanguage.mimeType);
+    
+    // Download the extra files (import data, rules, configuration) under their own names
+    result.files.forEach(file => {
+        downloadFile(file.content, file.name.replace(/\//g, '_'), getOutputLanguage(file.language).mimeType);
+    });
+    
     showNotification('success', 'Downloaded', `NoSQL saved as ${filename}`);
     logSuccess(`NoSQL downloaded as ${filename}`);
 }
@@ -468,7 +480,8 @@ function getPdfOptions() {
         author: document.getElementById('pdf-author').value || 'Generated by NoSQL Generator',
         orientation: document.getElementById('pdf-orientation').value,
         includeTimestamp: document.getElementById('include-timestamp').checked,
-        includeWatermark: document.getElementById('include-watermark').checked
+        includeWatermark: document.getElementById('include-watermark').checked,
+        schema: appState.nosqlSchema
     };
 }
 
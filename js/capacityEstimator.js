@@ -0,0 +1,255 @@
+/**
+ * NoSQL Generator - Capacity Estimator Module
+ * Author: Mandela404
+ * Version: 1.0.0
+ * 
+ * This module is the UI adapter for the DynamoDB capacity and cost estimate:
+ * - Showing the estimate for the tables of the last DynamoDB generation
+ * - Reading the request rate from the estimator panel
+ * - Editing the pricing table, saved with the settings so it works offline
+ */
+
+import { logInfo, logWarning } from './logger.js';
+import { escapeHtml, formatBytes } from './utils.js';
+import { getSetting, saveSettings } from './settings.js';
+import { DEFAULT_PRICING, normalizePricing, estimateCapacity } from './nosql/dynamodbCapacity.js';
+
+// Module state
+const estimatorState = {
+    initialized: false,
+    tables: []
+};
+
+/**
+ * Initialize the capacity estimator
+ */
+function initCapacityEstimator() {
+    if (estimatorState.initialized) return;
+    
+    const panel = document.getElementById('capacity-estimator');
+    
+    if (!panel) {
+        logWarning('Capacity estimator panel not found');
+        return;
+    }
+    
+    applyPricingToUI(getSetting('dynamodbPricing'));
+    
+    ['capacity-reads', 'capacity-writes', 'capacity-consistency', 'capacity-utilization'].forEach(id => {
+        document.getElementById(id).addEventListener('input', renderCapacityEstimate);
+    });
+    
+    Object.keys(DEFAULT_PRICING).forEach(key => {
+        document.getElementById(getPriceInputId(key)).addEventListener('input', handlePricingChange);
+    });
+    
+    document.getElementById('reset-capacity-pricing').addEventListener('click', resetPricing);
+    
+    estimatorState.initialized = true;
+    logInfo('Capacity estimator initialized');
+}
+
+/**
+ * Show the estimate for a generation result, or hide the panel when it has no tables
+ * @param {Object|null} result - The structured generation result
+ */
+function updateCapacityEstimate(result) {
+    const panel = document.getElementById('capacity-estimator');
+    
+    estimatorState.tables = result && result.tables ? result.tables : [];
+    
+    if (!panel) {
+        return;
+    }
+    
+    panel.style.display = estimatorState.tables.length > 0 ? 'block' : 'none';
+    
+    if (estimatorState.tables.length > 0) {
+        renderCapacityEstimate();
+    }
+}
+
+/**
+ * Get the DOM id of a price input
+ * @param {string} key - The price key
+ * @returns {string} The input element id
+ */
+function getPriceInputId(key) {
+    return `capacity-price-${key}`;
+}
+
+/**
+ * Fill the price inputs
+ * @param {Object} [pricing] - Prices keyed like DEFAULT_PRICING
+ */
+function applyPricingToUI(pricing) {
+    Object.keys(DEFAULT_PRICING).forEach(key => {
+        const price = pricing && Object.prototype.hasOwnProperty.call(pricing, key) ? pricing[key] : DEFAULT_PRICING[key];
+        document.getElementById(getPriceInputId(key)).value = price;
+    });
+}
+
+/**
+ * Read the prices from the price inputs
+ * @returns {Object} Prices keyed like DEFAULT_PRICING (empty inputs use the default price)
+ */
+function getPricing() {
+    const pricing = {};
+    
+    Object.keys(DEFAULT_PRICING).forEach(key => {
+        pricing[key] = document.getElementById(getPriceInputId(key)).value.trim();
+    });
+    
+    return pricing;
+}
+
+/**
+ * Read the request rate from the estimator panel
+ * @returns {Object} The request rate (readsPerSecond, writesPerSecond, consistency, targetUtilization)
+ */
+function getWorkload() {
+    return {
+        readsPerSecond: document.getElementById('capacity-reads').value || 0,
+        writesPerSecond: document.getElementById('capacity-writes').value || 0,
+        consistency: document.getElementById('capacity-consistency').value,
+        targetUtilization: document.getElementById('capacity-utilization').value || 0
+    };
+}
+
+/**
+ * Save edited prices and update the estimate
+ */
+function handlePricingChange() {
+    // Invalid prices are not saved, the estimate reports them
+    try {
+        saveSettings({ dynamodbPricing: normalizePricing(getPricing()) });
+    } catch (error) {
+        logWarning(error.message);
+    }
+    
+    renderCapacityEstimate();
+}
+
+/**
+ * Restore the default prices
+ */
+function resetPricing() {
+    applyPricingToUI(DEFAULT_PRICING);
+    saveSettings({ dynamodbPricing: { ...DEFAULT_PRICING } });
+    renderCapacityEstimate();
+    
+    logInfo('DynamoDB prices reset to defaults');
+}
+
+/**
+ * Render the estimate for the tables of the last generation
+ */
+function renderCapacityEstimate() {
+    const resultsElement = document.getElementById('capacity-results');
+    
+    if (!resultsElement || estimatorState.tables.length === 0) {
+        return;
+    }
+    
+    let estimate;
+    
+    try {
+        estimate = estimateCapacity(estimatorState.tables, getWorkload(), getPricing());
+    } catch (error) {
+        resultsElement.innerHTML = `<div class="nosql-error">
+            <i class="fas fa-exclamation-triangle"></i>
+            <div class="error-message">${escapeHtml(error.message)}</div>
+        </div>`;
+        return;
+    }
+    
+    const rows = estimate.tables.map(table => `<tr>
+            <td>${escapeHtml(table.tableName)}</td>
+            <td>${table.itemCount}</td>
+            <td>${formatBytes(table.averageItemSize)} / ${formatBytes(table.maxItemSize)}</td>
+            <td>${formatUnits(table.averageWriteUnits)} / ${formatUnits(table.averageReadUnits)}</td>
+            <td>${formatUnits(table.seed.writeUnits)}</td>
+            <td>${formatDuration(table.seed.provisionedSeconds)}</td>
+            <td>${formatBytes(table.storage.bytes)}</td>
+            <td>${formatCost(table.onDemand.monthlyCost)}</td>
+            <td>${formatCost(table.provisioned.monthlyCost)} (${table.provisioned.writeCapacity} WCU / ${table.provisioned.readCapacity} RCU)</td>
+        </tr>`).join('');
+    
+    resultsElement.innerHTML = `<table class="capacity-table">
+        <thead>
+            <tr>
+                <th>Table</th>
+                <th>Items</th>
+                <th>Avg / Max Item Size</th>
+                <th>WCU per Write / RCU per Read</th>
+                <th>Seed Load WCU</th>
+                <th>Seed Load Time (Provisioned)</th>
+                <th>Storage</th>
+                <th>On-Demand / Month</th>
+                <th>Provisioned / Month</th>
+            </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+        <tfoot>
+            <tr>
+                <td>Total</td>
+                <td>${estimate.totals.itemCount}</td>
+                <td></td>
+                <td></td>
+                <td>${formatUnits(estimate.totals.seedWriteUnits)} (${formatCost(estimate.totals.seedOnDemandCost)} on-demand)</td>
+                <td></td>
+                <td>${formatBytes(estimate.totals.storageBytes)}</td>
+                <td>${formatCost(estimate.totals.onDemandMonthlyCost)}</td>
+                <td>${formatCost(estimate.totals.provisionedMonthlyCost)}</td>
+            </tr>
+        </tfoot>
+    </table>
+    <p class="capacity-note">Write units include the secondary index entries. Monthly costs include storage and
+    assume the request rate around the clock, without the free tier, reserved capacity or data transfer.</p>`;
+}
+
+/**
+ * Format a number of capacity units
+ * @param {number} units - The units
+ * @returns {string} The units with at most two decimals
+ */
+function formatUnits(units) {
+    return parseFloat(units.toFixed(2)).toLocaleString('en-US');
+}
+
+/**
+ * Format a cost in USD
+ * @param {number} cost - The cost
+ * @returns {string} The cost with cents, or more decimals for costs under a cent
+ */
+function formatCost(cost) {
+    if (cost > 0 && cost < 0.01) {
+        return `$${cost.toPrecision(2)}`;
+    }
+    
+    return `$${cost.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+/**
+ * Format a duration
+ * @param {number|null} seconds - The duration in seconds
+ * @returns {string} The duration in seconds, minutes or hours
+ */
+function formatDuration(seconds) {
+    if (seconds === null) {
+        return '-';
+    } else if (seconds < 60) {
+        return `${parseFloat(seconds.toFixed(1))} s`;
+    } else if (seconds < 60 * 60) {
+        return `${parseFloat((seconds / 60).toFixed(1))} min`;
+    }
+    
+    return `${parseFloat((seconds / 60 / 60).toFixed(1))} h`;
+}
+
+// Export functions
+export {
+    initCapacityEstimator,
+    updateCapacityEstimate,
+    renderCapacityEstimate
+};
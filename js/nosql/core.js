@@ -0,0 +1,89 @@
+/**
+ * NoSQL Generator - Generation Core Module
+ * Author: Mandela404
+ * Version: 1.0.0
+ * 
+ * This module is the DOM-free entry point for NoSQL generation. It runs the
+ * registered database generators and returns a structured result, so it can
+ * be used from the browser UI, Node scripts and tests alike.
+ */
+
+import { getGenerator } from './registry.js';
+import { createGeneratorOutput } from './documentModel.js';
+import { inferSchema } from './schemaInference.js';
+import { unwrapRootData } from './naming.js';
+
+/**
+ * Generate NoSQL code and documents from JSON data
+ * @param {Object|Array} jsonData - The JSON data to convert
+ * @param {string} dbType - The database type (registered generator id)
+ * @param {string} structure - The document structure type
+ * @param {Object} [options={}] - Generation options
+ * @returns {Object} Result with code, language, documents (per collection), indexes, extra files,
+ *     references, table models, warnings and the schema inferred from the input
+ */
+function generateDocuments(jsonData, dbType, structure, options = {}) {
+    // Validate inputs
+    if (!jsonData) {
+        throw new Error('No JSON data provided');
+    }
+    
+    if (!dbType) {
+        throw new Error('No database type selected');
+    }
+    
+    if (!structure) {
+        throw new Error('No document structure selected');
+    }
+    
+    const generator = getGenerator(dbType);
+    
+    if (!generator) {
+        throw new Error(`Unsupported database type: ${dbType}`);
+    }
+    
+    if (!generator.structures.some(item => item.value === structure)) {
+        throw new Error(`${generator.label} does not support the ${structure} structure`);
+    }
+    
+    const output = normalizeOutput(generator.generate(jsonData, structure, options));
+    
+    return {
+        dbType,
+        structure,
+        language: output.language || generator.language,
+        code: output.code,
+        documents: output.documents,
+        indexes: output.indexes,
+        files: output.files,
+        references: output.references,
+        tables: output.tables,
+        warnings: output.warnings,
+        schema: inferSchema(unwrapRootData(jsonData).data)
+    };
+}
+
+/**
+ * Normalize a generator return value to the structured output shape
+ * @param {string|Object} output - Generated code, or an object with code and metadata
+ * @returns {Object} Object containing code, documents, indexes, files, references and warnings
+ */
+function normalizeOutput(output) {
+    if (typeof output === 'string') {
+        return { ...createGeneratorOutput(), code: output };
+    }
+    
+    if (!output || typeof output.code !== 'string') {
+        throw new Error('Generator did not return any code');
+    }
+    
+    return {
+        ...createGeneratorOutput(),
+        ...output
+    };
+}
+
+// Export functions
+export {
+    generateDocuments
+};
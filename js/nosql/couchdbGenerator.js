@@ -8,17 +8,23 @@
 
 import { generateId } from '../utils.js';
 import { logInfo } from '../logger.js';
+import { buildReferenceGraph, reuseId, getReferenceId, resolveReferences } from './references.js';
+import { inferSchema, suggestIndexFields } from './schemaInference.js';
+import { singularize, resolveCollectionName, unwrapRootData } from './naming.js';
+import { toStringLiteral, toPropertyKey, toIdentifier, getUniqueName, toCommentText } from './literals.js';
+import { createGeneratorOutput, addDocument, addIndex, addReference, addWarning } from './documentModel.js';
 
 /**
  * Generate CouchDB documents from JSON data
  * @param {Object} jsonData - The JSON data to convert
  * @param {string} structure - The document structure type
  * @param {Object} options - Generation options
- * @returns {string} CouchDB document code
+ * @returns {Object} Object containing the CouchDB code, documents, indexes and warnings
  */
 function generateCouchDBDocuments(jsonData, structure, options) {
     logInfo('Generating CouchDB documents...');
     
+    const output = createGeneratorOutput();
     let result = '';
     
     // Add CouchDB client initialization
@@ -34,11 +40,11 @@ function generateCouchDBDocuments(jsonData, structure, options) {
     result += `// Create database if it doesn't exist\n`;
     result += `async function createDatabase() {\n`;
     result += `  try {\n`;
-    result += `    await nano.db.create("${dbName}");\n`;
-    result += `    console.log("Database '${dbName}' created");\n`;
+    result += `    await nano.db.create(${toStringLiteral(dbName)});\n`;
+    result += `    console.log(${toStringLiteral(`Database '${dbName}' created`)});\n`;
     result += `  } catch (err) {\n`;
     result += `    if (err.statusCode === 412) {\n`;
-    result += `      console.log("Database '${dbName}' already exists");\n`;
+    result += `      console.log(${toStringLiteral(`Database '${dbName}' already exists`)});\n`;
     result += `    } else {\n`;
     result += `      console.error("Error creating database:", err);\n`;
     result += `    }\n`;
@@ -47,29 +53,33 @@ function generateCouchDBDocuments(jsonData, structure, options) {
     
     // Get database reference
     result += `// Get database reference\n`;
-    result += `const db = nano.use("${dbName}");\n\n`;
+    result += `const db = nano.use(${toStringLiteral(dbName)});\n\n`;
+    
+    // A root object whose single key holds the array is unwrapped into its documents
+    const { data, path } = unwrapRootData(jsonData);
     
     // Generate documents based on structure type
     switch (structure) {
         case 'nested':
-            result += generateNestedDocuments(jsonData, options);
+            result += generateNestedDocuments(data, dbName, options, output);
             break;
         case 'flat':
-            result += generateFlatDocuments(jsonData, options);
+            result += generateFlatDocuments(data, dbName, options, output);
             break;
         case 'references':
-            result += generateReferencedDocuments(jsonData, options);
+            result += generateReferencedDocuments(data, dbName, options, output, path);
             break;
         case 'arrays':
-            result += generateArrayBasedDocuments(jsonData, options);
+            result += generateArrayBasedDocuments(data, dbName, options, output);
             break;
         default:
-            result += generateNestedDocuments(jsonData, options);
+            addWarning(output, `Unknown structure "${structure}", using nested documents`);
+            result += generateNestedDocuments(data, dbName, options, output);
     }
     
     // Add index suggestions if enabled
     if (options.addIndexes) {
-        result += generateIndexSuggestions(jsonData);
+        result += generateIndexSuggestions(inferSchema(data), dbName, output);
     }
     
     // Add main function to execute all operations
@@ -102,49 +112,40 @@ function generateCouchDBDocuments(jsonData, structure, options) {
     result += `// Run the main function\n`;
     result += `main().catch(err => console.error("Error:", err));\n`;
     
-    return result;
+    return {
+        code: result,
+        ...output
+    };
 }
 
 /**
  * Generate nested CouchDB documents
  * @param {Object} jsonData - The JSON data to convert
+ * @param {string} dbName - The name of the database
  * @param {Object} options - Generation options
+ * @param {Object} output - Generator output to record documents in
  * @returns {string} CouchDB document code
  */
-function generateNestedDocuments(jsonData, options) {
+function generateNestedDocuments(jsonData, dbName, options, output) {
     let result = `// Nested document structure\n`;
     result += `// Function to add nested documents\n`;
     result += `async function addNestedDocuments() {\n`;
     
     // Convert data to array if it's not already
     const dataArray = Array.isArray(jsonData) ? jsonData : [jsonData];
+    const docs = dataArray.map(item => createDocumentData(item, options));
+    
+    docs.forEach(doc => addDocument(output, dbName, doc._id || null, doc));
     
     // Use bulk operation if there are multiple documents
-    if (dataArray.length > 1) {
+    if (docs.length > 1) {
         result += `  // Prepare documents for bulk insert\n`;
         result += `  const docs = [\n`;
         
-        dataArray.forEach((item, index) => {
+        docs.forEach((doc, index) => {
             result += `    {\n`;
-            
-            // Add _id if enabled
-            if (options.addIds) {
-                result += `      _id: "${generateId(true)}",\n`;
-            }
-            
-            // Add timestamps if enabled
-            if (options.addTimestamps) {
-                const now = new Date().toISOString();
-                result += `      createdAt: "${now}",\n`;
-                result += `      updatedAt: "${now}",\n`;
-            }
-            
-            // Add the data fields
-            Object.entries(item).forEach(([key, value], i) => {
-                result += `      ${key}: ${couchValueToString(value)}${i < Object.entries(item).length - 1 ? ',' : ''}\n`;
-            });
-            
-            result += `    }${index < dataArray.length - 1 ? ',' : ''}\n`;
+            result += renderDocumentFields(doc, '      ');
+            result += `    }${index < docs.length - 1 ? ',' : ''}\n`;
         });
         
         result += `  ];\n\n`;
@@ -160,28 +161,9 @@ function generateNestedDocuments(jsonData, options) {
         result += `  }\n`;
     } else {
         // Single document insert
-        const item = dataArray[0];
-        
         result += `  // Prepare document\n`;
         result += `  const doc = {\n`;
-        
-        // Add _id if enabled
-        if (options.addIds) {
-            result += `    _id: "${generateId(true)}",\n`;
-        }
-        
-        // Add timestamps if enabled
-        if (options.addTimestamps) {
-            const now = new Date().toISOString();
-            result += `    createdAt: "${now}",\n`;
-            result += `    updatedAt: "${now}",\n`;
-        }
-        
-        // Add the data fields
-        Object.entries(item).forEach(([key, value], i) => {
-            result += `    ${key}: ${couchValueToString(value)}${i < Object.entries(item).length - 1 ? ',' : ''}\n`;
-        });
-        
+        result += renderDocumentFields(docs[0], '    ');
         result += `  };\n\n`;
         
         // Add insert operation
@@ -203,46 +185,31 @@ function generateNestedDocuments(jsonData, options) {
 /**
  * Generate flat CouchDB documents
  * @param {Object} jsonData - The JSON data to convert
+ * @param {string} dbName - The name of the database
  * @param {Object} options - Generation options
+ * @param {Object} output - Generator output to record documents in
  * @returns {string} CouchDB document code
  */
-function generateFlatDocuments(jsonData, options) {
+function generateFlatDocuments(jsonData, dbName, options, output) {
     let result = `// Flat document structure\n`;
     result += `// Function to add flat documents\n`;
     result += `async function addFlatDocuments() {\n`;
     
-    // Convert data to array if it's not already
+    // Convert data to array if it's not already, flattening each object
     const dataArray = Array.isArray(jsonData) ? jsonData : [jsonData];
+    const docs = dataArray.map(item => createDocumentData(flattenObject(item), options));
+    
+    docs.forEach(doc => addDocument(output, dbName, doc._id || null, doc));
     
     // Use bulk operation if there are multiple documents
-    if (dataArray.length > 1) {
+    if (docs.length > 1) {
         result += `  // Prepare documents for bulk insert\n`;
         result += `  const docs = [\n`;
         
-        dataArray.forEach((item, index) => {
-            // Flatten the object
-            const flattenedObject = flattenObject(item);
-            
+        docs.forEach((doc, index) => {
             result += `    {\n`;
-            
-            // Add _id if enabled
-            if (options.addIds) {
-                result += `      _id: "${generateId(true)}",\n`;
-            }
-            
-            // Add timestamps if enabled
-            if (options.addTimestamps) {
-                const now = new Date().toISOString();
-                result += `      createdAt: "${now}",\n`;
-                result += `      updatedAt: "${now}",\n`;
-            }
-            
-            // Add the flattened data fields
-            Object.entries(flattenedObject).forEach(([key, value], i) => {
-                result += `      ${key}: ${couchValueToString(value)}${i < Object.entries(flattenedObject).length - 1 ? ',' : ''}\n`;
-            });
-            
-            result += `    }${index < dataArray.length - 1 ? ',' : ''}\n`;
+            result += renderDocumentFields(doc, '      ');
+            result += `    }${index < docs.length - 1 ? ',' : ''}\n`;
         });
         
         result += `  ];\n\n`;
@@ -258,29 +225,9 @@ function generateFlatDocuments(jsonData, options) {
         result += `  }\n`;
     } else {
         // Single document insert
-        const item = dataArray[0];
-        const flattenedObject = flattenObject(item);
-        
         result += `  // Prepare flat document\n`;
         result += `  const doc = {\n`;
-        
-        // Add _id if enabled
-        if (options.addIds) {
-            result += `    _id: "${generateId(true)}",\n`;
-        }
-        
-        // Add timestamps if enabled
-        if (options.addTimestamps) {
-            const now = new Date().toISOString();
-            result += `    createdAt: "${now}",\n`;
-            result += `    updatedAt: "${now}",\n`;
-        }
-        
-        // Add the flattened data fields
-        Object.entries(flattenedObject).forEach(([key, value], i) => {
-            result += `    ${key}: ${couchValueToString(value)}${i < Object.entries(flattenedObject).length - 1 ? ',' : ''}\n`;
-        });
-        
+        result += renderDocumentFields(docs[0], '    ');
         result += `  };\n\n`;
         
         // Add insert operation
@@ -302,57 +249,74 @@ function generateFlatDocuments(jsonData, options) {
 /**
  * Generate CouchDB documents with references
  * @param {Object} jsonData - The JSON data to convert
+ * @param {string} dbName - The name of the database
  * @param {Object} options - Generation options
+ * @param {Object} output - Generator output to record documents in
+ * @param {string} [path=''] - The data path of the root items
  * @returns {string} CouchDB document code
  */
-function generateReferencedDocuments(jsonData, options) {
+function generateReferencedDocuments(jsonData, dbName, options, output, path = '') {
     let result = `// Referenced document structure\n`;
     result += `// Function to add documents with references\n`;
     result += `async function addReferencedDocuments() {\n`;
     
-    // Extract document types and their items
-    const docTypes = {};
+    // Convert data to array if it's not already
+    const dataArray = Array.isArray(jsonData) ? jsonData : [jsonData];
     
-    if (Array.isArray(jsonData)) {
-        docTypes['main'] = jsonData;
-        extractReferencedDocTypes(jsonData, docTypes);
-    } else {
-        docTypes['main'] = [jsonData];
-        extractReferencedDocTypes([jsonData], docTypes);
-    }
+    // Every document gets its _id up front (keeping the _id it has) so references point at real documents,
+    // ids starting with an underscore are reserved by CouchDB
+    const graph = buildReferenceGraph(
+        dataArray,
+        resolveCollectionName(path, path ? singularize(path) : 'main', options),
+        (key, isArray, childPath) => getReferencedDocType(key, isArray, childPath, options),
+        (docType, item) => String(reuseId(item, '_id', () => `${docType}_${generateId(true)}`, id => !String(id).startsWith('_'))),
+        path
+    );
+    const docTypes = graph.collections;
+    
+    // Different document types can map to the same identifier
+    const names = new Set();
+    const variables = new Map(Object.keys(docTypes).map(docType => [docType, getUniqueName(names, `${toIdentifier(docType, false)}Docs`)]));
     
     // Generate documents for each type
-    Object.entries(docTypes).forEach(([docType, items], typeIndex) => {
-        result += `  // ${docType} documents\n`;
-        result += `  const ${docType}Docs = [\n`;
+    Object.entries(docTypes).forEach(([docType, items]) => {
+        result += `  // ${toCommentText(docType)} documents\n`;
+        result += `  const ${variables.get(docType)} = [\n`;
         
         items.forEach((item, index) => {
-            result += `    {\n`;
+            const id = getReferenceId(graph, item);
             
             // Add _id and type
-            const docId = generateId(true);
-            result += `      _id: "${docType}_${docId}",\n`;
-            result += `      type: "${docType}",\n`;
+            const doc = {
+                _id: id,
+                type: docType
+            };
             
             // Add timestamps if enabled
             if (options.addTimestamps) {
-                const now = new Date().toISOString();
-                result += `      createdAt: "${now}",\n`;
-                result += `      updatedAt: "${now}",\n`;
+                const now = new Date();
+                doc.createdAt = now;
+                doc.updatedAt = now;
             }
             
-            // Add the data fields
-            Object.entries(item).forEach(([key, value], i) => {
-                // Skip nested objects that became separate documents
-                if (typeof value === 'object' && value !== null && !Array.isArray(value) && Object.keys(value).length > 0) {
-                    const refId = generateId(true);
-                    const refType = key;
-                    result += `      ${key}Id: "${refType}_${refId}",\n`;
-                } else {
-                    result += `      ${key}: ${couchValueToString(value)}${i < Object.entries(item).length - 1 ? ',' : ''}\n`;
+            // Nested objects became separate documents, keep their _id instead
+            Object.assign(doc, resolveReferences(graph, item, (key, target, targetCollection) => {
+                if (Array.isArray(target)) {
+                    addReference(output, docType, `${key}Ids`, targetCollection);
+                    return { [`${key}Ids`]: target.map(child => child.id) };
                 }
-            });
+                
+                addReference(output, docType, `${key}Id`, targetCollection);
+                return { [`${key}Id`]: target.id };
+            }));
+            
+            // The _id field the id may have been taken from is written as the string CouchDB requires
+            doc._id = id;
+            
+            addDocument(output, dbName, doc._id, doc);
             
+            result += `    {\n`;
+            result += renderDocumentFields(doc, '      ');
             result += `    }${index < items.length - 1 ? ',' : ''}\n`;
         });
         
@@ -362,8 +326,8 @@ function generateReferencedDocuments(jsonData, options) {
     // Add bulk insert operation for all document types
     result += `  // Combine all documents for bulk insert\n`;
     result += `  const allDocs = [\n`;
-    result += `    ...${Object.keys(docTypes).join('Docs,\n    ...')}\n`;
-    result += `  ];\n\n`;
+    result += Object.keys(docTypes).map(docType => `    ...${variables.get(docType)}`).join(',\n');
+    result += `\n  ];\n\n`;
     
     result += `  try {\n`;
     result += `    const response = await db.bulk({ docs: allDocs });\n`;
@@ -382,10 +346,12 @@ function generateReferencedDocuments(jsonData, options) {
 /**
  * Generate array-based CouchDB documents
  * @param {Object} jsonData - The JSON data to convert
+ * @param {string} dbName - The name of the database
  * @param {Object} options - Generation options
+ * @param {Object} output - Generator output to record documents in
  * @returns {string} CouchDB document code
  */
-function generateArrayBasedDocuments(jsonData, options) {
+function generateArrayBasedDocuments(jsonData, dbName, options, output) {
     let result = `// Array-based document structure\n`;
     result += `// Function to add array-based document\n`;
     result += `async function addArrayBasedDocument() {\n`;
@@ -393,38 +359,29 @@ function generateArrayBasedDocuments(jsonData, options) {
     // Convert data to array if it's not already
     const dataArray = Array.isArray(jsonData) ? jsonData : [jsonData];
     
+    // Build a single document with an items array
+    const items = dataArray.map(item => (
+        options.addIds ? { id: generateId(true), ...item } : { ...item }
+    ));
+    const doc = createDocumentData({ items }, options);
+    addDocument(output, dbName, doc._id || null, doc);
+    
     result += `  // Prepare document with items array\n`;
     result += `  const doc = {\n`;
     
-    // Add _id if enabled
-    if (options.addIds) {
-        result += `    _id: "${generateId(true)}",\n`;
-    }
-    
-    // Add timestamps if enabled
-    if (options.addTimestamps) {
-        const now = new Date().toISOString();
-        result += `    createdAt: "${now}",\n`;
-        result += `    updatedAt: "${now}",\n`;
-    }
+    Object.entries(doc).forEach(([key, value]) => {
+        if (key !== 'items') {
+            result += `    ${toPropertyKey(key)}: ${couchValueToString(value)},\n`;
+        }
+    });
     
     // Add items array
     result += `    items: [\n`;
     
-    dataArray.forEach((item, index) => {
+    items.forEach((item, index) => {
         result += `      {\n`;
-        
-        // Add item ID if enabled
-        if (options.addIds) {
-            result += `        id: "${generateId(true)}",\n`;
-        }
-        
-        // Add the data fields
-        Object.entries(item).forEach(([key, value], i) => {
-            result += `        ${key}: ${couchValueToString(value)}${i < Object.entries(item).length - 1 ? ',' : ''}\n`;
-        });
-        
-        result += `      }${index < dataArray.length - 1 ? ',' : ''}\n`;
+        result += renderDocumentFields(item, '        ');
+        result += `      }${index < items.length - 1 ? ',' : ''}\n`;
     });
     
     result += `    ]\n`;
@@ -447,45 +404,16 @@ function generateArrayBasedDocuments(jsonData, options) {
 
 /**
  * Generate index suggestions for CouchDB
- * @param {Object} jsonData - The JSON data to analyze
+ * @param {Object} schema - The schema inferred from the JSON data
+ * @param {string} dbName - The name of the database
+ * @param {Object} output - Generator output to record index definitions in
  * @returns {string} CouchDB index suggestions
  */
-function generateIndexSuggestions(jsonData) {
+function generateIndexSuggestions(schema, dbName, output) {
     let result = `// CouchDB Index Suggestions\n`;
     
-    const indexFields = [];
-    
-    // Analyze data to find potential index fields
-    if (Array.isArray(jsonData) && jsonData.length > 0) {
-        const sampleItem = jsonData[0];
-        
-        // Look for common index candidates
-        Object.entries(sampleItem).forEach(([key, value]) => {
-            // ID fields are good candidates
-            if (key.toLowerCase().includes('id') || key.toLowerCase().endsWith('_id')) {
-                indexFields.push(key);
-            }
-            
-            // Date fields are good candidates
-            if (
-                (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) ||
-                value instanceof Date ||
-                key.toLowerCase().includes('date') ||
-                key.toLowerCase().includes('time')
-            ) {
-                indexFields.push(key);
-            }
-            
-            // Name, email, username fields are good candidates
-            if (
-                key.toLowerCase().includes('name') ||
-                key.toLowerCase().includes('email') ||
-                key.toLowerCase().includes('username')
-            ) {
-                indexFields.push(key);
-            }
-        });
-    }
+    // Index candidates come from the schema of every document
+    const indexFields = suggestIndexFields(schema);
     
     // Generate index creation function
     result += `// Function to create indexes\n`;
@@ -493,6 +421,7 @@ function generateIndexSuggestions(jsonData) {
     
     if (indexFields.length > 0) {
         // Add type index for referenced documents
+        addIndex(output, dbName, ['type'], 'type-index');
         result += `  // Create type index for document types\n`;
         result += `  try {\n`;
         result += `    await db.createIndex({\n`;
@@ -506,24 +435,26 @@ function generateIndexSuggestions(jsonData) {
         
         // Add indexes for each field
         indexFields.forEach(field => {
-            result += `  // Create index for ${field}\n`;
+            addIndex(output, dbName, [field], `${field}-index`);
+            result += `  // Create index for ${toCommentText(field)}\n`;
             result += `  try {\n`;
             result += `    await db.createIndex({\n`;
-            result += `      index: { fields: ['${field}'] },\n`;
-            result += `      name: '${field}-index'\n`;
+            result += `      index: { fields: [${toStringLiteral(field)}] },\n`;
+            result += `      name: ${toStringLiteral(`${field}-index`)}\n`;
             result += `    });\n`;
-            result += `    console.log("${field} index created successfully");\n`;
+            result += `    console.log(${toStringLiteral(`${field} index created successfully`)});\n`;
             result += `  } catch (err) {\n`;
-            result += `    console.error("Error creating ${field} index:", err);\n`;
+            result += `    console.error(${toStringLiteral(`Error creating ${field} index:`)}, err);\n`;
             result += `  }\n\n`;
         });
         
         // If we have multiple fields, suggest a compound index
         if (indexFields.length > 1) {
+            addIndex(output, dbName, indexFields.slice(0, 2), 'compound-index');
             result += `  // Create compound index\n`;
             result += `  try {\n`;
             result += `    await db.createIndex({\n`;
-            result += `      index: { fields: [${indexFields.slice(0, 2).map(f => `'${f}'`).join(', ')}] },\n`;
+            result += `      index: { fields: [${indexFields.slice(0, 2).map(toStringLiteral).join(', ')}] },\n`;
             result += `      name: 'compound-index'\n`;
             result += `    });\n`;
             result += `    console.log("Compound index created successfully");\n`;
@@ -541,35 +472,53 @@ function generateIndexSuggestions(jsonData) {
 }
 
 /**
- * Extract document types for referenced document structure
- * @param {Array} items - The items to analyze
- * @param {Object} docTypes - Document types object to update
+ * Create the body of a CouchDB document, adding _id and timestamps if enabled
+ * @param {Object} fields - The document fields
+ * @param {Object} options - Generation options
+ * @returns {Object} The document body
  */
-function extractReferencedDocTypes(items, docTypes) {
-    items.forEach(item => {
-        Object.entries(item).forEach(([key, value]) => {
-            // If it's an object, make it a separate document type
-            if (typeof value === 'object' && value !== null && !Array.isArray(value) && Object.keys(value).length > 0) {
-                if (!docTypes[key]) {
-                    docTypes[key] = [];
-                }
-                
-                docTypes[key].push(value);
-            }
-            
-            // If it's an array of objects, make each object a separate document
-            if (Array.isArray(value) && value.length > 0 && typeof value[0] === 'object' && value[0] !== null) {
-                const singularKey = key.endsWith('s') ? key.slice(0, -1) : key;
-                
-                if (!docTypes[singularKey]) {
-                    docTypes[singularKey] = [];
-                }
-                
-                docTypes[singularKey].push(...value);
-                extractReferencedDocTypes(value, docTypes);
-            }
-        });
-    });
+function createDocumentData(fields, options) {
+    const doc = {};
+    
+    // Add _id if enabled
+    if (options.addIds) {
+        doc._id = generateId(true);
+    }
+    
+    // Add timestamps if enabled
+    if (options.addTimestamps) {
+        const now = new Date();
+        doc.createdAt = now;
+        doc.updatedAt = now;
+    }
+    
+    return Object.assign(doc, fields);
+}
+
+/**
+ * Render document fields as CouchDB object lines
+ * @param {Object} doc - The document body
+ * @param {string} indent - The indentation for each line
+ * @returns {string} The rendered fields
+ */
+function renderDocumentFields(doc, indent) {
+    const entries = Object.entries(doc);
+    
+    return entries.map(([key, value], i) => 
+        `${indent}${toPropertyKey(key)}: ${couchValueToString(value)}${i < entries.length - 1 ? ',' : ''}\n`
+    ).join('');
+}
+
+/**
+ * Get the document type for objects nested under a key
+ * @param {string} key - The key of the nested object or array of objects
+ * @param {boolean} isArray - Whether the key holds an array of objects
+ * @param {string} path - The data path of the nested data
+ * @param {Object} options - Generation options
+ * @returns {string} The document type (singular for arrays)
+ */
+function getReferencedDocType(key, isArray, path, options) {
+    return resolveCollectionName(path, isArray ? singularize(key) : key, options);
 }
 
 /**
@@ -603,7 +552,7 @@ function couchValueToString(value) {
     if (value === null) {
         return 'null';
     } else if (typeof value === 'string') {
-        return `"${value.replace(/"/g, '\\"')}"`;
+        return toStringLiteral(value);
     } else if (typeof value === 'number' || typeof value === 'boolean') {
         return String(value);
     } else if (value instanceof Date) {
@@ -611,11 +560,25 @@ function couchValueToString(value) {
     } else if (Array.isArray(value)) {
         return `[${value.map(item => couchValueToString(item)).join(', ')}]`;
     } else if (typeof value === 'object') {
-        const entries = Object.entries(value).map(([k, v]) => `${k}: ${couchValueToString(v)}`);
+        const entries = Object.entries(value).map(([k, v]) => `${toPropertyKey(k)}: ${couchValueToString(v)}`);
         return `{ ${entries.join(', ')} }`;
     }
     
     return String(value);
 }
 
-export { generateCouchDBDocuments };
+/**
+ * CouchDB generator definition for the generator registry
+ */
+const couchdbGenerator = {
+    id: 'couchdb',
+    label: 'CouchDB',
+    structures: ['nested', 'flat', 'references', 'arrays'],
+    language: 'javascript',
+    options: [
+        { key: 'dbName', type: 'text', label: 'Database Name', placeholder: 'nosql_generator_db' }
+    ],
+    generate: generateCouchDBDocuments
+};
+
+export { generateCouchDBDocuments, couchdbGenerator };
@@ -0,0 +1,182 @@
+/**
+ * NoSQL Generator - Document Model Module
+ * Author: Mandela404
+ * Version: 1.0.0
+ * 
+ * This module defines the structured output shared by the database generators:
+ * - Typed values that have no plain JSON equivalent (ObjectIds, references, server timestamps, geopoints)
+ * - The generator output (documents per collection, index definitions, extra files and warnings)
+ */
+
+/**
+ * A MongoDB ObjectId value
+ */
+class ObjectIdValue {
+    /**
+     * @param {string} hex - The 24 character hex string
+     */
+    constructor(hex) {
+        this.hex = hex;
+    }
+    
+    toJSON() {
+        return this.hex;
+    }
+}
+
+/**
+ * A reference to another document (Firestore DocumentReference, foreign key, etc.)
+ */
+class ReferenceValue {
+    /**
+     * @param {string} collection - The referenced collection
+     * @param {string} id - The referenced document id
+     */
+    constructor(collection, id) {
+        this.collection = collection;
+        this.id = id;
+    }
+    
+    toJSON() {
+        return `${this.collection}/${this.id}`;
+    }
+}
+
+/**
+ * A timestamp that the database fills in when the document is written
+ */
+class ServerTimestampValue {
+    constructor() {
+        // Generation time, used when a concrete value is needed (JSON, previews)
+        this.date = new Date();
+    }
+    
+    toJSON() {
+        return this.date.toISOString();
+    }
+}
+
+/**
+ * A geographic point (Firestore GeoPoint)
+ */
+class GeoPointValue {
+    /**
+     * @param {number} latitude - The latitude in degrees (-90 to 90)
+     * @param {number} longitude - The longitude in degrees (-180 to 180)
+     */
+    constructor(latitude, longitude) {
+        this.latitude = latitude;
+        this.longitude = longitude;
+    }
+    
+    toJSON() {
+        return { latitude: this.latitude, longitude: this.longitude };
+    }
+}
+
+/**
+ * Check whether a value is a plain object (parsed JSON) rather than a typed value
+ * @param {*} value - The value to check
+ * @returns {boolean} Whether the value is a plain object
+ */
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Create an empty generator output
+ * @returns {Object} Object containing documents, indexes, files, references, tables and warnings
+ */
+function createGeneratorOutput() {
+    return {
+        documents: {},
+        indexes: [],
+        files: [],
+        references: [],
+        // Table models with item sizes, for generators that describe their tables (DynamoDB)
+        tables: [],
+        warnings: []
+    };
+}
+
+/**
+ * Add a document to a generator output
+ * @param {Object} output - The generator output
+ * @param {string} collection - The collection (or table) name
+ * @param {string|null} id - The document id, or null when the database assigns it
+ * @param {Object} data - The document body
+ * @returns {Object} The document entry
+ */
+function addDocument(output, collection, id, data) {
+    if (!output.documents[collection]) {
+        output.documents[collection] = [];
+    }
+    
+    const entry = { id, data };
+    output.documents[collection].push(entry);
+    
+    return entry;
+}
+
+/**
+ * Add an index definition to a generator output
+ * @param {Object} output - The generator output
+ * @param {string} collection - The collection (or table) name
+ * @param {Array<string>} fields - The indexed fields, in order
+ * @param {string} name - The index name
+ */
+function addIndex(output, collection, fields, name) {
+    output.indexes.push({ collection, fields, name });
+}
+
+/**
+ * Add an extra output file (import data, rules, configuration) to a generator output
+ * @param {Object} output - The generator output
+ * @param {string} name - The file name
+ * @param {string} content - The file content
+ * @param {string} language - The output language of the file
+ */
+function addFile(output, name, content, language) {
+    output.files.push({ name, content, language });
+}
+
+/**
+ * Record that a field of a collection's documents references documents of another collection
+ * @param {Object} output - The generator output
+ * @param {string} collection - The collection (or table) holding the reference
+ * @param {string} field - The reference field
+ * @param {string} target - The referenced collection
+ */
+function addReference(output, collection, field, target) {
+    const exists = output.references.some(reference => (
+        reference.collection === collection && reference.field === field
+    ));
+    
+    if (!exists) {
+        output.references.push({ collection, field, target });
+    }
+}
+
+/**
+ * Add a warning to a generator output
+ * @param {Object} output - The generator output
+ * @param {string} message - The warning message
+ */
+function addWarning(output, message) {
+    output.warnings.push(message);
+}
+
+// Export classes and functions
+export {
+    ObjectIdValue,
+    ReferenceValue,
+    ServerTimestampValue,
+    GeoPointValue,
+    isPlainObject,
+    createGeneratorOutput,
+    addDocument,
+    addIndex,
+    addFile,
+    addReference,
+    addWarning
+};
@@ -0,0 +1,223 @@
+/**
+ * NoSQL Generator - DynamoDB Capacity Module
+ * Author: Mandela404
+ * Version: 1.0.0
+ * 
+ * This module estimates the capacity and cost of the tables written by the DynamoDB generator:
+ * - Read and write units per item, from the item sizes of the generated data
+ * - Write units consumed by the seed load, including the secondary index entries
+ * - Storage size, with the per-item overhead DynamoDB bills for
+ * - Monthly cost of a request rate in on-demand and provisioned capacity mode
+ */
+
+// Prices in USD (us-east-1, Standard table class), editable because they differ per region and change over time
+const DEFAULT_PRICING = {
+    writeRequestUnits: 0.625,
+    readRequestUnits: 0.125,
+    writeCapacityUnitHour: 0.00065,
+    readCapacityUnitHour: 0.00013,
+    storageGbMonth: 0.25
+};
+
+// Request units are billed per million
+const REQUEST_UNITS_PER_PRICE = 1000000;
+
+// The request rate used when none is configured
+const DEFAULT_WORKLOAD = {
+    readsPerSecond: 10,
+    writesPerSecond: 5,
+    consistency: 'eventual',
+    targetUtilization: 70
+};
+
+const READ_CONSISTENCIES = ['eventual', 'strong'];
+
+// Every item and index entry is billed 100 bytes on top of its data
+const ITEM_OVERHEAD_BYTES = 100;
+
+const WRITE_UNIT_BYTES = 1024;
+const READ_UNIT_BYTES = 4 * 1024;
+const BYTES_PER_GB = 1024 * 1024 * 1024;
+const HOURS_PER_MONTH = 730;
+const SECONDS_PER_MONTH = HOURS_PER_MONTH * 60 * 60;
+
+/**
+ * Get the write units consumed by writing an item
+ * @param {number} size - The item size in bytes
+ * @returns {number} One unit per started KB
+ */
+function getWriteUnits(size) {
+    return Math.max(1, Math.ceil(size / WRITE_UNIT_BYTES));
+}
+
+/**
+ * Get the read units consumed by reading an item
+ * @param {number} size - The item size in bytes
+ * @param {string} consistency - eventual or strong
+ * @returns {number} One unit per started 4 KB for strongly consistent reads, half for eventually consistent reads
+ */
+function getReadUnits(size, consistency) {
+    const units = Math.max(1, Math.ceil(size / READ_UNIT_BYTES));
+    
+    return consistency === 'strong' ? units : units / 2;
+}
+
+/**
+ * Merge prices with the default prices and check them
+ * @param {Object} [pricing={}] - Prices keyed like DEFAULT_PRICING
+ * @returns {Object} The complete prices
+ */
+function normalizePricing(pricing = {}) {
+    const normalized = { ...DEFAULT_PRICING };
+    
+    Object.keys(DEFAULT_PRICING).forEach(key => {
+        if (!Object.prototype.hasOwnProperty.call(pricing, key) || pricing[key] === '' || pricing[key] === null) {
+            return;
+        }
+        
+        const price = Number(pricing[key]);
+        
+        if (!Number.isFinite(price) || price < 0) {
+            throw new Error(`Invalid price for ${key}: ${pricing[key]}`);
+        }
+        
+        normalized[key] = price;
+    });
+    
+    return normalized;
+}
+
+/**
+ * Merge a request rate with the default request rate and check it
+ * @param {Object} [workload={}] - Request rate keyed like DEFAULT_WORKLOAD
+ * @returns {Object} The complete request rate
+ */
+function normalizeWorkload(workload = {}) {
+    const normalized = { ...DEFAULT_WORKLOAD, ...workload };
+    
+    ['readsPerSecond', 'writesPerSecond', 'targetUtilization'].forEach(key => {
+        normalized[key] = Number(normalized[key]);
+        
+        if (!Number.isFinite(normalized[key]) || normalized[key] < 0) {
+            throw new Error(`Invalid ${key}: ${workload[key]}`);
+        }
+    });
+    
+    if (normalized.targetUtilization === 0 || normalized.targetUtilization > 100) {
+        throw new Error(`Invalid targetUtilization: ${workload.targetUtilization}, expected a percentage above 0`);
+    }
+    
+    if (!READ_CONSISTENCIES.includes(normalized.consistency)) {
+        throw new Error(`Unknown read consistency: ${normalized.consistency}`);
+    }
+    
+    return normalized;
+}
+
+/**
+ * Estimate the capacity and cost of a table
+ * @param {Object} table - Table model with the size and index entries of every item
+ * @param {Object} workload - The normalized request rate
+ * @param {Object} pricing - The normalized prices
+ * @returns {Object} Seed load, per-item units, storage and monthly cost of the table
+ */
+function estimateTableCapacity(table, workload, pricing) {
+    const items = table.items || [];
+    let seedWriteUnits = 0;
+    let itemReadUnits = 0;
+    let storageBytes = 0;
+    
+    items.forEach(item => {
+        const writeUnits = getWriteUnits(item.size);
+        
+        // Every index holding the item is written (and stores a copy, as indexes project all attributes)
+        seedWriteUnits += writeUnits * (1 + item.indexEntries);
+        itemReadUnits += getReadUnits(item.size, workload.consistency);
+        storageBytes += (item.size + ITEM_OVERHEAD_BYTES) * (1 + item.indexEntries);
+    });
+    
+    const count = items.length;
+    const averageWriteUnits = count ? seedWriteUnits / count : 0;
+    const averageReadUnits = count ? itemReadUnits / count : 0;
+    const storageGb = storageBytes / BYTES_PER_GB;
+    const storageCost = storageGb * pricing.storageGbMonth;
+    
+    // On-demand tables pay per request unit
+    const monthlyWriteUnits = workload.writesPerSecond * averageWriteUnits * SECONDS_PER_MONTH;
+    const monthlyReadUnits = workload.readsPerSecond * averageReadUnits * SECONDS_PER_MONTH;
+    const onDemandCost = (monthlyWriteUnits * pricing.writeRequestUnits + monthlyReadUnits * pricing.readRequestUnits) / REQUEST_UNITS_PER_PRICE;
+    
+    // Provisioned tables pay per hour for capacity kept above the request rate by the target utilization
+    const utilization = workload.targetUtilization / 100;
+    const writeCapacity = Math.ceil(workload.writesPerSecond * averageWriteUnits / utilization);
+    const readCapacity = Math.ceil(workload.readsPerSecond * averageReadUnits / utilization);
+    const provisionedCost = (writeCapacity * pricing.writeCapacityUnitHour + readCapacity * pricing.readCapacityUnitHour) * HOURS_PER_MONTH;
+    
+    return {
+        tableName: table.tableName,
+        itemCount: count,
+        averageItemSize: count ? items.reduce((sum, item) => sum + item.size, 0) / count : 0,
+        maxItemSize: items.reduce((max, item) => Math.max(max, item.size), 0),
+        averageWriteUnits,
+        averageReadUnits,
+        seed: {
+            writeUnits: seedWriteUnits,
+            onDemandCost: seedWriteUnits * pricing.writeRequestUnits / REQUEST_UNITS_PER_PRICE,
+            // Seconds the load takes at the provisioned write capacity of the table
+            provisionedSeconds: table.writeCapacity ? seedWriteUnits / table.writeCapacity : null
+        },
+        storage: {
+            bytes: storageBytes,
+            monthlyCost: storageCost
+        },
+        onDemand: {
+            writeUnits: monthlyWriteUnits,
+            readUnits: monthlyReadUnits,
+            monthlyCost: onDemandCost + storageCost
+        },
+        provisioned: {
+            writeCapacity,
+            readCapacity,
+            monthlyCost: provisionedCost + storageCost
+        }
+    };
+}
+
+/**
+ * Estimate the capacity and cost of the generated tables
+ * @param {Array<Object>} tables - Table models of the generation result, with the size and index entries of every item
+ * @param {Object} [workload={}] - Request rate per table (readsPerSecond, writesPerSecond, consistency, targetUtilization)
+ * @param {Object} [pricing={}] - Prices keyed like DEFAULT_PRICING
+ * @returns {Object} Estimates per table and their totals
+ */
+function estimateCapacity(tables, workload = {}, pricing = {}) {
+    const normalizedWorkload = normalizeWorkload(workload);
+    const normalizedPricing = normalizePricing(pricing);
+    const estimates = tables.map(table => estimateTableCapacity(table, normalizedWorkload, normalizedPricing));
+    const sum = getValue => estimates.reduce((total, estimate) => total + getValue(estimate), 0);
+    
+    return {
+        workload: normalizedWorkload,
+        pricing: normalizedPricing,
+        tables: estimates,
+        totals: {
+            itemCount: sum(estimate => estimate.itemCount),
+            seedWriteUnits: sum(estimate => estimate.seed.writeUnits),
+            seedOnDemandCost: sum(estimate => estimate.seed.onDemandCost),
+            storageBytes: sum(estimate => estimate.storage.bytes),
+            onDemandMonthlyCost: sum(estimate => estimate.onDemand.monthlyCost),
+            provisionedMonthlyCost: sum(estimate => estimate.provisioned.monthlyCost)
+        }
+    };
+}
+
+// Export constants and functions
+export {
+    DEFAULT_PRICING,
+    DEFAULT_WORKLOAD,
+    getWriteUnits,
+    getReadUnits,
+    normalizePricing,
+    normalizeWorkload,
+    estimateCapacity
+};
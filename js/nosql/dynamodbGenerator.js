@@ -6,60 +6,155 @@
  * This module handles DynamoDB document generation from JSON data.
  */
 
-import { generateId } from '../utils.js';
+import { generateId, toPascalCase, toSnakeCase } from '../utils.js';
 import { logInfo } from '../logger.js';
+import { isReferencedArray, buildReferenceGraph, reuseId, getReferenceId, resolveReferences } from './references.js';
+import { inferSchema, isSingleType, suggestIndexFields } from './schemaInference.js';
+import { pluralize, singularize, resolveCollectionName, joinPath, unwrapRootData } from './naming.js';
+import { toStringLiteral, isIdentifier, toPropertyKey, toIdentifier, getUniqueName, toCommentText, toShellArgument } from './literals.js';
+import { createGeneratorOutput, addDocument, addIndex, addFile, addReference, addWarning } from './documentModel.js';
+import { getAttributeType, createTableModels, toCreateTableInput, renderCloudFormation, renderCdk, renderTerraform } from './dynamodbTables.js';
+
+// A BatchWriteItem request holds at most this many put or delete requests
+const MAX_BATCH_WRITE_ITEMS = 25;
+
+// Retries of unprocessed batch write items, with the first backoff delay in milliseconds
+const MAX_BATCH_WRITE_RETRIES = 8;
+const BATCH_WRITE_BASE_DELAY_MS = 100;
+
+// Item limits enforced by DynamoDB
+const MAX_ITEM_SIZE_BYTES = 400 * 1024;
+const MAX_NESTING_DEPTH = 32;
+const MAX_NUMBER_DIGITS = 38;
+
+// Element types of the set types, and the numbers a number set element holds
+const SET_ELEMENT_TYPES = {
+    SS: 'strings',
+    NS: 'numbers',
+    BS: 'binary values'
+};
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+
+// Violations listed when invalid items block the generation
+const MAX_REPORTED_VIOLATIONS = 20;
+
+// Overloaded global secondary indexes of the single-table design
+const SINGLE_TABLE_INDEXES = [
+    { name: 'GSI1', partitionKey: 'GSI1PK', sortKey: 'GSI1SK' },
+    { name: 'GSI2', partitionKey: 'GSI2PK', sortKey: 'GSI2SK' }
+];
+
+// Attributes every single-table item gets, which data attributes of the same name must not overwrite
+const SINGLE_TABLE_ATTRIBUTES = ['PK', 'SK', 'GSI1PK', 'GSI1SK', 'GSI2PK', 'GSI2SK', 'type', 'id'];
+
+// ${attribute} placeholders of the single-table key patterns
+const KEY_PLACEHOLDER = /\$\{([^}]+)\}/g;
+
+// Key types offered for the partition and sort keys
+const KEY_TYPE_CHOICES = [
+    { value: 'auto', label: 'Inferred from Data' },
+    { value: 'S', label: 'String (S)' },
+    { value: 'N', label: 'Number (N)' },
+    { value: 'B', label: 'Binary (B)' }
+];
+
+// Infrastructure-as-code table definitions: file name, output language and renderer
+const TABLE_DEFINITION_FORMATS = {
+    cloudformation: { fileName: 'template.yaml', language: 'yaml', render: renderCloudFormation },
+    cdk: { fileName: 'dynamodb-stack.ts', language: 'typescript', render: renderCdk },
+    terraform: { fileName: 'dynamodb.tf', language: 'hcl', render: renderTerraform }
+};
 
 /**
  * Generate DynamoDB documents from JSON data
  * @param {Object} jsonData - The JSON data to convert
  * @param {string} structure - The document structure type
  * @param {Object} options - Generation options
- * @returns {string} DynamoDB document code
+ * @returns {Object} Object containing the DynamoDB code, items, indexes, files and warnings
  */
 function generateDynamoDBDocuments(jsonData, structure, options) {
     logInfo('Generating DynamoDB documents...');
     
+    const output = createGeneratorOutput();
     let result = '';
     
-    // Add DynamoDB SDK import and initialization
-    result += '// AWS DynamoDB Code\n';
-    result += '// Requires AWS SDK to be initialized in your project\n\n';
-    result += '// Import AWS SDK modules\n';
-    result += 'import { DynamoDBClient } from "@aws-sdk/client-dynamodb";\n';
-    result += 'import { DynamoDBDocumentClient, PutCommand, BatchWriteCommand } from "@aws-sdk/lib-dynamodb";\n\n';
-    result += '// Initialize DynamoDB client\n';
-    result += 'const client = new DynamoDBClient({ region: "us-east-1" });\n';
-    result += 'const docClient = DynamoDBDocumentClient.from(client);\n\n';
-    
-    // Get the table name from the first key or use a default
-    const tableName = Array.isArray(jsonData) ? 'Items' : 
-                     Object.keys(jsonData).length > 0 ? Object.keys(jsonData)[0] : 
-                     'DynamoTable';
+    // A root object whose single key holds the array is unwrapped into that table
+    const { data, path } = unwrapRootData(jsonData);
+    const tableName = resolveCollectionName(path, path || 'Items', options);
+    let documentsCode = '';
     
     // Generate documents based on structure type
     switch (structure) {
         case 'nested':
-            result += generateNestedDocuments(jsonData, tableName, options);
+            documentsCode = generateNestedDocuments(data, tableName, options, output);
             break;
         case 'flat':
-            result += generateFlatDocuments(jsonData, tableName, options);
+            documentsCode = generateFlatDocuments(data, tableName, options, output);
             break;
         case 'references':
-            result += generateReferencedDocuments(jsonData, tableName, options);
+            documentsCode = generateReferencedDocuments(data, tableName, options, output, path);
             break;
         case 'arrays':
-            result += generateArrayBasedDocuments(jsonData, tableName, options);
+            documentsCode = generateArrayBasedDocuments(data, tableName, options, output);
+            break;
+        case 'singleTable':
+            documentsCode = generateSingleTableDocuments(data, tableName, options, output, path);
             break;
         default:
-            result += generateNestedDocuments(jsonData, tableName, options);
+            addWarning(output, `Unknown structure "${structure}", using nested documents`);
+            documentsCode = generateNestedDocuments(data, tableName, options, output);
+    }
+    
+    const schema = inferSchema(data);
+    
+    const keys = getTableKeys(structure, options);
+    
+    // The single-table design defines its own overloaded indexes
+    const suggestIndexes = options.addIndexes && structure !== 'singleTable';
+    
+    // Index suggestions also record the index definitions used by the table definitions and the CLI export
+    const indexSuggestions = suggestIndexes ? generateIndexSuggestions(schema, tableName, keys, output) : '';
+    const tables = createTableModels(output, keys, options);
+    
+    validateItems(output, tables, options);
+    output.tables = addItemSizes(output, tables, options);
+    
+    // Tables are modelled from their items, so empty input has no table to define
+    if (structure === 'singleTable' && tables.length > 0) {
+        addFile(output, 'table-definition.json', `${JSON.stringify(toCreateTableInput(tables[0]), null, 2)}\n`, 'json');
+    } else if (structure === 'singleTable') {
+        addWarning(output, `No items to write, so no table definition was generated for ${tableName}`);
     }
     
-    // Add index suggestions if enabled
-    if (options.addIndexes) {
-        result += generateIndexSuggestions(jsonData, tableName);
+    addTableDefinitions(output, tables, options.tableDefinition || 'cloudformation');
+    
+    if (options.outputFormat === 'cli') {
+        return {
+            code: generateBatchWriteExport(output, { ...options, addIndexes: suggestIndexes }) + renderCliQueryExamples(tables, output, options),
+            language: 'shell',
+            ...output
+        };
     }
     
-    return result;
+    // Add DynamoDB SDK import and initialization
+    result += '// AWS DynamoDB Code\n';
+    result += '// Requires AWS SDK to be initialized in your project\n\n';
+    result += '// Import AWS SDK modules\n';
+    result += 'import { DynamoDBClient } from "@aws-sdk/client-dynamodb";\n';
+    result += `import { DynamoDBDocumentClient, PutCommand, BatchWriteCommand, ${structure === 'singleTable' ? 'GetCommand, ' : ''}QueryCommand, ScanCommand, ExecuteStatementCommand } from "@aws-sdk/lib-dynamodb";\n\n`;
+    result += '// Initialize DynamoDB client\n';
+    result += 'const client = new DynamoDBClient({ region: "us-east-1" });\n';
+    result += 'const docClient = DynamoDBDocumentClient.from(client);\n\n';
+    result += documentsCode;
+    result += indexSuggestions;
+    
+    // The single-table design has its own access pattern queries
+    result += generateQueryExamples(tables, output, options, structure !== 'singleTable');
+    
+    return {
+        code: result,
+        ...output
+    };
 }
 
 /**
@@ -67,117 +162,23 @@ function generateDynamoDBDocuments(jsonData, structure, options) {
  * @param {Object} jsonData - The JSON data to convert
  * @param {string} tableName - The name of the table
  * @param {Object} options - Generation options
+ * @param {Object} output - Generator output to record items in
  * @returns {string} DynamoDB document code
  */
-function generateNestedDocuments(jsonData, tableName, options) {
+function generateNestedDocuments(jsonData, tableName, options, output) {
     let result = `// Nested document structure\n`;
     
     // Convert data to array if it's not already
     const dataArray = Array.isArray(jsonData) ? jsonData : [jsonData];
+    const items = dataArray.map((item, index) => createItemData(item, index, options, output, tableName));
     
-    if (dataArray.length <= 25) {
-        // Use BatchWriteCommand for smaller datasets (DynamoDB batch write limit is 25 items)
-        result += `// Function to add items using BatchWriteCommand\n`;
-        result += `async function addNestedItems() {\n`;
-        result += `  const items = [];\n\n`;
-        
-        // Generate items array
-        dataArray.forEach((item, index) => {
-            result += `  // Item ${index + 1}\n`;
-            result += `  items.push({\n`;
-            result += `    PutRequest: {\n`;
-            result += `      Item: {\n`;
-            
-            // Add primary key
-            if (options.addIds) {
-                result += `        id: "${generateId(true)}",\n`;
-            } else {
-                result += `        id: "${index + 1}",\n`;
-            }
-            
-            // Add sort key if specified
-            if (options.sortKey) {
-                result += `        ${options.sortKey}: "${new Date().toISOString()}",\n`;
-            }
-            
-            // Add timestamps if enabled
-            if (options.addTimestamps) {
-                result += `        createdAt: "${new Date().toISOString()}",\n`;
-                result += `        updatedAt: "${new Date().toISOString()}",\n`;
-            }
-            
-            // Add the data fields
-            Object.entries(item).forEach(([key, value]) => {
-                result += `        ${key}: ${dynamoValueToString(value)},\n`;
-            });
-            
-            result += `      }\n`;
-            result += `    }\n`;
-            result += `  });\n\n`;
-        });
-        
-        // Add batch write command
-        result += `  const command = new BatchWriteCommand({\n`;
-        result += `    RequestItems: {\n`;
-        result += `      "${tableName}": items\n`;
-        result += `    }\n`;
-        result += `  });\n\n`;
-        result += `  try {\n`;
-        result += `    const response = await docClient.send(command);\n`;
-        result += `    console.log("Success - items added to ${tableName}");\n`;
-        result += `    return response;\n`;
-        result += `  } catch (err) {\n`;
-        result += `    console.error("Error:", err);\n`;
-        result += `  }\n`;
-        result += `}\n\n`;
-    } else {
-        // Use individual PutCommand for larger datasets
-        result += `// Function to add items using individual PutCommand\n`;
-        result += `async function addNestedItems() {\n`;
-        result += `  try {\n`;
-        
-        // Generate put commands for each item
-        dataArray.forEach((item, index) => {
-            result += `    // Item ${index + 1}\n`;
-            result += `    await docClient.send(\n`;
-            result += `      new PutCommand({\n`;
-            result += `        TableName: "${tableName}",\n`;
-            result += `        Item: {\n`;
-            
-            // Add primary key
-            if (options.addIds) {
-                result += `          id: "${generateId(true)}",\n`;
-            } else {
-                result += `          id: "${index + 1}",\n`;
-            }
-            
-            // Add sort key if specified
-            if (options.sortKey) {
-                result += `          ${options.sortKey}: "${new Date().toISOString()}",\n`;
-            }
-            
-            // Add timestamps if enabled
-            if (options.addTimestamps) {
-                result += `          createdAt: "${new Date().toISOString()}",\n`;
-                result += `          updatedAt: "${new Date().toISOString()}",\n`;
-            }
-            
-            // Add the data fields
-            Object.entries(item).forEach(([key, value]) => {
-                result += `          ${key}: ${dynamoValueToString(value)},\n`;
-            });
-            
-            result += `        }\n`;
-            result += `      })\n`;
-            result += `    );\n\n`;
-        });
-        
-        result += `    console.log("Success - ${dataArray.length} items added to ${tableName}");\n`;
-        result += `  } catch (err) {\n`;
-        result += `    console.error("Error:", err);\n`;
-        result += `  }\n`;
-        result += `}\n\n`;
-    }
+    items.forEach(item => addDocument(output, tableName, getItemId(item, options), item));
+    
+    result += renderBatchWriteHelpers(options);
+    result += `// Function to add items using BatchWriteCommand\n`;
+    result += `async function addNestedItems() {\n`;
+    result += renderBatchWriteItems(tableName, items, options, `Success - ${items.length} items added to ${tableName}`);
+    result += `}\n\n`;
     
     return result;
 }
@@ -187,62 +188,107 @@ function generateNestedDocuments(jsonData, tableName, options) {
  * @param {Object} jsonData - The JSON data to convert
  * @param {string} tableName - The name of the table
  * @param {Object} options - Generation options
+ * @param {Object} output - Generator output to record items in
  * @returns {string} DynamoDB document code
  */
-function generateFlatDocuments(jsonData, tableName, options) {
+function generateFlatDocuments(jsonData, tableName, options, output) {
     let result = `// Flat document structure\n`;
     
     // Convert data to array if it's not already
     const dataArray = Array.isArray(jsonData) ? jsonData : [jsonData];
     
+    // Flatten the objects before adding keys and timestamps
+    const items = dataArray.map((item, index) => createItemData(flattenObject(item), index, options, output, tableName));
+    
+    items.forEach(item => addDocument(output, tableName, getItemId(item, options), item));
+    
+    result += renderBatchWriteHelpers(options);
     result += `// Function to add flattened items\n`;
     result += `async function addFlatItems() {\n`;
-    result += `  try {\n`;
+    result += renderBatchWriteItems(tableName, items, options, `Success - ${items.length} flat items added to ${tableName}`);
+    result += `}\n\n`;
     
-    // Generate put commands for each item
-    dataArray.forEach((item, index) => {
-        // Flatten the object
-        const flattenedObject = flattenObject(item);
-        
-        result += `    // Item ${index + 1}\n`;
-        result += `    await docClient.send(\n`;
-        result += `      new PutCommand({\n`;
-        result += `        TableName: "${tableName}",\n`;
-        result += `        Item: {\n`;
-        
-        // Add primary key
-        if (options.addIds) {
-            result += `          id: "${generateId(true)}",\n`;
-        } else {
-            result += `          id: "${index + 1}",\n`;
-        }
-        
-        // Add sort key if specified
-        if (options.sortKey) {
-            result += `          ${options.sortKey}: "${new Date().toISOString()}",\n`;
-        }
-        
-        // Add timestamps if enabled
-        if (options.addTimestamps) {
-            result += `          createdAt: "${new Date().toISOString()}",\n`;
-            result += `          updatedAt: "${new Date().toISOString()}",\n`;
-        }
-        
-        // Add the flattened data fields
-        Object.entries(flattenedObject).forEach(([key, value]) => {
-            result += `          ${key}: ${dynamoValueToString(value)},\n`;
-        });
-        
-        result += `        }\n`;
-        result += `      })\n`;
-        result += `    );\n\n`;
+    return result;
+}
+
+/**
+ * Render the helpers that write items in BatchWriteCommand chunks
+ * @param {Object} options - Generation options (batchConcurrency)
+ * @returns {string} The chunking, retry and concurrency helpers
+ */
+function renderBatchWriteHelpers(options) {
+    const concurrency = Math.max(1, Math.floor(Number(options.batchConcurrency)) || 1);
+    let result = '';
+    
+    result += `// A BatchWriteCommand holds at most ${MAX_BATCH_WRITE_ITEMS} put requests, the items DynamoDB could not\n`;
+    result += `// process (UnprocessedItems) are sent again with exponential backoff\n`;
+    result += `const MAX_BATCH_ITEMS = ${MAX_BATCH_WRITE_ITEMS};\n`;
+    result += `const MAX_RETRIES = ${MAX_BATCH_WRITE_RETRIES};\n`;
+    result += `const BASE_DELAY_MS = ${BATCH_WRITE_BASE_DELAY_MS};\n\n`;
+    result += `// Number of chunks written at the same time\n`;
+    result += `const BATCH_CONCURRENCY = ${concurrency};\n\n`;
+    result += `const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));\n\n`;
+    result += `// Write one chunk of items, retrying the unprocessed ones\n`;
+    result += `async function writeChunk(tableName, items) {\n`;
+    result += `  let requests = items.map(Item => ({ PutRequest: { Item } }));\n\n`;
+    result += `  for (let attempt = 0; requests.length > 0; attempt++) {\n`;
+    result += `    if (attempt > MAX_RETRIES) {\n`;
+    result += `      throw new Error(\`\${requests.length} items of \${tableName} were not written after \${MAX_RETRIES} retries\`);\n`;
+    result += `    }\n\n`;
+    result += `    if (attempt > 0) {\n`;
+    result += `      // Full jitter: a random delay of up to BASE_DELAY_MS, then twice as long on every retry\n`;
+    result += `      await sleep(Math.random() * BASE_DELAY_MS * 2 ** (attempt - 1));\n`;
+    result += `    }\n\n`;
+    result += `    const { UnprocessedItems } = await docClient.send(new BatchWriteCommand({\n`;
+    result += `      RequestItems: { [tableName]: requests }\n`;
+    result += `    }));\n\n`;
+    result += `    requests = (UnprocessedItems && UnprocessedItems[tableName]) || [];\n`;
+    result += `  }\n`;
+    result += `}\n\n`;
+    result += `// Split the items into chunks and write up to BATCH_CONCURRENCY chunks at a time\n`;
+    result += `async function batchWriteItems(tableName, items) {\n`;
+    result += `  const chunks = [];\n\n`;
+    result += `  for (let i = 0; i < items.length; i += MAX_BATCH_ITEMS) {\n`;
+    result += `    chunks.push(items.slice(i, i + MAX_BATCH_ITEMS));\n`;
+    result += `  }\n\n`;
+    result += `  let next = 0;\n`;
+    result += `  const worker = async () => {\n`;
+    result += `    while (next < chunks.length) {\n`;
+    result += `      await writeChunk(tableName, chunks[next++]);\n`;
+    result += `    }\n`;
+    result += `  };\n\n`;
+    result += `  await Promise.all(Array.from({ length: Math.min(BATCH_CONCURRENCY, chunks.length) }, worker));\n`;
+    result += `}\n\n`;
+    
+    return result;
+}
+
+/**
+ * Render the body of a function writing items with batchWriteItems
+ * @param {string} tableName - The name of the table
+ * @param {Array<Object>} items - The items
+ * @param {Object} options - Generation options
+ * @param {string} message - The success message
+ * @param {Function} [getLabel] - Returns the comment above an item, from the item and its index
+ * @returns {string} The items array and the batch write
+ */
+function renderBatchWriteItems(tableName, items, options, message, getLabel = (item, index) => `Item ${index + 1}`) {
+    let result = `  const items = [\n`;
+    
+    items.forEach((item, index) => {
+        result += `    // ${getLabel(item, index)}\n`;
+        result += `    {\n`;
+        result += renderItemFields(item, '      ', options);
+        result += `    },\n`;
     });
     
-    result += `    console.log("Success - ${dataArray.length} flat items added to ${tableName}");\n`;
+    result += `  ];\n\n`;
+    result += `  try {\n`;
+    result += `    await batchWriteItems(${toStringLiteral(tableName)}, items);\n`;
+    result += `    console.log(${toStringLiteral(message)});\n`;
     result += `  } catch (err) {\n`;
     result += `    console.error("Error:", err);\n`;
     result += `  }\n`;
-    result += `}\n\n`;
     
     return result;
 }
@@ -252,331 +298,1468 @@ function generateFlatDocuments(jsonData, tableName, options) {
  * @param {Object} jsonData - The JSON data to convert
  * @param {string} tableName - The name of the table
  * @param {Object} options - Generation options
+ * @param {Object} output - Generator output to record items in
+ * @param {string} [path=''] - The data path of the root items
  * @returns {string} DynamoDB document code
  */
-function generateReferencedDocuments(jsonData, tableName, options) {
+function generateReferencedDocuments(jsonData, tableName, options, output, path = '') {
     let result = `// Referenced document structure using single table design\n`;
     result += `// This approach uses a single table with different item types\n\n`;
     
-    result += `// Function to add items with references\n`;
-    result += `async function addReferencedItems() {\n`;
-    result += `  try {\n`;
-    
-    // Extract entity types and their items
-    const entities = {};
+    // Convert data to array if it's not already
+    const dataArray = Array.isArray(jsonData) ? jsonData : [jsonData];
     
-    if (Array.isArray(jsonData)) {
-        entities['Main'] = jsonData;
-        extractEntities(jsonData, entities);
-    } else {
-        entities['Main'] = [jsonData];
-        extractEntities([jsonData], entities);
-    }
+    // Every item gets its id up front (keeping the id it has) so references point at real items
+    const graph = buildReferenceGraph(
+        dataArray,
+        path ? toPascalCase(singularize(path)) : 'Main',
+        (key, isArray, childPath) => getEntityType(key, isArray, childPath, options),
+        (entityType, item) => reuseId(item, 'id', () => generateId(true)),
+        path
+    );
+    const entities = graph.collections;
+    const items = [];
+    const labels = [];
     
-    // Generate put commands for each entity type
-    Object.entries(entities).forEach(([entityType, items]) => {
-        items.forEach((item, index) => {
-            const itemId = generateId(true);
-            
-            result += `    // ${entityType} item ${index + 1}\n`;
-            result += `    await docClient.send(\n`;
-            result += `      new PutCommand({\n`;
-            result += `        TableName: "${tableName}",\n`;
-            result += `        Item: {\n`;
-            result += `          PK: "${entityType}#${itemId}",\n`;
-            result += `          SK: "${entityType}#${itemId}",\n`;
-            result += `          type: "${entityType}",\n`;
-            result += `          id: "${itemId}",\n`;
+    // Build the items of each entity type
+    Object.entries(entities).forEach(([entityType, entityItems]) => {
+        entityItems.forEach((item, index) => {
+            const itemId = getReferenceId(graph, item);
+            const itemData = {
+                PK: `${entityType}#${itemId}`,
+                SK: `${entityType}#${itemId}`,
+                type: entityType,
+                id: itemId
+            };
             
             // Add timestamps if enabled
             if (options.addTimestamps) {
-                result += `          createdAt: "${new Date().toISOString()}",\n`;
-                result += `          updatedAt: "${new Date().toISOString()}",\n`;
+                const now = new Date();
+                itemData.createdAt = now;
+                itemData.updatedAt = now;
             }
             
-            // Add the data fields
-            Object.entries(item).forEach(([key, value]) => {
-                // Skip nested objects that became separate entities
-                if (typeof value === 'object' && value !== null && !Array.isArray(value) && Object.keys(value).length > 0) {
-                    const refId = generateId(true);
-                    const refType = key.charAt(0).toUpperCase() + key.slice(1);
-                    result += `          ${key}Id: "${refId}",\n`;
-                    result += `          ${key}Type: "${refType}",\n`;
-                } else {
-                    result += `          ${key}: ${dynamoValueToString(value)},\n`;
+            // Nested objects became separate entities, keep their ids and type instead
+            Object.assign(itemData, resolveReferences(graph, item, (key, target, targetCollection) => {
+                if (Array.isArray(target)) {
+                    addReference(output, entityType, `${key}Ids`, targetCollection);
+                    return { [`${key}Ids`]: target.map(child => child.id), [`${key}Type`]: targetCollection };
                 }
-            });
+                
+                addReference(output, entityType, `${key}Id`, targetCollection);
+                return { [`${key}Id`]: target.id, [`${key}Type`]: targetCollection };
+            }));
             
-            result += `        }\n`;
-            result += `      })\n`;
-            result += `    );\n\n`;
+            addDocument(output, tableName, itemId, itemData);
+            items.push(itemData);
+            labels.push(`${toCommentText(entityType)} item ${index + 1}`);
         });
     });
     
     // Add code for creating relationships
     if (Object.keys(entities).length > 1) {
-        result += `    // Note: In a real application, you would create relationships\n`;
-        result += `    // between entities using GSIs (Global Secondary Indexes)\n`;
-        result += `    // Example: PK: "Main#123", SK: "RelatedEntity#456"\n\n`;
+        result += `// Note: In a real application, you would create relationships\n`;
+        result += `// between entities using GSIs (Global Secondary Indexes)\n`;
+        result += `// Example: PK: "Main#123", SK: "RelatedEntity#456"\n\n`;
     }
     
-    result += `    console.log("Success - items added to ${tableName} with references");\n`;
-    result += `  } catch (err) {\n`;
-    result += `    console.error("Error:", err);\n`;
-    result += `  }\n`;
+    result += renderBatchWriteHelpers(options);
+    result += `// Function to add items with references\n`;
+    result += `async function addReferencedItems() {\n`;
+    result += renderBatchWriteItems(tableName, items, options, `Success - items added to ${tableName} with references`, (item, index) => labels[index]);
     result += `}\n\n`;
     
     return result;
 }
 
 /**
- * Generate array-based DynamoDB documents
+ * Generate DynamoDB items for a single-table design with overloaded keys and indexes
  * @param {Object} jsonData - The JSON data to convert
  * @param {string} tableName - The name of the table
- * @param {Object} options - Generation options
- * @returns {string} DynamoDB document code
+ * @param {Object} options - Generation options (keyPatterns)
+ * @param {Object} output - Generator output to record items, indexes and files in
+ * @param {string} [path=''] - The data path of the root items
+ * @returns {string} DynamoDB item and access pattern code
  */
-function generateArrayBasedDocuments(jsonData, tableName, options) {
-    let result = `// Array-based document structure\n`;
+function generateSingleTableDocuments(jsonData, tableName, options, output, path = '') {
+    let result = `// Single-table design\n`;
+    result += `// PK/SK hold the entity keys, and child entities live in the item collection of their parent\n`;
+    result += `// GSI1 (GSI1PK = SK, GSI1SK = PK) finds an item by its own key, GSI2 (GSI2PK = entity type) lists an entity type\n`;
+    result += `// Create the table with: aws dynamodb create-table --cli-input-json file://table-definition.json\n\n`;
     
     // Convert data to array if it's not already
     const dataArray = Array.isArray(jsonData) ? jsonData : [jsonData];
+    const context = {
+        options,
+        output,
+        patterns: parseKeyPatterns(options.keyPatterns),
+        entityTypes: new Map(),
+        items: [],
+        renamedAttributes: new Set(),
+        nextId: 0
+    };
     
-    result += `// Function to add a single item with array of sub-items\n`;
-    result += `async function addArrayBasedItem() {\n`;
-    result += `  try {\n`;
-    result += `    // Create a single item with sub-items array\n`;
-    result += `    await docClient.send(\n`;
-    result += `      new PutCommand({\n`;
-    result += `        TableName: "${tableName}",\n`;
-    result += `        Item: {\n`;
-    
-    // Add primary key
-    if (options.addIds) {
-        result += `          id: "${generateId(true)}",\n`;
-    } else {
-        result += `          id: "main-item",\n`;
-    }
-    
-    // Add timestamps if enabled
-    if (options.addTimestamps) {
-        result += `          createdAt: "${new Date().toISOString()}",\n`;
-        result += `          updatedAt: "${new Date().toISOString()}",\n`;
-    }
+    addSingleTableEntities(context, dataArray, path ? toPascalCase(singularize(path)) : 'Main', null, path);
     
-    // Add items array
-    result += `          items: [\n`;
+    const counts = {};
+    const labels = [];
     
-    dataArray.forEach((item, index) => {
-        result += `            {\n`;
-        
-        // Add item ID if enabled
-        if (options.addIds) {
-            result += `              id: "${generateId(true)}",\n`;
-        } else {
-            result += `              id: "item-${index + 1}",\n`;
-        }
-        
-        // Add the data fields
-        Object.entries(item).forEach(([key, value]) => {
-            result += `              ${key}: ${dynamoValueToString(value)},\n`;
-        });
-        
-        result += `            }${index < dataArray.length - 1 ? ',' : ''}\n`;
+    // Duplicate keys are reported by the item validation
+    context.items.forEach(({ type, itemData }) => {
+        counts[type] = (counts[type] || 0) + 1;
+        addDocument(output, tableName, itemData.SK, itemData);
+        labels.push(`${toCommentText(type)} item ${counts[type]}`);
     });
     
-    result += `          ]\n`;
-    result += `        }\n`;
-    result += `      })\n`;
-    result += `    );\n\n`;
-    
-    result += `    console.log("Success - array-based item added to ${tableName}");\n`;
-    result += `  } catch (err) {\n`;
-    result += `    console.error("Error:", err);\n`;
-    result += `  }\n`;
+    result += renderBatchWriteHelpers(options);
+    result += `// Function to add the single-table items\n`;
+    result += `async function addSingleTableItems() {\n`;
+    result += renderBatchWriteItems(tableName, context.items.map(({ itemData }) => itemData), options, `Success - ${context.items.length} items added to ${tableName}`, (item, index) => labels[index]);
     result += `}\n\n`;
     
+    SINGLE_TABLE_INDEXES.forEach(index => addIndex(output, tableName, [index.partitionKey, index.sortKey], index.name));
+    
+    result += renderSingleTableAccessPatterns(tableName, context.entityTypes);
+    
     return result;
 }
 
 /**
- * Generate index suggestions for DynamoDB
- * @param {Object} jsonData - The JSON data to analyze
- * @param {string} tableName - The name of the table
- * @returns {string} DynamoDB index suggestions
+ * Add items of one entity type, then their arrays of objects as child entities
+ * @param {Object} context - Generation context (options, output, key patterns, entity types, items and renamed attributes)
+ * @param {Array<Object>} items - The items
+ * @param {string} type - The entity type
+ * @param {Object|null} parent - The parent entity ({ type, key }), null for root items
+ * @param {string} dataPath - The data path of the items
  */
-function generateIndexSuggestions(jsonData, tableName) {
-    let result = `// DynamoDB Index Suggestions\n`;
-    result += `// These are suggestions for Global Secondary Indexes (GSIs)\n\n`;
+function addSingleTableEntities(context, items, type, parent, dataPath) {
+    const { options, output } = context;
+    const pattern = getKeyPattern(type, context.patterns);
     
-    const indexFields = [];
+    if (!context.entityTypes.has(type)) {
+        context.entityTypes.set(type, { pattern, parentType: parent ? parent.type : null });
+    }
     
-    // Analyze data to find potential index fields
-    if (Array.isArray(jsonData) && jsonData.length > 0) {
-        const sampleItem = jsonData[0];
+    items.forEach(item => {
+        const fields = {};
+        const children = [];
+        
+        // Nested objects stay map attributes, arrays of objects become child entities
+        Object.entries(item).forEach(([key, value]) => {
+            if (isReferencedArray(value)) {
+                children.push([key, value]);
+            } else {
+                fields[key] = value;
+            }
+        });
+        
+        const id = ['string', 'number'].includes(typeof item.id) ? item.id : createEntityId(context);
+        const key = renderKeyPattern(pattern, { ...fields, id }, type, output);
+        const itemData = {
+            PK: parent ? parent.key : key,
+            SK: key,
+            GSI1PK: key,
+            GSI1SK: parent ? parent.key : key,
+            GSI2PK: type,
+            GSI2SK: key,
+            type,
+            id
+        };
+        
+        // Add timestamps if enabled
+        if (options.addTimestamps) {
+            const now = new Date();
+            itemData.createdAt = now;
+            itemData.updatedAt = now;
+        }
         
-        // Look for common index candidates
-        Object.entries(sampleItem).forEach(([key, value]) => {
-            // ID fields are good candidates
-            if (key.toLowerCase().includes('id') || key.toLowerCase().endsWith('_id')) {
-                indexFields.push(key);
+        Object.entries(fields).forEach(([name, value]) => {
+            if (!SINGLE_TABLE_ATTRIBUTES.includes(name) || (name === 'id' && value === id)) {
+                itemData[name] = value;
+                return;
             }
             
-            // Date fields are good candidates
-            if (
-                (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) ||
-                value instanceof Date ||
-                key.toLowerCase().includes('date') ||
-                key.toLowerCase().includes('time')
-            ) {
-                indexFields.push(key);
-            }
+            // Data attributes named like a key or the entity type are kept under another name
+            const names = new Set([...SINGLE_TABLE_ATTRIBUTES, ...Object.keys(fields)]);
+            const renamed = getUniqueName(names, `data${name.charAt(0).toUpperCase()}${name.slice(1)}`);
+            itemData[renamed] = value;
             
-            // Name, email, username fields are good candidates
-            if (
-                key.toLowerCase().includes('name') ||
-                key.toLowerCase().includes('email') ||
-                key.toLowerCase().includes('username')
-            ) {
-                indexFields.push(key);
+            if (!context.renamedAttributes.has(`${type}.${name}`)) {
+                context.renamedAttributes.add(`${type}.${name}`);
+                addWarning(output, `The ${name} attribute of ${type} items is written as ${renamed}, as ${name} is an attribute of the single-table design`);
             }
         });
-    }
-    
-    // Generate index suggestions
-    if (indexFields.length > 0) {
-        result += `// CloudFormation template snippet for GSIs\n`;
-        result += `/*\n`;
-        result += `Resources:\n`;
-        result += `  ${tableName}Table:\n`;
-        result += `    Type: AWS::DynamoDB::Table\n`;
-        result += `    Properties:\n`;
-        result += `      TableName: ${tableName}\n`;
-        result += `      AttributeDefinitions:\n`;
-        result += `        - AttributeName: id\n`;
-        result += `          AttributeType: S\n`;
-        
-        // Add attribute definitions for index fields
-        indexFields.forEach(field => {
-            result += `        - AttributeName: ${field}\n`;
-            result += `          AttributeType: S\n`;
-        });
         
-        result += `      KeySchema:\n`;
-        result += `        - AttributeName: id\n`;
-        result += `          KeyType: HASH\n`;
-        result += `      GlobalSecondaryIndexes:\n`;
-        
-        // Add GSIs for each field
-        indexFields.forEach((field, index) => {
-            result += `        - IndexName: ${field}Index\n`;
-            result += `          KeySchema:\n`;
-            result += `            - AttributeName: ${field}\n`;
-            result += `              KeyType: HASH\n`;
-            result += `          Projection:\n`;
-            result += `            ProjectionType: ALL\n`;
+        context.items.push({ type, itemData });
+        
+        children.forEach(([childKey, childItems]) => {
+            const childPath = joinPath(dataPath, childKey);
             
-            if (index < indexFields.length - 1) {
-                result += `\n`;
-            }
+            addSingleTableEntities(context, childItems, getEntityType(childKey, true, childPath, options), { type, key }, childPath);
         });
+    });
+}
+
+/**
+ * Create an id for an entity without an id attribute
+ * @param {Object} context - Generation context
+ * @returns {string} The id
+ */
+function createEntityId(context) {
+    context.nextId++;
+    
+    return context.options.addIds ? generateId(true) : String(context.nextId);
+}
+
+/**
+ * Parse the key patterns of the entity types
+ * @param {string} [keyPatterns] - "Type=PATTERN" pairs separated by commas or new lines, where
+ *     ${attribute} placeholders are replaced by item attributes (e.g. User=USER#${id})
+ * @returns {Object} Key patterns per entity type
+ */
+function parseKeyPatterns(keyPatterns) {
+    const patterns = {};
+    
+    (keyPatterns || '').split(/[,\n]/).forEach(pair => {
+        if (!pair.trim()) {
+            return;
+        }
         
-        result += `*/\n\n`;
+        const separator = pair.indexOf('=');
+        const type = separator === -1 ? '' : pair.slice(0, separator).trim();
+        const pattern = separator === -1 ? '' : pair.slice(separator + 1).trim();
         
-        // Add AWS CLI example
-        result += `// AWS CLI command example:\n`;
-        result += `// aws dynamodb update-table \\\n`;
-        result += `//   --table-name ${tableName} \\\n`;
-        result += `//   --attribute-definitions AttributeName=${indexFields[0]},AttributeType=S \\\n`;
-        result += `//   --global-secondary-index-updates "[{\\"Create\\":{\\"IndexName\\":\\"${indexFields[0]}Index\\",\\"KeySchema\\":[{\\"AttributeName\\":\\"${indexFields[0]}\\",\\"KeyType\\":\\"HASH\\"}],\\"Projection\\":{\\"ProjectionType\\":\\"ALL\\"}}}]"\n\n`;
-    } else {
-        result += `// No obvious index candidates found in this data structure\n\n`;
+        if (!type || !pattern) {
+            throw new Error(`Invalid key pattern "${pair.trim()}", expected Type=PATTERN`);
+        }
+        
+        // A bare prefix keys the entity on its id
+        patterns[type] = pattern.includes('${') ? pattern : `${pattern}#\${id}`;
+    });
+    
+    return patterns;
+}
+
+/**
+ * Get the key pattern of an entity type
+ * @param {string} type - The entity type
+ * @param {Object} patterns - Key patterns per entity type
+ * @returns {string} The configured pattern, or TYPE#${id}
+ */
+function getKeyPattern(type, patterns) {
+    if (Object.prototype.hasOwnProperty.call(patterns, type)) {
+        return patterns[type];
     }
     
-    return result;
+    return `${toSnakeCase(type).toUpperCase() || 'ITEM'}#\${id}`;
 }
 
 /**
- * Extract entities for referenced document structure
- * @param {Array} items - The items to analyze
- * @param {Object} entities - Entities object to update
+ * Fill in the placeholders of a key pattern
+ * @param {string} pattern - The key pattern
+ * @param {Object} values - The item attributes
+ * @param {string} type - The entity type
+ * @param {Object} output - Generator output to record warnings in
+ * @returns {string} The key
  */
-function extractEntities(items, entities) {
-    items.forEach(item => {
-        Object.entries(item).forEach(([key, value]) => {
-            // If it's an object, make it a separate entity
-            if (typeof value === 'object' && value !== null && !Array.isArray(value) && Object.keys(value).length > 0) {
-                const entityType = key.charAt(0).toUpperCase() + key.slice(1);
-                
-                if (!entities[entityType]) {
-                    entities[entityType] = [];
-                }
-                
-                entities[entityType].push(value);
-            }
+function renderKeyPattern(pattern, values, type, output) {
+    return pattern.replace(KEY_PLACEHOLDER, (match, name) => {
+        const value = Object.prototype.hasOwnProperty.call(values, name) ? values[name] : undefined;
+        
+        if (value === undefined || value === null || typeof value === 'object') {
+            const message = `The key pattern ${pattern} of ${type} uses "${name}", which is not a scalar attribute of every item`;
             
-            // If it's an array of objects, make each object a separate entity
-            if (Array.isArray(value) && value.length > 0 && typeof value[0] === 'object' && value[0] !== null) {
-                const entityType = key.charAt(0).toUpperCase() + key.slice(1);
-                const singularType = entityType.endsWith('s') ? entityType.slice(0, -1) : entityType;
-                
-                if (!entities[singularType]) {
-                    entities[singularType] = [];
-                }
-                
-                entities[singularType].push(...value);
-                extractEntities(value, entities);
+            if (!output.warnings.includes(message)) {
+                addWarning(output, message);
             }
-        });
+            
+            return '';
+        }
+        
+        return String(value);
     });
 }
 
 /**
- * Flatten a nested object
- * @param {Object} obj - The object to flatten
- * @param {string} [prefix=''] - The current key prefix
- * @returns {Object} Flattened object
+ * Render a key pattern as a JavaScript expression over its placeholder variables
+ * @param {string} pattern - The key pattern
+ * @returns {string} A template literal, or a string literal for a pattern without placeholders
  */
-function flattenObject(obj, prefix = '') {
-    const flattened = {};
+function renderKeyExpression(pattern) {
+    if (getKeyParameters(pattern).length === 0) {
+        return toStringLiteral(pattern);
+    }
     
-    Object.entries(obj).forEach(([key, value]) => {
-        const newKey = prefix ? `${prefix}_${key}` : key;
-        
-        if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
-            Object.assign(flattened, flattenObject(value, newKey));
-        } else {
-            flattened[newKey] = value;
-        }
-    });
+    const escape = text => text.replace(/[`\\]/g, '\\$&').replace(/\$(?=\{)/g, '\\$');
+    let literal = '';
+    let last = 0;
     
-    return flattened;
+    for (const match of pattern.matchAll(KEY_PLACEHOLDER)) {
+        literal += `${escape(pattern.slice(last, match.index))}\${${toIdentifier(match[1], false)}}`;
+        last = match.index + match[0].length;
+    }
+    
+    return `\`${literal}${escape(pattern.slice(last))}\``;
 }
 
 /**
- * Convert JavaScript value to DynamoDB syntax string
- * @param {*} value - The value to convert
- * @returns {string} DynamoDB syntax string
+ * Get the variables a key pattern is built from
+ * @param {string} pattern - The key pattern
+ * @returns {Array<string>} The unique placeholder names as identifiers
  */
-function dynamoValueToString(value) {
+function getKeyParameters(pattern) {
+    return [...new Set([...pattern.matchAll(KEY_PLACEHOLDER)].map(match => toIdentifier(match[1], false)))];
+}
+
+/**
+ * Render query functions for the access patterns of a single-table design
+ * @param {string} tableName - The name of the table
+ * @param {Map} entityTypes - Key pattern and parent type per entity type
+ * @returns {string} Access pattern code
+ */
+function renderSingleTableAccessPatterns(tableName, entityTypes) {
+    const table = toStringLiteral(tableName);
+    let result = `// Access patterns\n\n`;
+    
+    // Different entity types can map to the same function names
+    const functions = new Set();
+    
+    entityTypes.forEach(({ pattern, parentType }, type) => {
+        const parameters = getKeyParameters(pattern).join(', ');
+        const key = renderKeyExpression(pattern);
+        
+        if (parentType) {
+            const parent = entityTypes.get(parentType);
+            const prefix = pattern.split('${')[0];
+            const condition = prefix ? 'PK = :pk AND begins_with(SK, :prefix)' : 'PK = :pk';
+            
+            // Children are queried through their parent's item collection
+            result += `// Get the ${toCommentText(pluralize(type))} of one ${toCommentText(parentType)}\n`;
+            result += `async function ${getUniqueName(functions, toIdentifier(`get ${parentType} ${pluralize(type)}`, false))}(${getKeyParameters(parent.pattern).join(', ')}) {\n`;
+            result += `  const { Items } = await docClient.send(new QueryCommand({\n`;
+            result += `    TableName: ${table},\n`;
+            result += `    KeyConditionExpression: ${toStringLiteral(condition)},\n`;
+            result += prefix ?
+                `    ExpressionAttributeValues: { ":pk": ${renderKeyExpression(parent.pattern)}, ":prefix": ${toStringLiteral(prefix)} }\n` :
+                `    FilterExpression: "#type = :type",\n    ExpressionAttributeNames: { "#type": "type" },\n    ExpressionAttributeValues: { ":pk": ${renderKeyExpression(parent.pattern)}, ":type": ${toStringLiteral(type)} }\n`;
+            result += `  }));\n`;
+            result += `  return Items;\n`;
+            result += `}\n\n`;
+            
+            result += `// Get one ${toCommentText(type)} by its key (inverted index)\n`;
+            result += `async function ${getUniqueName(functions, toIdentifier(`get ${type}`, false))}(${parameters}) {\n`;
+            result += `  const { Items } = await docClient.send(new QueryCommand({\n`;
+            result += `    TableName: ${table},\n`;
+            result += `    IndexName: "GSI1",\n`;
+            result += `    KeyConditionExpression: "GSI1PK = :key",\n`;
+            result += `    ExpressionAttributeValues: { ":key": ${key} }\n`;
+            result += `  }));\n`;
+            result += `  return Items[0];\n`;
+            result += `}\n\n`;
+        } else {
+            result += `// Get one ${toCommentText(type)} by its key\n`;
+            result += `async function ${getUniqueName(functions, toIdentifier(`get ${type}`, false))}(${parameters}) {\n`;
+            result += `  const { Item } = await docClient.send(new GetCommand({\n`;
+            result += `    TableName: ${table},\n`;
+            result += `    Key: { PK: ${key}, SK: ${key} }\n`;
+            result += `  }));\n`;
+            result += `  return Item;\n`;
+            result += `}\n\n`;
+            
+            result += `// Get one ${toCommentText(type)} with all of its related items\n`;
+            result += `async function ${getUniqueName(functions, toIdentifier(`get ${type} with related`, false))}(${parameters}) {\n`;
+            result += `  const { Items } = await docClient.send(new QueryCommand({\n`;
+            result += `    TableName: ${table},\n`;
+            result += `    KeyConditionExpression: "PK = :pk",\n`;
+            result += `    ExpressionAttributeValues: { ":pk": ${key} }\n`;
+            result += `  }));\n`;
+            result += `  return Items;\n`;
+            result += `}\n\n`;
+        }
+        
+        result += `// List every ${toCommentText(type)} (entity type index)\n`;
+        result += `async function ${getUniqueName(functions, toIdentifier(`list ${pluralize(type)}`, false))}() {\n`;
+        result += `  const { Items } = await docClient.send(new QueryCommand({\n`;
+        result += `    TableName: ${table},\n`;
+        result += `    IndexName: "GSI2",\n`;
+        result += `    KeyConditionExpression: "GSI2PK = :type",\n`;
+        result += `    ExpressionAttributeValues: { ":type": ${toStringLiteral(type)} }\n`;
+        result += `  }));\n`;
+        result += `  return Items;\n`;
+        result += `}\n\n`;
+    });
+    
+    return result;
+}
+
+/**
+ * Generate array-based DynamoDB documents
+ * @param {Object} jsonData - The JSON data to convert
+ * @param {string} tableName - The name of the table
+ * @param {Object} options - Generation options
+ * @param {Object} output - Generator output to record items in
+ * @returns {string} DynamoDB document code
+ */
+function generateArrayBasedDocuments(jsonData, tableName, options, output) {
+    let result = `// Array-based document structure\n`;
+    
+    // Convert data to array if it's not already
+    const dataArray = Array.isArray(jsonData) ? jsonData : [jsonData];
+    
+    // Build a single item with an items array
+    const subItems = dataArray.map((item, index) => ({
+        id: options.addIds ? generateId(true) : `item-${index + 1}`,
+        ...item
+    }));
+    const itemData = {
+        id: options.addIds ? generateId(true) : 'main-item'
+    };
+    
+    // Add timestamps if enabled
+    if (options.addTimestamps) {
+        const now = new Date();
+        itemData.createdAt = now;
+        itemData.updatedAt = now;
+    }
+    
+    itemData.items = subItems;
+    addDocument(output, tableName, itemData.id, itemData);
+    
+    result += `// Function to add a single item with array of sub-items\n`;
+    result += `async function addArrayBasedItem() {\n`;
+    result += `  try {\n`;
+    result += `    // Create a single item with sub-items array\n`;
+    result += `    await docClient.send(\n`;
+    result += `      new PutCommand({\n`;
+    result += `        TableName: ${toStringLiteral(tableName)},\n`;
+    result += `        Item: {\n`;
+    
+    Object.entries(itemData).forEach(([key, value]) => {
+        if (key !== 'items') {
+            result += `          ${toPropertyKey(key)}: ${dynamoValueToString(value, options)},\n`;
+        }
+    });
+    
+    // Add items array
+    result += `          items: [\n`;
+    
+    subItems.forEach((item, index) => {
+        result += `            {\n`;
+        result += renderItemFields(item, '              ', options);
+        result += `            }${index < subItems.length - 1 ? ',' : ''}\n`;
+    });
+    
+    result += `          ]\n`;
+    result += `        }\n`;
+    result += `      })\n`;
+    result += `    );\n\n`;
+    
+    result += `    console.log(${toStringLiteral(`Success - array-based item added to ${tableName}`)});\n`;
+    result += `  } catch (err) {\n`;
+    result += `    console.error("Error:", err);\n`;
+    result += `  }\n`;
+    result += `}\n\n`;
+    
+    return result;
+}
+
+/**
+ * Create a DynamoDB item, adding the partition key, sort key and timestamps
+ * @param {Object} fields - The item attributes
+ * @param {number} index - The item position in the dataset
+ * @param {Object} options - Generation options (partitionKey, sortKey and their templates and types)
+ * @param {Object} output - Generator output to record warnings in
+ * @param {string} tableName - The name of the table
+ * @returns {Object} The item
+ */
+function createItemData(fields, index, options, output, tableName) {
+    const timestamps = {};
+    
+    // Add timestamps if enabled
+    if (options.addTimestamps) {
+        const now = new Date();
+        timestamps.createdAt = now;
+        timestamps.updatedAt = now;
+    }
+    
+    // Keys come from the attributes of the item, the generated id only fills in a missing id
+    const values = {
+        id: options.addIds ? generateId(true) : `${index + 1}`,
+        ...timestamps,
+        ...fields
+    };
+    const keyData = {};
+    
+    getKeyOptions(options).forEach(key => {
+        const value = key.template ?
+            renderKeyPattern(key.template, values, tableName, output) :
+            values[key.name];
+        
+        if (value !== undefined && value !== null) {
+            keyData[key.name] = toKeyType(value, key, tableName, output);
+        }
+    });
+    
+    // The keys come first and are not overwritten by attributes of the same name
+    return Object.assign({ ...keyData }, timestamps, fields, keyData);
+}
+
+/**
+ * Get the id an item is recorded under
+ * @param {Object} item - The item
+ * @param {Object} options - Generation options
+ * @returns {string} The partition key value
+ */
+function getItemId(item, options) {
+    const value = item[getKeyOptions(options)[0].name];
+    
+    return ArrayBuffer.isView(value) ? Array.from(value).join(',') : String(value);
+}
+
+/**
+ * Get the key attributes of the tables written for a structure
+ * @param {string} structure - The document structure type
+ * @param {Object} options - Generation options
+ * @returns {Object} The partition key and sort key attribute names ({ partitionKey, sortKey })
+ */
+function getTableKeys(structure, options) {
+    // Items of the references and single-table structures are keyed on PK/SK, the array item on its id
+    if (['references', 'singleTable'].includes(structure)) {
+        return { partitionKey: 'PK', sortKey: 'SK' };
+    } else if (structure === 'arrays') {
+        return { partitionKey: 'id', sortKey: null };
+    }
+    
+    const [partitionKey, sortKey] = getKeyOptions(options);
+    
+    return { partitionKey: partitionKey.name, sortKey: sortKey ? sortKey.name : null };
+}
+
+/**
+ * Get the key settings of the tables written by the nested and flat structures
+ * @param {Object} options - Generation options (partitionKey, partitionKeyTemplate, partitionKeyType,
+ *     sortKey, sortKeyTemplate, sortKeyType)
+ * @returns {Array<Object>} The partition key and the optional sort key ({ name, template, type })
+ */
+function getKeyOptions(options) {
+    const keys = [{
+        name: options.partitionKey || 'id',
+        template: options.partitionKeyTemplate || null,
+        type: options.partitionKeyType
+    }];
+    
+    if (options.sortKey || options.sortKeyTemplate) {
+        keys.push({
+            name: options.sortKey || 'SK',
+            template: options.sortKeyTemplate || null,
+            type: options.sortKeyType
+        });
+    }
+    
+    return keys;
+}
+
+/**
+ * Convert a key value to the selected key type
+ * @param {*} value - The key value
+ * @param {Object} key - The key settings ({ name, type })
+ * @param {string} tableName - The name of the table
+ * @param {Object} output - Generator output to record warnings in
+ * @returns {*} A string (S), number (N) or Uint8Array (B), or the value itself when the type is inferred
+ */
+function toKeyType(value, key, tableName, output) {
+    switch (key.type) {
+        case 'S':
+            return value instanceof Date ? value.toISOString() : String(value);
+        case 'N': {
+            const number = value instanceof Date ? value.getTime() : Number(value);
+            
+            if (typeof value === 'boolean' || value === '' || !Number.isFinite(number)) {
+                const message = `The key attribute ${key.name} of ${tableName} is a number key, but holds values that are not numbers`;
+                
+                if (!output.warnings.includes(message)) {
+                    addWarning(output, message);
+                }
+                
+                return value;
+            }
+            
+            return number;
+        }
+        case 'B':
+            // Strings are stored as their UTF-8 bytes
+            return ArrayBuffer.isView(value) ? value : new TextEncoder().encode(String(value));
+        default:
+            return value;
+    }
+}
+
+/**
+ * Render item attributes as DynamoDB document client object lines
+ * @param {Object} itemData - The item
+ * @param {string} indent - The indentation for each line
+ * @param {Object} options - Generation options
+ * @returns {string} The rendered attributes
+ */
+function renderItemFields(itemData, indent, options) {
+    return Object.entries(itemData)
+        .map(([key, value]) => `${indent}${toPropertyKey(key)}: ${dynamoValueToString(value, options)},\n`)
+        .join('');
+}
+
+/**
+ * Generate index suggestions for DynamoDB
+ * @param {Object} schema - The schema inferred from the JSON data
+ * @param {string} tableName - The name of the table
+ * @param {Object} keys - The key attributes of the table ({ partitionKey, sortKey })
+ * @param {Object} output - Generator output to record index definitions in
+ * @returns {string} DynamoDB index suggestions
+ */
+function generateIndexSuggestions(schema, tableName, keys, output) {
+    let result = `// DynamoDB Index Suggestions\n`;
+    result += `// These are suggestions for Global Secondary Indexes (GSIs)\n\n`;
+    
+    // The table can hold more than the input items (references write every entity type to it),
+    // so the key types come from the written items
+    const itemSchema = inferSchema((output.documents[tableName] || []).map(entry => entry.data));
+    
+    // Index candidates come from the schema of every document (the table keys are already queryable)
+    const indexFields = suggestIndexFields(schema).filter(field => {
+        if (field === keys.partitionKey || field === keys.sortKey || !itemSchema.fields[field]) {
+            return false;
+        }
+        
+        // An index key has a single type, DynamoDB rejects the items holding another one
+        if (!isSingleType(itemSchema.fields[field])) {
+            addWarning(output, `The attribute ${field} of ${tableName} holds values of different types, so no index is suggested on it`);
+            return false;
+        }
+        
+        return true;
+    });
+    
+    // Generate index suggestions
+    if (indexFields.length > 0) {
+        indexFields.forEach(field => {
+            addIndex(output, tableName, [field], `${field}Index`);
+            result += `// ${toCommentText(field)}Index: partition key ${toCommentText(field)} (${getAttributeType(itemSchema.fields[field])}), all attributes projected\n`;
+        });
+        
+        result += `// The table definition files create these indexes together with the table\n\n`;
+        
+        // Add AWS CLI example
+        result += `// AWS CLI command example:\n`;
+        result += `// aws dynamodb update-table \\\n`;
+        result += `//   --table-name ${toCommentText(tableName)} \\\n`;
+        result += `//   --attribute-definitions AttributeName=${toCommentText(indexFields[0])},AttributeType=${getAttributeType(itemSchema.fields[indexFields[0]])} \\\n`;
+        result += `//   --global-secondary-index-updates "[{\\"Create\\":{\\"IndexName\\":\\"${toCommentText(indexFields[0])}Index\\",\\"KeySchema\\":[{\\"AttributeName\\":\\"${toCommentText(indexFields[0])}\\",\\"KeyType\\":\\"HASH\\"}],\\"Projection\\":{\\"ProjectionType\\":\\"ALL\\"}}}]"\n\n`;
+    } else {
+        result += `// No obvious index candidates found in this data structure\n\n`;
+    }
+    
+    return result;
+}
+
+/**
+ * Add the infrastructure-as-code definitions of the tables
+ * @param {Object} output - Generator output to add the files to
+ * @param {Array<Object>} tables - The table models
+ * @param {string} format - cloudformation, cdk, terraform, all or none
+ */
+function addTableDefinitions(output, tables, format) {
+    if (format !== 'all' && !Object.prototype.hasOwnProperty.call(TABLE_DEFINITION_FORMATS, format)) {
+        if (format !== 'none') {
+            addWarning(output, `Unknown table definition format "${format}", no table definition generated`);
+        }
+        
+        return;
+    }
+    
+    Object.entries(TABLE_DEFINITION_FORMATS)
+        .filter(([name]) => format === 'all' || name === format)
+        .forEach(([, definition]) => addFile(output, definition.fileName, definition.render(tables), definition.language));
+}
+
+/**
+ * Generate low-level AttributeValue JSON files and the aws dynamodb batch-write-item commands that load them
+ * @param {Object} output - Generator output with the generated items
+ * @param {Object} options - Generation options (stringSets)
+ * @returns {string} Shell script running batch-write-item for every request file
+ */
+function generateBatchWriteExport(output, options) {
+    let result = '';
+    
+    result += '#!/bin/sh\n';
+    result += '# DynamoDB batch-write-item import (low-level AttributeValue JSON)\n';
+    result += '# Keep the request files next to this script; set DYNAMODB_ENDPOINT for DynamoDB Local (e.g. http://localhost:8000)\n';
+    result += '# Requests the service could not process are returned as UnprocessedItems, run them again with the same command\n';
+    result += 'set -e\n\n';
+    result += 'ENDPOINT_ARGS=""\n\n';
+    result += 'if [ -n "$DYNAMODB_ENDPOINT" ]; then\n';
+    result += '  ENDPOINT_ARGS="--endpoint-url $DYNAMODB_ENDPOINT"\n';
+    result += 'fi\n\n';
+    
+    // The single-table design ships the definition of its table
+    const tableDefinition = output.files.find(file => file.name === 'table-definition.json');
+    
+    if (tableDefinition) {
+        result += '# Create the table\n';
+        result += `aws dynamodb create-table --cli-input-json 'file://table-definition.json' $ENDPOINT_ARGS\n`;
+        result += `aws dynamodb wait table-exists --table-name ${toShellArgument(JSON.parse(tableDefinition.content).TableName)} $ENDPOINT_ARGS\n\n`;
+    }
+    
+    Object.entries(output.documents).forEach(([tableName, entries]) => {
+        const batchCount = Math.ceil(entries.length / MAX_BATCH_WRITE_ITEMS);
+        
+        result += `# Table: ${toCommentText(tableName)} (${entries.length} items in ${batchCount} batches of up to ${MAX_BATCH_WRITE_ITEMS})\n`;
+        
+        for (let batch = 0; batch < batchCount; batch++) {
+            const fileName = `${tableName}-batch-${String(batch + 1).padStart(3, '0')}.json`;
+            const requests = entries
+                .slice(batch * MAX_BATCH_WRITE_ITEMS, (batch + 1) * MAX_BATCH_WRITE_ITEMS)
+                .map(entry => ({ PutRequest: { Item: toAttributeMap(entry.data, options) } }));
+            
+            addFile(output, fileName, `${JSON.stringify({ [tableName]: requests }, null, 2)}\n`, 'json');
+            result += `aws dynamodb batch-write-item --request-items ${toShellArgument(`file://${fileName}`)} $ENDPOINT_ARGS\n`;
+        }
+        
+        result += '\n';
+    });
+    
+    // The suggested GSIs are added to the existing table with update-table
+    if (options.addIndexes && output.indexes.length > 0) {
+        result += '# Index Suggestions (on-demand tables; provisioned tables also need ProvisionedThroughput)\n';
+        result += '# DynamoDB builds one new global secondary index per table at a time, so each one is waited for\n';
+        result += 'wait_for_index() {\n';
+        result += '  until [ "$(aws dynamodb describe-table --table-name "$1" --query "Table.GlobalSecondaryIndexes[?IndexName==\'$2\'].IndexStatus | [0]" --output text $ENDPOINT_ARGS)" = "ACTIVE" ]; do\n';
+        result += '    sleep 10\n';
+        result += '  done\n';
+        result += '}\n\n';
+        
+        // The key types come from the written items, like in the index suggestions
+        const itemSchemas = {};
+        
+        output.indexes.forEach(index => {
+            const field = index.fields[0];
+            const update = [{
+                Create: {
+                    IndexName: index.name,
+                    KeySchema: [{ AttributeName: field, KeyType: 'HASH' }],
+                    Projection: { ProjectionType: 'ALL' }
+                }
+            }];
+            
+            if (!itemSchemas[index.collection]) {
+                itemSchemas[index.collection] = inferSchema((output.documents[index.collection] || []).map(entry => entry.data));
+            }
+            
+            result += `aws dynamodb update-table --table-name ${toShellArgument(index.collection)}`;
+            result += ` --attribute-definitions ${toShellArgument(`AttributeName=${field},AttributeType=${getAttributeType(itemSchemas[index.collection].fields[field])}`)}`;
+            result += ` --global-secondary-index-updates ${toShellArgument(JSON.stringify(update))} $ENDPOINT_ARGS\n`;
+            result += `wait_for_index ${toShellArgument(index.collection)} ${toShellArgument(index.name)}\n`;
+        });
+        
+        result += '\n';
+    }
+    
+    return result;
+}
+
+/**
+ * Generate query examples that read back the generated items
+ * @param {Array<Object>} tables - The table models
+ * @param {Object} output - Generator output with the generated items
+ * @param {Object} options - Generation options
+ * @param {boolean} keyQueries - Whether to add queries on the table and index keys
+ * @returns {string} QueryCommand, ScanCommand and ExecuteStatementCommand examples
+ */
+function generateQueryExamples(tables, output, options, keyQueries) {
+    let result = `// Query Examples\n`;
+    result += `// The example values are taken from the generated items\n\n`;
+    
+    // Different table and index names can map to the same function names
+    const functions = new Set();
+    
+    tables.forEach(table => {
+        const example = getExampleItem(output, table);
+        const name = toIdentifier(table.tableName, true);
+        const tableLiteral = toStringLiteral(table.tableName);
+        
+        if (!example) {
+            result += `// No item of ${toCommentText(table.tableName)} holds every key attribute, so there is nothing to query\n\n`;
+            return;
+        }
+        
+        if (keyQueries) {
+            result += `// Read ${toCommentText(table.tableName)} by its key attributes\n`;
+            result += renderQueryFunction(getUniqueName(functions, `query${name}ByKey`), tableLiteral, null, table.partitionKey, table.sortKey, example, options);
+            
+            // An index only holds the items that have its key attributes
+            table.globalIndexes.forEach(index => {
+                const indexExample = getExampleItem(output, table, index);
+                
+                if (indexExample) {
+                    result += `// Read ${toCommentText(table.tableName)} through the ${toCommentText(index.name)} global secondary index\n`;
+                    result += renderQueryFunction(getUniqueName(functions, `query${name}By${toIdentifier(index.name, true)}`), tableLiteral, index.name, index.partitionKey, index.sortKey, indexExample, options);
+                }
+            });
+        }
+        
+        // Scans read the whole table, the filter only drops items from the result
+        const filter = Object.entries(example).find(([key, value]) => (
+            key !== table.partitionKey.name &&
+            (!table.sortKey || key !== table.sortKey.name) &&
+            ['string', 'number', 'boolean'].includes(typeof value)
+        ));
+        
+        result += `// Scan ${toCommentText(table.tableName)} page by page (a scan reads every item, the filter only drops items from the result)\n`;
+        result += `async function ${getUniqueName(functions, `scan${name}`)}() {\n`;
+        result += `  const items = [];\n`;
+        result += `  let ExclusiveStartKey;\n\n`;
+        result += `  do {\n`;
+        result += `    const page = await docClient.send(new ScanCommand({\n`;
+        result += `      TableName: ${tableLiteral},\n`;
+        
+        if (filter) {
+            result += `      FilterExpression: "#attr = :value",\n`;
+            result += `      ExpressionAttributeNames: { "#attr": ${toStringLiteral(filter[0])} },\n`;
+            result += `      ExpressionAttributeValues: { ":value": ${dynamoValueToString(filter[1], options)} },\n`;
+        }
+        
+        result += `      ExclusiveStartKey\n`;
+        result += `    }));\n\n`;
+        result += `    items.push(...page.Items);\n`;
+        result += `    ExclusiveStartKey = page.LastEvaluatedKey;\n`;
+        result += `  } while (ExclusiveStartKey);\n\n`;
+        result += `  return items;\n`;
+        result += `}\n\n`;
+        
+        // PartiQL statements take their values as ? parameters
+        const select = getSelectStatement(table, example);
+        const attributes = Object.keys(example);
+        
+        result += `// PartiQL: the key lookup as a SELECT statement\n`;
+        result += `async function ${getUniqueName(functions, `select${name}WithPartiQL`)}() {\n`;
+        result += `  const { Items } = await docClient.send(new ExecuteStatementCommand({\n`;
+        result += `    Statement: ${toStringLiteral(select.statement)},\n`;
+        result += `    Parameters: [${select.parameters.map(value => dynamoValueToString(value, options)).join(', ')}]\n`;
+        result += `  }));\n\n`;
+        result += `  return Items;\n`;
+        result += `}\n\n`;
+        
+        result += `// PartiQL: insert an item shaped like the generated ones (fails when an item with the same key exists)\n`;
+        result += `async function ${getUniqueName(functions, `insert${name}WithPartiQL`)}(item) {\n`;
+        result += `  await docClient.send(new ExecuteStatementCommand({\n`;
+        result += `    Statement: ${toStringLiteral(getInsertStatement(table, attributes))},\n`;
+        result += `    Parameters: [${attributes.map(key => `item${isIdentifier(key) ? `.${key}` : `[${toStringLiteral(key)}]`}`).join(', ')}]\n`;
+        result += `  }));\n`;
+        result += `}\n\n`;
+    });
+    
+    return result;
+}
+
+/**
+ * Render a QueryCommand function on the key attributes of a table or index
+ * @param {string} functionName - The name of the function
+ * @param {string} tableLiteral - The table name as a string literal
+ * @param {string|null} indexName - The index to query, null for the table
+ * @param {Object} partitionKey - The partition key ({ name, type })
+ * @param {Object|null} sortKey - The sort key ({ name, type })
+ * @param {Object} example - The item the key values are taken from
+ * @param {Object} options - Generation options
+ * @returns {string} The query function
+ */
+function renderQueryFunction(functionName, tableLiteral, indexName, partitionKey, sortKey, example, options) {
+    const names = [`"#pk": ${toStringLiteral(partitionKey.name)}`];
+    const values = [`":pk": ${dynamoValueToString(example[partitionKey.name], options)}`];
+    let condition = '#pk = :pk';
+    
+    if (sortKey && example[sortKey.name] !== undefined) {
+        names.push(`"#sk": ${toStringLiteral(sortKey.name)}`);
+        values.push(`":sk": ${dynamoValueToString(example[sortKey.name], options)}`);
+        condition += ' AND #sk = :sk';
+    }
+    
+    let result = `async function ${functionName}() {\n`;
+    result += `  const { Items } = await docClient.send(new QueryCommand({\n`;
+    result += `    TableName: ${tableLiteral},\n`;
+    
+    if (indexName) {
+        result += `    IndexName: ${toStringLiteral(indexName)},\n`;
+    }
+    
+    result += `    KeyConditionExpression: ${toStringLiteral(condition)},\n`;
+    result += `    ExpressionAttributeNames: { ${names.join(', ')} },\n`;
+    result += `    ExpressionAttributeValues: { ${values.join(', ')} }\n`;
+    result += `  }));\n\n`;
+    result += `  return Items;\n`;
+    result += `}\n\n`;
+    
+    return result;
+}
+
+/**
+ * Find a generated item to take example key values from
+ * @param {Object} output - Generator output with the generated items
+ * @param {Object} table - The table model
+ * @param {Object} [index] - The index whose key attributes the item needs (the table keys by default)
+ * @returns {Object|null} The first item holding the partition key, null when there is none
+ */
+function getExampleItem(output, table, index = table) {
+    const entry = output.documents[table.tableName].find(({ data }) => (
+        [index.partitionKey, index.sortKey].every(key => !key || (data[key.name] !== undefined && data[key.name] !== null))
+    ));
+    
+    return entry ? entry.data : null;
+}
+
+/**
+ * Build a PartiQL SELECT statement on the primary key of a table
+ * @param {Object} table - The table model
+ * @param {Object} example - The item the key values are taken from
+ * @returns {Object} The statement and its parameters
+ */
+function getSelectStatement(table, example) {
+    const keys = [table.partitionKey, table.sortKey].filter(Boolean);
+    const conditions = keys.map(key => `${toPartiQLName(key.name)} = ?`);
+    
+    return {
+        statement: `SELECT * FROM ${toPartiQLName(table.tableName)} WHERE ${conditions.join(' AND ')}`,
+        parameters: keys.map(key => example[key.name])
+    };
+}
+
+/**
+ * Build a PartiQL INSERT statement
+ * @param {Object} table - The table model
+ * @param {Array<string>} attributes - The attributes of the item
+ * @returns {string} The statement with a ? parameter per attribute
+ */
+function getInsertStatement(table, attributes) {
+    const values = attributes.map(name => `'${name.replace(/'/g, "''")}': ?`);
+    
+    return `INSERT INTO ${toPartiQLName(table.tableName)} VALUE {${values.join(', ')}}`;
+}
+
+/**
+ * Quote a table or attribute name for PartiQL
+ * @param {string} name - The name
+ * @returns {string} The double-quoted name
+ */
+function toPartiQLName(name) {
+    return `"${name.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Render AWS CLI examples that read back the generated items
+ * @param {Array<Object>} tables - The table models
+ * @param {Object} output - Generator output with the generated items
+ * @param {Object} options - Generation options (stringSets)
+ * @returns {string} Commented query and execute-statement commands
+ */
+function renderCliQueryExamples(tables, output, options) {
+    let result = '# Read the data back (examples with values from the generated items)\n';
+    
+    tables.forEach(table => {
+        const example = getExampleItem(output, table);
+        
+        if (!example) {
+            return;
+        }
+        
+        const select = getSelectStatement(table, example);
+        const parameters = select.parameters.map(value => toAttributeValue(value, options));
+        
+        result += `# aws dynamodb query --table-name ${toCommentText(toShellArgument(table.tableName))}`;
+        result += ` --key-condition-expression '#pk = :pk'`;
+        result += ` --expression-attribute-names ${toCommentText(toShellArgument(JSON.stringify({ '#pk': table.partitionKey.name })))}`;
+        result += ` --expression-attribute-values ${toShellArgument(JSON.stringify({ ':pk': parameters[0] }))} $ENDPOINT_ARGS\n`;
+        result += `# aws dynamodb execute-statement --statement ${toCommentText(toShellArgument(select.statement))}`;
+        result += ` --parameters ${toShellArgument(JSON.stringify(parameters))} $ENDPOINT_ARGS\n`;
+    });
+    
+    return result;
+}
+
+/**
+ * Check the generated items against the limits DynamoDB enforces on writes
+ * @param {Object} output - Generator output with the generated items, to record the violations in
+ * @param {Array<Object>} tables - The table models with the key attributes
+ * @param {Object} options - Generation options (stringSets, blockInvalidItems)
+ */
+function validateItems(output, tables, options) {
+    const violations = [];
+    
+    tables.forEach(table => {
+        const keyTypes = getKeyTypes(table);
+        const primaryKeys = [table.partitionKey, table.sortKey].filter(Boolean).map(key => key.name);
+        const itemIndexes = new Map();
+        
+        output.documents[table.tableName].forEach((entry, index) => {
+            const location = `item ${index + 1} of ${table.tableName}`;
+            const report = (path, message) => violations.push(`${location}, ${path}: ${message}`);
+            
+            // Items are checked in the AttributeValue form they are written in
+            const attributes = toAttributeMap(entry.data, options);
+            const size = getItemSize(attributes);
+            
+            // Items without a key attribute are reported with the table definition
+            if (primaryKeys.every(name => Object.prototype.hasOwnProperty.call(attributes, name))) {
+                const primaryKey = JSON.stringify(primaryKeys.map(name => attributes[name]));
+                
+                if (itemIndexes.has(primaryKey)) {
+                    report(primaryKeys.join('/'), `same primary key as item ${itemIndexes.get(primaryKey) + 1}, so one overwrites the other (and a batch holding both fails)`);
+                } else {
+                    itemIndexes.set(primaryKey, index);
+                }
+            }
+            
+            Object.entries(attributes).forEach(([name, value]) => {
+                validateAttribute(value, name, 1, report);
+                
+                if (keyTypes.has(name)) {
+                    validateKeyAttribute(value, keyTypes.get(name), name, report);
+                }
+            });
+            
+            if (size > MAX_ITEM_SIZE_BYTES) {
+                violations.push(`${location}: ${size} bytes is over the ${MAX_ITEM_SIZE_BYTES / 1024} KB item size limit`);
+            }
+        });
+    });
+    
+    if (violations.length === 0) {
+        return;
+    }
+    
+    if (options.blockInvalidItems) {
+        const listed = violations.slice(0, MAX_REPORTED_VIOLATIONS).map(violation => `- ${violation}`);
+        
+        if (violations.length > MAX_REPORTED_VIOLATIONS) {
+            listed.push(`- and ${violations.length - MAX_REPORTED_VIOLATIONS} more`);
+        }
+        
+        throw new Error(`DynamoDB would reject ${violations.length} attributes or items:\n${listed.join('\n')}`);
+    }
+    
+    violations.forEach(violation => addWarning(output, `DynamoDB would reject ${violation}`));
+}
+
+/**
+ * Get the type of every key attribute of a table and its indexes
+ * @param {Object} table - The table model
+ * @returns {Map} Attribute type (S, N or B) per key attribute
+ */
+function getKeyTypes(table) {
+    const indexKeys = [...table.globalIndexes, ...table.localIndexes].flatMap(index => [index.partitionKey, index.sortKey]);
+    
+    return new Map([table.partitionKey, table.sortKey, ...indexKeys].filter(Boolean).map(key => [key.name, key.type]));
+}
+
+/**
+ * Check the value of a key attribute
+ * @param {Object} value - The AttributeValue
+ * @param {string} type - The type of the key attribute (S, N or B)
+ * @param {string} path - The attribute path
+ * @param {Function} report - Function (path, message) recording a violation
+ */
+function validateKeyAttribute(value, type, path, report) {
+    const [valueType, data] = Object.entries(value)[0];
+    
+    if (valueType !== type) {
+        report(path, `the key attribute is declared as ${type} but holds ${valueType}`);
+    } else if (data === '') {
+        report(path, 'key attributes cannot be empty');
+    }
+}
+
+/**
+ * Check an attribute value and the values nested in it
+ * @param {Object} value - The AttributeValue
+ * @param {string} path - The attribute path
+ * @param {number} depth - The nesting level of the value (1 for top-level attributes)
+ * @param {Function} report - Function (path, message) recording a violation
+ */
+function validateAttribute(value, path, depth, report) {
+    const [type, data] = Object.entries(value)[0];
+    
+    switch (type) {
+        case 'N':
+            validateNumber(data, path, report);
+            break;
+        case 'SS':
+        case 'NS':
+        case 'BS':
+            if (data.length === 0) {
+                report(path, 'sets cannot be empty');
+            } else if (new Set(data).size !== data.length) {
+                report(path, 'sets cannot hold duplicate values');
+            }
+            
+            // Every element of a set has the type of the set
+            if (data.some(element => typeof element !== 'string' || (type === 'NS' && !NUMBER_PATTERN.test(element)))) {
+                report(path, `a ${type} set can only hold ${SET_ELEMENT_TYPES[type]}`);
+            } else if (type === 'NS') {
+                data.forEach(element => validateNumber(element, path, report));
+            }
+            break;
+        case 'L':
+        case 'M':
+            if (depth > MAX_NESTING_DEPTH) {
+                report(path, `attributes cannot be nested more than ${MAX_NESTING_DEPTH} levels deep`);
+            } else if (type === 'L') {
+                data.forEach((item, index) => validateAttribute(item, `${path}[${index}]`, depth + 1, report));
+            } else {
+                Object.entries(data).forEach(([key, child]) => validateAttribute(child, `${path}.${key}`, depth + 1, report));
+            }
+            break;
+        default:
+            break;
+    }
+}
+
+/**
+ * Check the precision and magnitude of a number
+ * @param {string} number - The number as sent to DynamoDB
+ * @param {string} path - The attribute path
+ * @param {Function} report - Function (path, message) recording a violation
+ */
+function validateNumber(number, path, report) {
+    const magnitude = Math.abs(Number(number));
+    
+    if (getSignificantDigits(number) > MAX_NUMBER_DIGITS) {
+        report(path, `${number} has more than ${MAX_NUMBER_DIGITS} significant digits`);
+    } else if (!Number.isFinite(magnitude) || magnitude >= 1e126 || (magnitude > 0 && magnitude < 1e-130)) {
+        report(path, `${number} is outside the number range of DynamoDB (1E-130 to 9.9999999999999999999999999999999999999E+125)`);
+    }
+}
+
+/**
+ * Count the significant digits of a number
+ * @param {string} number - The number, possibly in exponent notation
+ * @returns {number} The digits without the sign, exponent and leading or trailing zeros
+ */
+function getSignificantDigits(number) {
+    const mantissa = number.split(/e/i)[0].replace(/[-+.]/g, '');
+    
+    return mantissa.replace(/^0+/, '').replace(/0+$/, '').length || 1;
+}
+
+/**
+ * Get the size DynamoDB counts for an item
+ * @param {Object} attributes - The attribute map of the item
+ * @returns {number} The size in bytes, attribute names included
+ */
+function getItemSize(attributes) {
+    return Object.entries(attributes).reduce((size, [name, value]) => size + getUtf8Length(name) + getAttributeSize(value), 0);
+}
+
+/**
+ * Describe the items of every table for the capacity estimator
+ * @param {Object} output - Generator output with the generated items
+ * @param {Array<Object>} tables - The table models
+ * @param {Object} options - Generation options (stringSets)
+ * @returns {Array<Object>} The table models, each with the size and number of index entries of its items
+ */
+function addItemSizes(output, tables, options) {
+    return tables.map(table => {
+        const indexes = [...table.globalIndexes, ...table.localIndexes];
+        
+        const items = output.documents[table.tableName].map(entry => {
+            const attributes = toAttributeMap(entry.data, options);
+            const hasKey = key => !key || (Object.prototype.hasOwnProperty.call(attributes, key.name) && !attributes[key.name].NULL);
+            
+            // Indexes are sparse: an item is only written to the indexes whose key attributes it has
+            return {
+                size: getItemSize(attributes),
+                indexEntries: indexes.filter(index => hasKey(index.partitionKey) && hasKey(index.sortKey)).length
+            };
+        });
+        
+        return { ...table, items };
+    });
+}
+
+/**
+ * Get the size DynamoDB counts for an attribute value
+ * @param {Object} value - The AttributeValue
+ * @returns {number} The size in bytes
+ */
+function getAttributeSize(value) {
+    const [type, data] = Object.entries(value)[0];
+    
+    switch (type) {
+        case 'S':
+            return getUtf8Length(data);
+        case 'N':
+            // One byte per two significant digits, plus one
+            return Math.ceil(getSignificantDigits(data) / 2) + 1;
+        case 'B':
+            return getBase64Length(data);
+        case 'SS':
+            return data.reduce((size, element) => size + getUtf8Length(element), 0);
+        case 'NS':
+            return data.reduce((size, element) => size + getAttributeSize({ N: element }), 0);
+        case 'BS':
+            return data.reduce((size, element) => size + getBase64Length(element), 0);
+        case 'L':
+            // Three bytes for the list, one per element
+            return data.reduce((size, item) => size + getAttributeSize(item) + 1, 3);
+        case 'M':
+            return Object.entries(data).reduce((size, [key, child]) => size + getUtf8Length(key) + getAttributeSize(child) + 1, 3);
+        default:
+            // BOOL and NULL
+            return 1;
+    }
+}
+
+/**
+ * Get the UTF-8 length of a string
+ * @param {string} value - The string
+ * @returns {number} The length in bytes
+ */
+function getUtf8Length(value) {
+    return new TextEncoder().encode(value).length;
+}
+
+/**
+ * Get the length of base64-encoded data
+ * @param {string} value - The base64 string
+ * @returns {number} The decoded length in bytes
+ */
+function getBase64Length(value) {
+    return Math.floor(value.length * 3 / 4) - (value.endsWith('==') ? 2 : value.endsWith('=') ? 1 : 0);
+}
+
+/**
+ * Convert an item to a low-level DynamoDB attribute map
+ * @param {Object} item - The item
+ * @param {Object} options - Generation options (stringSets)
+ * @returns {Object} The attribute map ({ name: AttributeValue })
+ */
+function toAttributeMap(item, options) {
+    return Object.fromEntries(Object.entries(item).map(([key, value]) => [key, toAttributeValue(value, options)]));
+}
+
+/**
+ * Convert a value to a low-level DynamoDB AttributeValue
+ * @param {*} value - The value to convert
+ * @param {Object} options - Generation options (stringSets)
+ * @returns {Object} The AttributeValue (S, N, BOOL, NULL, L, M, SS or NS)
+ */
+function toAttributeValue(value, options) {
+    if (value === null || value === undefined) {
+        return { NULL: true };
+    } else if (typeof value === 'string') {
+        return { S: value };
+    } else if (typeof value === 'number') {
+        // Numbers are sent as strings so that no precision is lost
+        return { N: String(value) };
+    } else if (typeof value === 'boolean') {
+        return { BOOL: value };
+    } else if (value instanceof Date) {
+        return { S: value.toISOString() };
+    } else if (ArrayBuffer.isView(value)) {
+        // Binary values are base64-encoded in the JSON
+        return { B: btoa(Array.from(getBytes(value), byte => String.fromCharCode(byte)).join('')) };
+    } else if (Array.isArray(value)) {
+        const setType = getSetType(value, options);
+        
+        if (setType === 'SS') {
+            return { SS: value };
+        } else if (setType === 'NS') {
+            return { NS: value.map(String) };
+        }
+        
+        return { L: value.map(item => toAttributeValue(item, options)) };
+    } else if (typeof value === 'object') {
+        return { M: toAttributeMap(value, options) };
+    }
+    
+    return { S: String(value) };
+}
+
+/**
+ * Get the bytes of a binary value
+ * @param {ArrayBufferView} value - The typed array or DataView
+ * @returns {Uint8Array} The bytes
+ */
+function getBytes(value) {
+    return new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+}
+
+/**
+ * Get the set type an array is stored as
+ * @param {Array} value - The array
+ * @param {Object} options - Generation options (stringSets)
+ * @returns {string|null} SS or NS for arrays of unique strings or numbers when sets are enabled, null for lists
+ */
+function getSetType(value, options) {
+    // Sets cannot be empty or hold duplicates, and their order is not kept
+    if (!options.stringSets || value.length === 0 || new Set(value).size !== value.length) {
+        return null;
+    }
+    
+    if (value.every(item => typeof item === 'string' && item !== '')) {
+        return 'SS';
+    } else if (value.every(item => typeof item === 'number' && Number.isFinite(item))) {
+        return 'NS';
+    }
+    
+    return null;
+}
+
+/**
+ * Get the entity type for objects nested under a key
+ * @param {string} key - The key of the nested object or array of objects
+ * @param {boolean} isArray - Whether the key holds an array of objects
+ * @param {string} path - The data path of the nested data
+ * @param {Object} options - Generation options
+ * @returns {string} The entity type (singular PascalCase for arrays)
+ */
+function getEntityType(key, isArray, path, options) {
+    return resolveCollectionName(path, toPascalCase(isArray ? singularize(key) : key), options);
+}
+
+/**
+ * Flatten a nested object
+ * @param {Object} obj - The object to flatten
+ * @param {string} [prefix=''] - The current key prefix
+ * @returns {Object} Flattened object
+ */
+function flattenObject(obj, prefix = '') {
+    const flattened = {};
+    
+    Object.entries(obj).forEach(([key, value]) => {
+        const newKey = prefix ? `${prefix}_${key}` : key;
+        
+        if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
+            Object.assign(flattened, flattenObject(value, newKey));
+        } else {
+            flattened[newKey] = value;
+        }
+    });
+    
+    return flattened;
+}
+
+/**
+ * Convert JavaScript value to DynamoDB syntax string
+ * @param {*} value - The value to convert
+ * @param {Object} [options={}] - Generation options (stringSets)
+ * @returns {string} DynamoDB syntax string
+ */
+function dynamoValueToString(value, options = {}) {
     if (value === null) {
         return 'null';
     } else if (typeof value === 'string') {
-        return `"${value.replace(/"/g, '\\"')}"`;
+        return toStringLiteral(value);
     } else if (typeof value === 'number') {
         return String(value);
     } else if (typeof value === 'boolean') {
         return String(value);
     } else if (value instanceof Date) {
         return `"${value.toISOString()}"`;
+    } else if (ArrayBuffer.isView(value)) {
+        // The document client writes a Uint8Array as a binary attribute
+        return `new Uint8Array([${getBytes(value).join(', ')}])`;
     } else if (Array.isArray(value)) {
-        return `[${value.map(item => dynamoValueToString(item)).join(', ')}]`;
+        const items = `[${value.map(item => dynamoValueToString(item, options)).join(', ')}]`;
+        
+        // The document client writes a JavaScript Set as a string or number set
+        return getSetType(value, options) ? `new Set(${items})` : items;
     } else if (typeof value === 'object') {
-        const entries = Object.entries(value).map(([k, v]) => `${k}: ${dynamoValueToString(v)}`);
+        const entries = Object.entries(value).map(([k, v]) => `${toPropertyKey(k)}: ${dynamoValueToString(v, options)}`);
         return `{ ${entries.join(', ')} }`;
     }
     
     return String(value);
 }
 
-export { generateDynamoDBDocuments };
+/**
+ * DynamoDB generator definition for the generator registry
+ */
+const dynamodbGenerator = {
+    id: 'dynamodb',
+    label: 'DynamoDB',
+    structures: ['nested', 'flat', 'references', 'arrays', { value: 'singleTable', label: 'Single-Table Design' }],
+    language: 'javascript',
+    options: [
+        {
+            key: 'outputFormat',
+            type: 'select',
+            label: 'Output Format',
+            default: 'sdk',
+            choices: [
+                { value: 'sdk', label: 'Document Client Script' },
+                { value: 'cli', label: 'AWS CLI batch-write-item Files' }
+            ]
+        },
+        { key: 'blockInvalidItems', type: 'checkbox', label: 'Block Generation When Items Would Be Rejected' },
+        { key: 'batchConcurrency', type: 'number', label: 'Parallel Batch Writes', default: 1 },
+        { key: 'stringSets', type: 'checkbox', label: 'Store Arrays of Unique Strings/Numbers as Sets' },
+        { key: 'keyPatterns', type: 'text', label: 'Single-Table Key Patterns', placeholder: 'User=USER#${id}, Order=ORDER#${id}' },
+        { key: 'partitionKey', type: 'text', label: 'Partition Key Attribute', placeholder: 'id' },
+        { key: 'partitionKeyTemplate', type: 'text', label: 'Partition Key Template (optional)', placeholder: 'e.g. ${type}#${id}' },
+        {
+            key: 'partitionKeyType',
+            type: 'select',
+            label: 'Partition Key Type',
+            default: 'auto',
+            choices: KEY_TYPE_CHOICES
+        },
+        { key: 'sortKey', type: 'text', label: 'Sort Key Attribute', placeholder: 'e.g. createdAt' },
+        { key: 'sortKeyTemplate', type: 'text', label: 'Sort Key Template (optional)', placeholder: 'e.g. ${status}#${createdAt}' },
+        {
+            key: 'sortKeyType',
+            type: 'select',
+            label: 'Sort Key Type',
+            default: 'auto',
+            choices: KEY_TYPE_CHOICES
+        },
+        {
+            key: 'tableDefinition',
+            type: 'select',
+            label: 'Table Definition',
+            default: 'cloudformation',
+            choices: [
+                { value: 'cloudformation', label: 'CloudFormation (YAML)' },
+                { value: 'cdk', label: 'AWS CDK (TypeScript)' },
+                { value: 'terraform', label: 'Terraform (HCL)' },
+                { value: 'all', label: 'All Formats' },
+                { value: 'none', label: 'None' }
+            ]
+        },
+        { key: 'localIndexes', type: 'text', label: 'Local Secondary Index Sort Keys', placeholder: 'e.g. status, total' },
+        { key: 'ttlAttribute', type: 'text', label: 'TTL Attribute', placeholder: 'e.g. expiresAt' },
+        {
+            key: 'billingMode',
+            type: 'select',
+            label: 'Billing Mode',
+            default: 'PAY_PER_REQUEST',
+            choices: [
+                { value: 'PAY_PER_REQUEST', label: 'On-Demand' },
+                { value: 'PROVISIONED', label: 'Provisioned' }
+            ]
+        },
+        { key: 'readCapacity', type: 'number', label: 'Read Capacity Units (Provisioned)', default: 5 },
+        { key: 'writeCapacity', type: 'number', label: 'Write Capacity Units (Provisioned)', default: 5 },
+        {
+            key: 'streamViewType',
+            type: 'select',
+            label: 'DynamoDB Stream',
+            default: 'none',
+            choices: [
+                { value: 'none', label: 'Disabled' },
+                { value: 'NEW_IMAGE', label: 'New Image' },
+                { value: 'OLD_IMAGE', label: 'Old Image' },
+                { value: 'NEW_AND_OLD_IMAGES', label: 'New and Old Images' },
+                { value: 'KEYS_ONLY', label: 'Keys Only' }
+            ]
+        }
+    ],
+    generate: generateDynamoDBDocuments
+};
+
+export { generateDynamoDBDocuments, dynamodbGenerator };
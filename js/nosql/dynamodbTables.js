@@ -0,0 +1,457 @@
+/**
+ * NoSQL Generator - DynamoDB Tables Module
+ * Author: Mandela404
+ * Version: 1.0.0
+ * 
+ * This module describes the tables written by the DynamoDB generator:
+ * - Key attribute types inferred from the items (S, N or B)
+ * - Partition and sort keys, global and local secondary indexes
+ * - TTL attribute, billing mode and stream settings
+ * - CreateTable input, CloudFormation YAML, AWS CDK (TypeScript) and Terraform (HCL) definitions
+ */
+
+import { inferSchema, isSingleType } from './schemaInference.js';
+import { toStringLiteral, toIdentifier, getUniqueName } from './literals.js';
+import { addWarning } from './documentModel.js';
+
+// Billing modes, with the capacity of provisioned tables used when none is configured
+const BILLING_MODES = ['PAY_PER_REQUEST', 'PROVISIONED'];
+const DEFAULT_CAPACITY_UNITS = 5;
+
+// What a stream record holds ('none' disables the stream)
+const STREAM_VIEW_TYPES = ['NEW_IMAGE', 'OLD_IMAGE', 'NEW_AND_OLD_IMAGES', 'KEYS_ONLY'];
+
+// CDK names of the attribute types
+const CDK_ATTRIBUTE_TYPES = {
+    S: 'STRING',
+    N: 'NUMBER',
+    B: 'BINARY'
+};
+
+/**
+ * Get the DynamoDB type of a key attribute
+ * @param {Object} field - The field schema
+ * @returns {string} N for numbers, B for binary values, S otherwise
+ */
+function getAttributeType(field) {
+    if (field.type === 'number') {
+        return 'N';
+    } else if (field.type === 'binary') {
+        return 'B';
+    }
+    
+    return 'S';
+}
+
+/**
+ * Describe every table the generated items are written to
+ * @param {Object} output - Generator output with the generated items and indexes
+ * @param {Object} keys - The key attributes of the tables ({ partitionKey, sortKey })
+ * @param {Object} options - Generation options (localIndexes, ttlAttribute, billingMode, readCapacity,
+ *     writeCapacity, streamViewType)
+ * @returns {Array<Object>} Table models
+ */
+function createTableModels(output, keys, options) {
+    const billingMode = BILLING_MODES.includes(options.billingMode) ? options.billingMode : 'PAY_PER_REQUEST';
+    const streamViewType = STREAM_VIEW_TYPES.includes(options.streamViewType) ? options.streamViewType : null;
+    const localIndexFields = (options.localIndexes || '').split(',').map(field => field.trim()).filter(Boolean);
+    
+    return Object.entries(output.documents).map(([tableName, entries]) => {
+        const schema = inferSchema(entries.map(entry => entry.data));
+        const getKey = (name, required = false) => (name ? { name, type: getKeyAttributeType(schema, name, tableName, output, required) } : null);
+        const partitionKey = getKey(keys.partitionKey, true);
+        const sortKey = getKey(keys.sortKey, true);
+        
+        const globalIndexes = output.indexes
+            .filter(index => index.collection === tableName)
+            .map(index => ({ name: index.name, partitionKey: getKey(index.fields[0]), sortKey: getKey(index.fields[1]) }));
+        
+        // Local indexes share the partition key of the table, so the table needs a sort key too
+        if (localIndexFields.length > 0 && !sortKey) {
+            addWarning(output, `Local secondary indexes need a table with a sort key, so none are defined for ${tableName}`);
+        }
+        
+        const localIndexes = sortKey ? localIndexFields.map(field => ({ name: `${field}LocalIndex`, sortKey: getKey(field) })) : [];
+        
+        if (options.ttlAttribute && !['number', 'null'].includes(schema.fields[options.ttlAttribute] ? schema.fields[options.ttlAttribute].type : 'null')) {
+            addWarning(output, `The TTL attribute ${options.ttlAttribute} of ${tableName} must hold epoch seconds as a number, other values never expire`);
+        }
+        
+        return {
+            tableName,
+            partitionKey,
+            sortKey,
+            globalIndexes,
+            localIndexes,
+            billingMode,
+            readCapacity: Number(options.readCapacity) || DEFAULT_CAPACITY_UNITS,
+            writeCapacity: Number(options.writeCapacity) || DEFAULT_CAPACITY_UNITS,
+            ttlAttribute: options.ttlAttribute || null,
+            streamViewType
+        };
+    });
+}
+
+/**
+ * Infer the type of a key attribute from the items of a table
+ * @param {Object} schema - The schema of the items
+ * @param {string} name - The key attribute
+ * @param {string} tableName - The name of the table
+ * @param {Object} output - Generator output to record warnings in
+ * @param {boolean} required - Whether every item needs the attribute (table keys, unlike sparse index keys)
+ * @returns {string} S, N or B
+ */
+function getKeyAttributeType(schema, name, tableName, output, required) {
+    const field = schema.fields[name];
+    
+    if (required && (!field || field.optional || field.nullable)) {
+        addKeyWarning(output, `Not every item of ${tableName} has the key attribute ${name}, DynamoDB rejects the items without it`);
+    } else if (field && !isSingleType(field)) {
+        addKeyWarning(output, `The key attribute ${name} of ${tableName} holds values of different types`);
+    } else if (field && ['object', 'array', 'boolean'].includes(field.type)) {
+        addKeyWarning(output, `The key attribute ${name} of ${tableName} holds ${field.type} values instead of strings, numbers or binary values`);
+    }
+    
+    return field ? getAttributeType(field) : 'S';
+}
+
+/**
+ * Record a key warning once
+ * @param {Object} output - Generator output to record the warning in
+ * @param {string} message - The warning
+ */
+function addKeyWarning(output, message) {
+    if (!output.warnings.includes(message)) {
+        addWarning(output, message);
+    }
+}
+
+/**
+ * Get the attribute definitions of a table (every attribute used in a key schema, once)
+ * @param {Object} table - The table model
+ * @returns {Array<Object>} The key attributes ({ name, type })
+ */
+function getKeyAttributes(table) {
+    const attributes = new Map();
+    const indexKeys = [...table.globalIndexes, ...table.localIndexes].flatMap(index => [index.partitionKey, index.sortKey]);
+    
+    [table.partitionKey, table.sortKey, ...indexKeys].filter(Boolean).forEach(key => {
+        if (!attributes.has(key.name)) {
+            attributes.set(key.name, key);
+        }
+    });
+    
+    return [...attributes.values()];
+}
+
+/**
+ * Create a key schema
+ * @param {Object|null} partitionKey - The partition key ({ name, type })
+ * @param {Object|null} sortKey - The sort key ({ name, type })
+ * @returns {Array<Object>} The KeySchema
+ */
+function createKeySchema(partitionKey, sortKey) {
+    const keySchema = [{ AttributeName: partitionKey.name, KeyType: 'HASH' }];
+    
+    if (sortKey) {
+        keySchema.push({ AttributeName: sortKey.name, KeyType: 'RANGE' });
+    }
+    
+    return keySchema;
+}
+
+/**
+ * Create the CreateTable input of a table
+ * @param {Object} table - The table model
+ * @returns {Object} Input for aws dynamodb create-table --cli-input-json (the TTL is set with update-time-to-live)
+ */
+function toCreateTableInput(table) {
+    const provisioned = table.billingMode === 'PROVISIONED';
+    const throughput = { ReadCapacityUnits: table.readCapacity, WriteCapacityUnits: table.writeCapacity };
+    const input = {
+        TableName: table.tableName,
+        AttributeDefinitions: getKeyAttributes(table).map(key => ({ AttributeName: key.name, AttributeType: key.type })),
+        KeySchema: createKeySchema(table.partitionKey, table.sortKey)
+    };
+    
+    if (table.globalIndexes.length > 0) {
+        input.GlobalSecondaryIndexes = table.globalIndexes.map(index => ({
+            IndexName: index.name,
+            KeySchema: createKeySchema(index.partitionKey, index.sortKey),
+            Projection: { ProjectionType: 'ALL' },
+            ...(provisioned ? { ProvisionedThroughput: { ...throughput } } : {})
+        }));
+    }
+    
+    if (table.localIndexes.length > 0) {
+        input.LocalSecondaryIndexes = table.localIndexes.map(index => ({
+            IndexName: index.name,
+            KeySchema: createKeySchema(table.partitionKey, index.sortKey),
+            Projection: { ProjectionType: 'ALL' }
+        }));
+    }
+    
+    input.BillingMode = table.billingMode;
+    
+    if (provisioned) {
+        input.ProvisionedThroughput = throughput;
+    }
+    
+    if (table.streamViewType) {
+        input.StreamSpecification = { StreamEnabled: true, StreamViewType: table.streamViewType };
+    }
+    
+    return input;
+}
+
+/**
+ * Render a CloudFormation template with the tables
+ * @param {Array<Object>} tables - The table models
+ * @returns {string} The template YAML
+ */
+function renderCloudFormation(tables) {
+    const resources = {};
+    const logicalIds = new Set();
+    
+    tables.forEach(table => {
+        const { StreamSpecification, ...properties } = toCreateTableInput(table);
+        
+        // CloudFormation sets the TTL with the table, and a stream by its view type alone
+        if (StreamSpecification) {
+            properties.StreamSpecification = { StreamViewType: StreamSpecification.StreamViewType };
+        }
+        
+        if (table.ttlAttribute) {
+            properties.TimeToLiveSpecification = { AttributeName: table.ttlAttribute, Enabled: true };
+        }
+        
+        resources[getUniqueName(logicalIds, `${toIdentifier(table.tableName, true).replace(/[^A-Za-z0-9]/g, '')}Table`)] = {
+            Type: 'AWS::DynamoDB::Table',
+            Properties: properties
+        };
+    });
+    
+    let result = '';
+    
+    result += '# DynamoDB tables\n';
+    result += '# Deploy with: aws cloudformation deploy --template-file template.yaml --stack-name nosql-tables\n';
+    result += 'AWSTemplateFormatVersion: "2010-09-09"\n';
+    result += 'Description: DynamoDB tables for the generated data\n';
+    result += renderYaml({ Resources: resources });
+    
+    return result;
+}
+
+/**
+ * Render an AWS CDK stack with the tables
+ * @param {Array<Object>} tables - The table models
+ * @returns {string} The stack TypeScript
+ */
+function renderCdk(tables) {
+    const variables = new Set();
+    let result = '';
+    
+    result += '// DynamoDB tables\n';
+    result += '// Add this stack to a CDK app (npm install aws-cdk-lib constructs) and deploy with: cdk deploy\n';
+    result += "import { Stack, StackProps } from 'aws-cdk-lib';\n";
+    result += "import * as dynamodb from 'aws-cdk-lib/aws-dynamodb';\n";
+    result += "import { Construct } from 'constructs';\n\n";
+    result += 'export class NosqlTablesStack extends Stack {\n';
+    result += '  constructor(scope: Construct, id: string, props?: StackProps) {\n';
+    result += '    super(scope, id, props);\n';
+    
+    tables.forEach(table => {
+        const provisioned = table.billingMode === 'PROVISIONED';
+        const capacity = provisioned ? `      readCapacity: ${table.readCapacity},\n      writeCapacity: ${table.writeCapacity},\n` : '';
+        const variable = getUniqueName(variables, `${toIdentifier(table.tableName, false)}Table`);
+        
+        // Construct ids must be unique within the stack too
+        result += `\n    const ${variable} = new dynamodb.Table(this, ${toStringLiteral(variable.charAt(0).toUpperCase() + variable.slice(1))}, {\n`;
+        result += `      tableName: ${toStringLiteral(table.tableName)},\n`;
+        result += `      partitionKey: ${renderCdkAttribute(table.partitionKey)},\n`;
+        
+        if (table.sortKey) {
+            result += `      sortKey: ${renderCdkAttribute(table.sortKey)},\n`;
+        }
+        
+        result += `      billingMode: dynamodb.BillingMode.${table.billingMode},\n`;
+        result += capacity;
+        
+        if (table.ttlAttribute) {
+            result += `      timeToLiveAttribute: ${toStringLiteral(table.ttlAttribute)},\n`;
+        }
+        
+        if (table.streamViewType) {
+            result += `      stream: dynamodb.StreamViewType.${table.streamViewType},\n`;
+        }
+        
+        result += '    });\n';
+        
+        table.globalIndexes.forEach(index => {
+            result += `\n    ${variable}.addGlobalSecondaryIndex({\n`;
+            result += `      indexName: ${toStringLiteral(index.name)},\n`;
+            result += `      partitionKey: ${renderCdkAttribute(index.partitionKey)},\n`;
+            
+            if (index.sortKey) {
+                result += `      sortKey: ${renderCdkAttribute(index.sortKey)},\n`;
+            }
+            
+            result += capacity;
+            result += '    });\n';
+        });
+        
+        table.localIndexes.forEach(index => {
+            result += `\n    ${variable}.addLocalSecondaryIndex({\n`;
+            result += `      indexName: ${toStringLiteral(index.name)},\n`;
+            result += `      sortKey: ${renderCdkAttribute(index.sortKey)},\n`;
+            result += '    });\n';
+        });
+    });
+    
+    result += '  }\n';
+    result += '}\n';
+    
+    return result;
+}
+
+/**
+ * Render a key attribute for the CDK
+ * @param {Object} key - The key attribute ({ name, type })
+ * @returns {string} The Attribute object literal
+ */
+function renderCdkAttribute(key) {
+    return `{ name: ${toStringLiteral(key.name)}, type: dynamodb.AttributeType.${CDK_ATTRIBUTE_TYPES[key.type]} }`;
+}
+
+/**
+ * Render Terraform resources for the tables
+ * @param {Array<Object>} tables - The table models
+ * @returns {string} The Terraform HCL
+ */
+function renderTerraform(tables) {
+    const resources = new Set();
+    let result = '';
+    
+    result += '# DynamoDB tables\n';
+    result += '# Apply with: terraform init && terraform apply\n';
+    
+    tables.forEach(table => {
+        const provisioned = table.billingMode === 'PROVISIONED';
+        const capacity = provisioned ? [['read_capacity', table.readCapacity], ['write_capacity', table.writeCapacity]] : [];
+        const name = getUniqueName(resources, toIdentifier(table.tableName, false).replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`));
+        
+        result += `\nresource "aws_dynamodb_table" "${name}" {\n`;
+        result += renderHclAttributes([
+            ['name', table.tableName],
+            ['billing_mode', table.billingMode],
+            ...capacity,
+            ['hash_key', table.partitionKey.name],
+            ...(table.sortKey ? [['range_key', table.sortKey.name]] : []),
+            ...(table.streamViewType ? [['stream_enabled', true], ['stream_view_type', table.streamViewType]] : [])
+        ], '  ');
+        
+        getKeyAttributes(table).forEach(key => {
+            result += '\n  attribute {\n';
+            result += renderHclAttributes([['name', key.name], ['type', key.type]], '    ');
+            result += '  }\n';
+        });
+        
+        table.globalIndexes.forEach(index => {
+            result += '\n  global_secondary_index {\n';
+            result += renderHclAttributes([
+                ['name', index.name],
+                ['hash_key', index.partitionKey.name],
+                ...(index.sortKey ? [['range_key', index.sortKey.name]] : []),
+                ['projection_type', 'ALL'],
+                ...capacity
+            ], '    ');
+            result += '  }\n';
+        });
+        
+        table.localIndexes.forEach(index => {
+            result += '\n  local_secondary_index {\n';
+            result += renderHclAttributes([['name', index.name], ['range_key', index.sortKey.name], ['projection_type', 'ALL']], '    ');
+            result += '  }\n';
+        });
+        
+        if (table.ttlAttribute) {
+            result += '\n  ttl {\n';
+            result += renderHclAttributes([['attribute_name', table.ttlAttribute], ['enabled', true]], '    ');
+            result += '  }\n';
+        }
+        
+        result += '}\n';
+    });
+    
+    return result;
+}
+
+/**
+ * Render HCL arguments with their equals signs aligned, as terraform fmt does
+ * @param {Array<Array>} attributes - The [name, value] pairs
+ * @param {string} indent - The indentation
+ * @returns {string} The arguments
+ */
+function renderHclAttributes(attributes, indent) {
+    const width = Math.max(...attributes.map(([name]) => name.length));
+    
+    return attributes.map(([name, value]) => {
+        // Terraform reads ${...} and %{...} in strings as templates, $${ and %%{ are literal
+        const literal = typeof value === 'string' ? toStringLiteral(value).replace(/\$\{/g, '$$$${').replace(/%\{/g, '%%{') : String(value);
+        
+        return `${indent}${name.padEnd(width)} = ${literal}\n`;
+    }).join('');
+}
+
+/**
+ * Render a value as YAML block mappings and sequences
+ * @param {Object|Array} value - The value
+ * @param {string} [indent=''] - The indentation
+ * @returns {string} The YAML lines
+ */
+function renderYaml(value, indent = '') {
+    if (Array.isArray(value)) {
+        return value.map(item => {
+            if (typeof item === 'object' && item !== null) {
+                // The first key of a mapping goes on the dash line
+                return `${indent}- ${renderYaml(item, `${indent}  `).slice(indent.length + 2)}`;
+            }
+            
+            return `${indent}- ${toYamlScalar(item)}\n`;
+        }).join('');
+    }
+    
+    return Object.entries(value).map(([key, child]) => {
+        if (typeof child === 'object' && child !== null) {
+            return `${indent}${toYamlScalar(key)}:\n${renderYaml(child, `${indent}  `)}`;
+        }
+        
+        return `${indent}${toYamlScalar(key)}: ${toYamlScalar(child)}\n`;
+    }).join('');
+}
+
+/**
+ * Render a YAML scalar
+ * @param {*} value - The string, number or boolean
+ * @returns {string} The value, double-quoted unless it is a plain word
+ */
+function toYamlScalar(value) {
+    if (typeof value !== 'string') {
+        return String(value);
+    }
+    
+    // Words YAML would read as booleans, nulls or numbers are quoted too
+    const plain = /^[A-Za-z_][A-Za-z0-9_.:/-]*$/.test(value) && !/^(true|false|yes|no|on|off|null|y|n)$/i.test(value);
+    
+    return plain ? value : toStringLiteral(value);
+}
+
+// Export functions
+export {
+    getAttributeType,
+    createTableModels,
+    toCreateTableInput,
+    renderCloudFormation,
+    renderCdk,
+    renderTerraform
+};
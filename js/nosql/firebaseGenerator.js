@@ -8,102 +8,420 @@
 
 import { generateId } from '../utils.js';
 import { logInfo } from '../logger.js';
+import { isReferencedArray, buildReferenceGraph, reuseId, getReferenceId, resolveReferences } from './references.js';
+import { inferSchema, detectFormat, isSingleType, suggestIndexFields } from './schemaInference.js';
+import { pluralize, singularize, resolveCollectionName, joinPath, unwrapRootData } from './naming.js';
+import { toStringLiteral, isIdentifier, toPropertyKey, toIdentifier, getUniqueName, toCommentText, toShellArgument } from './literals.js';
+import { ReferenceValue, ServerTimestampValue, GeoPointValue, isPlainObject, createGeneratorOutput, addDocument, addIndex, addFile, addReference, addWarning } from './documentModel.js';
+
+// Security rules types for the inferred value types
+const RULES_TYPES = {
+    string: 'string',
+    number: 'number',
+    boolean: 'bool',
+    date: 'timestamp',
+    object: 'map',
+    array: 'list',
+    reference: 'path',
+    geopoint: 'latlng',
+    objectId: 'string'
+};
+
+// Firestore commits at most this many writes in one batch
+const MAX_BATCH_WRITES = 500;
+
+// Latitude and longitude keys of objects that become geopoints
+const GEOPOINT_KEYS = [
+    ['latitude', 'longitude'],
+    ['lat', 'lng'],
+    ['lat', 'lon']
+];
+
+// Default host:port of the Firestore emulator
+const EMULATOR_HOST = '127.0.0.1:8080';
+
+// Projects named demo-* only ever talk to the emulators
+const DEFAULT_EMULATOR_PROJECT = 'demo-project';
+
+// Strings longer than this are treated as text and exempt from indexing
+const MAX_INDEXED_TEXT_LENGTH = 1000;
+
+// Access templates for the generated security rules
+const RULES_ACCESS = {
+    owner: 'owner-only (documents are read and written by the user in their owner field)',
+    authenticated: 'authenticated read (signed-in users read, writes are validated)',
+    public: 'public read (anyone reads, signed-in users write validated documents)'
+};
+
+// Alphabet of Realtime Database push ids, in lexicographic order
+const PUSH_CHARS = '-0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ_abcdefghijklmnopqrstuvwxyz';
+
+// Push ids created in the same millisecond increment the random part of the previous id
+let lastPushTime = 0;
+const lastRandChars = [];
 
 /**
  * Generate Firebase documents from JSON data
  * @param {Object} jsonData - The JSON data to convert
  * @param {string} structure - The document structure type
  * @param {Object} options - Generation options
- * @returns {string} Firebase document code
+ * @returns {Object} Object containing the Firebase code, documents, indexes, files and warnings
  */
 function generateFirebaseDocuments(jsonData, structure, options) {
     logInfo('Generating Firebase documents...');
     
+    const output = createGeneratorOutput();
     let result = '';
     
-    // Add Firebase import and initialization comment
-    result += '// Firebase Firestore Code\n';
-    result += '// Requires Firebase SDK to be initialized in your project\n\n';
-    result += '// Import Firebase modules\n';
-    result += 'import { getFirestore, collection, doc, setDoc, addDoc, serverTimestamp } from "firebase/firestore";\n\n';
-    result += '// Get Firestore instance\n';
-    result += 'const db = getFirestore();\n\n';
+    // A root object whose single key holds the array is unwrapped into that collection
+    const { data, path } = unwrapRootData(jsonData);
+    const collectionName = resolveCollectionName(path, path ? pluralize(path) : 'items', options);
     
-    // Get the collection name from the first key or use a default
-    const collectionName = Array.isArray(jsonData) ? 'items' : 
-                          Object.keys(jsonData).length > 0 ? Object.keys(jsonData)[0] : 
-                          'collection';
+    if (options.target === 'realtime') {
+        return {
+            code: generateRealtimeDatabase(data, structure, collectionName, options, output, path),
+            ...output
+        };
+    }
+    
+    result += generateFirestoreHeader(options);
+    
+    // A Firestore collection id is a single path segment
+    const collectionId = toFirestoreCollectionId(collectionName, output);
+    
+    // ISO date strings become timestamps and coordinate objects geopoints
+    const firestoreData = toFirestoreValue(data);
+    let documentsCode = '';
     
     // Generate documents based on structure type
     switch (structure) {
         case 'nested':
-            result += generateNestedDocuments(jsonData, collectionName, options);
+            documentsCode = generateNestedDocuments(firestoreData, collectionId, options, output);
             break;
         case 'flat':
-            result += generateFlatDocuments(jsonData, collectionName, options);
+            documentsCode = generateFlatDocuments(firestoreData, collectionId, options, output);
             break;
         case 'references':
-            result += generateReferencedDocuments(jsonData, collectionName, options);
+            documentsCode = generateReferencedDocuments(firestoreData, collectionId, options, output, path);
             break;
         case 'arrays':
-            result += generateArrayBasedDocuments(jsonData, collectionName, options);
+            documentsCode = generateArrayBasedDocuments(firestoreData, collectionId, options, output);
+            break;
+        case 'subcollections':
+            documentsCode = generateSubcollectionDocuments(firestoreData, collectionId, options, output, path);
             break;
         default:
-            result += generateNestedDocuments(jsonData, collectionName, options);
+            addWarning(output, `Unknown structure "${structure}", using nested documents`);
+            documentsCode = generateNestedDocuments(firestoreData, collectionId, options, output);
+    }
+    
+    result += documentsCode;
+    
+    // The Admin SDK and emulator outputs are seeding scripts that run their functions
+    if (options.sdk === 'admin' || options.emulator) {
+        const functions = [...documentsCode.matchAll(/^async function (\w+)\(/gm)].map(match => match[1]);
+        
+        result += `async function main() {\n`;
+        result += functions.map(name => `  await ${name}();\n`).join('');
+        
+        // Open connections would keep the script (and emulators:exec) running
+        if (options.emulator) {
+            result += options.sdk === 'admin' ? `  await db.terminate();\n` : `  await terminate(db);\n`;
+        }
+        
+        result += `}\n\n`;
+        result += `main().catch(console.error);\n\n`;
     }
     
     // Add index suggestions if enabled
     if (options.addIndexes) {
-        result += generateIndexSuggestions(jsonData, collectionName);
+        result += generateIndexSuggestions(output);
+    }
+    
+    if (options.addRules) {
+        addFile(output, 'firestore.rules', generateSecurityRules(output, options), 'plaintext');
+        result += `// Security rules for these collections are in firestore.rules\n`;
+    }
+    
+    // firebase.json points the Firebase CLI at the generated rules and indexes
+    const firestoreConfig = {};
+    
+    output.files.forEach(file => {
+        if (file.name === 'firestore.rules') {
+            firestoreConfig.rules = file.name;
+        } else if (file.name === 'firestore.indexes.json') {
+            firestoreConfig.indexes = file.name;
+        }
+    });
+    
+    const firebaseConfig = Object.keys(firestoreConfig).length > 0 ? { firestore: firestoreConfig } : {};
+    
+    if (options.emulator) {
+        const [host, port] = EMULATOR_HOST.split(':');
+        const projectId = getEmulatorProjectId(options);
+        
+        if (!projectId.startsWith('demo-')) {
+            addWarning(output, `The emulator project "${projectId}" does not start with demo-, so the emulator may reach live Firebase services`);
+        }
+        
+        // The emulator enforces the rules for client SDK writes, the Admin SDK bypasses them
+        if (options.addRules && options.sdk !== 'admin') {
+            addWarning(output, 'The emulator applies firestore.rules to the web SDK seed, use the Admin SDK to seed past the rules');
+        }
+        
+        firebaseConfig.emulators = { firestore: { host, port: Number(port) }, ui: { enabled: true } };
+        addFile(output, '.firebaserc', `${JSON.stringify({ projects: { default: projectId } }, null, 2)}\n`, 'json');
+        addFile(output, 'seed-emulator.sh', generateEmulatorSeedScript(options), 'shell');
+        result += `// Seed the emulator and save its data for firebase emulators:start --import with seed-emulator.sh\n`;
+    }
+    
+    if (Object.keys(firebaseConfig).length > 0) {
+        addFile(output, 'firebase.json', `${JSON.stringify(firebaseConfig, null, 2)}\n`, 'json');
+    }
+    
+    return {
+        code: result,
+        ...output
+    };
+}
+
+/**
+ * Generate the imports and Firestore instance for the chosen SDK
+ * @param {Object} options - Generation options (sdk, writeMode)
+ * @returns {string} Firestore setup code
+ */
+function generateFirestoreHeader(options) {
+    const projectId = toStringLiteral(getEmulatorProjectId(options));
+    let result = '';
+    
+    if (options.sdk === 'admin') {
+        result += `// Firebase Firestore Code (Admin SDK${options.emulator ? ', local emulator' : ''})\n`;
+        result += '// Requires the Firebase Admin SDK: npm install firebase-admin\n';
+        result += options.emulator ?
+            '// Seeds the Firestore emulator only, run it with seed-emulator.sh\n\n' :
+            '// Credentials come from GOOGLE_APPLICATION_CREDENTIALS\n\n';
+        result += 'const { initializeApp } = require("firebase-admin/app");\n';
+        result += 'const { getFirestore, FieldValue, Timestamp, GeoPoint } = require("firebase-admin/firestore");\n\n';
+        
+        if (options.emulator) {
+            // The Admin SDK connects to FIRESTORE_EMULATOR_HOST instead of the live project when it is set
+            result += `process.env.FIRESTORE_EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST || ${toStringLiteral(EMULATOR_HOST)};\n\n`;
+            result += `initializeApp({ projectId: ${projectId} });\n\n`;
+        } else {
+            result += 'initializeApp();\n\n';
+        }
+        
+        result += '// Get Firestore instance\n';
+        result += 'const db = getFirestore();\n\n';
+        
+        return result;
+    }
+    
+    const writeFunctions = options.writeMode === 'batch' ? 'writeBatch' : 'setDoc, addDoc';
+    
+    if (options.emulator) {
+        result += '// Firebase Firestore Code (local emulator)\n';
+        result += '// Seeds the Firestore emulator only, run it as an ES module (seed.mjs) with seed-emulator.sh\n\n';
+        result += '// Import Firebase modules\n';
+        result += 'import { initializeApp } from "firebase/app";\n';
+        result += `import { getFirestore, connectFirestoreEmulator, terminate, collection, doc, ${writeFunctions}, serverTimestamp, Timestamp, GeoPoint } from "firebase/firestore";\n\n`;
+        result += `const app = initializeApp({ projectId: ${projectId} });\n\n`;
+        result += '// Get Firestore instance\n';
+        result += 'const db = getFirestore(app);\n\n';
+        result += '// FIRESTORE_EMULATOR_HOST is the host:port of the running emulator\n';
+        result += `const [emulatorHost, emulatorPort] = (process.env.FIRESTORE_EMULATOR_HOST || ${toStringLiteral(EMULATOR_HOST)}).split(":");\n`;
+        result += 'connectFirestoreEmulator(db, emulatorHost, Number(emulatorPort));\n\n';
+        
+        return result;
+    }
+    
+    result += '// Firebase Firestore Code\n';
+    result += '// Requires Firebase SDK to be initialized in your project\n\n';
+    result += '// Import Firebase modules\n';
+    result += `import { getFirestore, collection, doc, ${writeFunctions}, serverTimestamp, Timestamp, GeoPoint } from "firebase/firestore";\n\n`;
+    result += '// Get Firestore instance\n';
+    result += 'const db = getFirestore();\n\n';
+    
+    return result;
+}
+
+/**
+ * Get the project id the emulator seed runs against
+ * @param {Object} options - Generation options (emulatorProjectId)
+ * @returns {string} The project id
+ */
+function getEmulatorProjectId(options) {
+    return options.emulatorProjectId || DEFAULT_EMULATOR_PROJECT;
+}
+
+/**
+ * Generate the shell script that seeds the emulator and exports its data
+ * @param {Object} options - Generation options (sdk, emulatorProjectId)
+ * @returns {string} The shell script
+ */
+function generateEmulatorSeedScript(options) {
+    const seedScript = options.sdk === 'admin' ? 'seed.js' : 'seed.mjs';
+    let result = '';
+    
+    result += '#!/bin/sh\n';
+    result += '# Seeds the Firestore emulator with the generated data and saves it to ./emulator-data\n';
+    result += `# Usage: sh seed-emulator.sh [${seedScript}] (the generated Firestore code)\n`;
+    result += '# Afterwards start the emulator with the data: firebase emulators:start --import ./emulator-data\n';
+    result += 'set -e\n\n';
+    result += `SEED_SCRIPT="\${1:-${seedScript}}"\n\n`;
+    result += '# emulators:exec sets FIRESTORE_EMULATOR_HOST for the seed script and exports the data when it exits\n';
+    result += `firebase emulators:exec --only firestore --project ${toShellArgument(getEmulatorProjectId(options))} --export-on-exit ./emulator-data "node $SEED_SCRIPT"\n`;
+    
+    return result;
+}
+
+/**
+ * Create the state for writing the documents of one generated function
+ * @param {Object} options - Generation options (sdk, writeMode)
+ * @returns {Object} Writer with the SDK, whether writes are batched and the writes so far
+ */
+function createDocumentWriter(options) {
+    return {
+        sdk: options.sdk === 'admin' ? 'admin' : 'web',
+        batched: options.writeMode === 'batch',
+        writes: 0
+    };
+}
+
+/**
+ * Render a CollectionReference for the chosen SDK
+ * @param {string} collectionName - The collection name
+ * @param {Object} options - Generation options (sdk)
+ * @returns {string} The collection reference expression
+ */
+function renderCollectionRef(collectionName, options) {
+    return options.sdk === 'admin' ?
+        `db.collection(${toStringLiteral(collectionName)})` :
+        `collection(db, ${toStringLiteral(collectionName)})`;
+}
+
+/**
+ * Render the write of one document, as its own request or as part of a batch
+ * @param {Object} writer - The document writer
+ * @param {string} collectionRef - The variable holding the CollectionReference
+ * @param {string|null} docId - The document id, or null for an auto-generated id
+ * @param {string} fields - The rendered document fields
+ * @param {string} comment - The comment describing the document
+ * @returns {string} The write code
+ */
+function renderDocumentWrite(writer, collectionRef, docId, fields, comment) {
+    const id = docId ? toStringLiteral(docId) : '';
+    let result = '';
+    
+    if (writer.batched) {
+        const newBatch = writer.sdk === 'admin' ? 'db.batch()' : 'writeBatch(db)';
+        
+        if (writer.writes === 0) {
+            result += `  let batch = ${newBatch};\n\n`;
+        } else if (writer.writes % MAX_BATCH_WRITES === 0) {
+            result += `  // A batch holds at most ${MAX_BATCH_WRITES} writes\n`;
+            result += `  await batch.commit();\n`;
+            result += `  batch = ${newBatch};\n\n`;
+        }
+        
+        writer.writes++;
+        
+        const docRef = writer.sdk === 'admin' ? `${collectionRef}.doc(${id})` : `doc(${collectionRef}${id ? `, ${id}` : ''})`;
+        result += `  // ${toCommentText(comment)}\n`;
+        result += `  batch.set(${docRef}, {\n`;
+    } else if (writer.sdk === 'admin') {
+        result += `  // ${toCommentText(comment)}\n`;
+        result += docId ? `  await ${collectionRef}.doc(${id}).set({\n` : `  await ${collectionRef}.add({\n`;
+    } else {
+        result += `  // ${toCommentText(comment)}\n`;
+        result += docId ? `  await setDoc(doc(${collectionRef}, ${id}), {\n` : `  await addDoc(${collectionRef}, {\n`;
     }
     
+    result += fields;
+    result += `  });\n\n`;
+    
     return result;
 }
 
+/**
+ * Render the commit of the last batch
+ * @param {Object} writer - The document writer
+ * @returns {string} The commit code, empty when writes are not batched
+ */
+function renderBatchCommit(writer) {
+    return writer.batched && writer.writes > 0 ? `  await batch.commit();\n\n` : '';
+}
+
+/**
+ * Convert JSON values to Firestore types
+ * @param {*} value - The value to convert
+ * @returns {*} The value with ISO date strings as dates and coordinate objects as geopoints
+ */
+function toFirestoreValue(value) {
+    if (typeof value === 'string' && ['date-time', 'date'].includes(detectFormat(value)) && !isNaN(Date.parse(value))) {
+        return new Date(value);
+    } else if (Array.isArray(value)) {
+        return value.map(toFirestoreValue);
+    } else if (isPlainObject(value)) {
+        return getGeoPoint(value) ||
+            Object.fromEntries(Object.entries(value).map(([key, child]) => [key, toFirestoreValue(child)]));
+    }
+    
+    return value;
+}
+
+/**
+ * Get the geopoint described by an object with only a latitude and a longitude
+ * @param {Object} value - The object
+ * @returns {GeoPointValue|null} The geopoint, or null when the object is not a coordinate pair
+ */
+function getGeoPoint(value) {
+    const keys = Object.keys(value);
+    const pair = keys.length === 2 && GEOPOINT_KEYS.find(([lat, lng]) => keys.includes(lat) && keys.includes(lng));
+    
+    if (!pair) {
+        return null;
+    }
+    
+    const latitude = value[pair[0]];
+    const longitude = value[pair[1]];
+    
+    if (typeof latitude !== 'number' || typeof longitude !== 'number' || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+        return null;
+    }
+    
+    return new GeoPointValue(latitude, longitude);
+}
+
 /**
  * Generate nested Firebase documents
  * @param {Object} jsonData - The JSON data to convert
  * @param {string} collectionName - The name of the collection
  * @param {Object} options - Generation options
+ * @param {Object} output - Generator output to record documents in
  * @returns {string} Firebase document code
  */
-function generateNestedDocuments(jsonData, collectionName, options) {
+function generateNestedDocuments(jsonData, collectionName, options, output) {
     let result = `// Nested document structure\n`;
     result += `// Function to add documents to Firestore\n`;
     result += `async function addNestedDocuments() {\n`;
-    result += `  const collectionRef = collection(db, "${collectionName}");\n\n`;
+    result += `  const collectionRef = ${renderCollectionRef(collectionName, options)};\n\n`;
     
     // Convert data to array if it's not already
     const dataArray = Array.isArray(jsonData) ? jsonData : [jsonData];
+    const writer = createDocumentWriter(options);
     
     // Generate document creation code
     dataArray.forEach((item, index) => {
-        // Create a variable for this document
-        result += `  // Document ${index + 1}\n`;
-        
-        if (options.addIds) {
-            const docId = generateId(true);
-            result += `  const docRef${index + 1} = doc(collectionRef, "${docId}");\n`;
-            result += `  await setDoc(docRef${index + 1}, {\n`;
-        } else {
-            result += `  await addDoc(collectionRef, {\n`;
-        }
-        
-        // Add timestamps if enabled
-        if (options.addTimestamps) {
-            result += `    createdAt: serverTimestamp(),\n`;
-            result += `    updatedAt: serverTimestamp(),\n`;
-        }
-        
-        // Add the data fields
-        Object.entries(item).forEach(([key, value], i) => {
-            result += `    ${key}: ${firebaseValueToString(value)}${i < Object.entries(item).length - 1 ? ',' : ''}\n`;
-        });
+        const docId = options.addIds ? generateId(true) : null;
+        const data = createDocumentData(item, options);
+        addDocument(output, collectionName, docId, data);
         
-        result += `  });\n\n`;
+        result += renderDocumentWrite(writer, 'collectionRef', docId, renderDocumentFields(data, '    ', options.sdk), `Document ${index + 1}`);
     });
     
-    result += `  console.log("${dataArray.length} documents added to ${collectionName} collection");\n`;
+    result += renderBatchCommit(writer);
+    result += `  console.log(${toStringLiteral(`${dataArray.length} documents added to ${collectionName} collection`)});\n`;
     result += `}\n\n`;
     
     return result;
@@ -114,48 +432,31 @@ function generateNestedDocuments(jsonData, collectionName, options) {
  * @param {Object} jsonData - The JSON data to convert
  * @param {string} collectionName - The name of the collection
  * @param {Object} options - Generation options
+ * @param {Object} output - Generator output to record documents in
  * @returns {string} Firebase document code
  */
-function generateFlatDocuments(jsonData, collectionName, options) {
+function generateFlatDocuments(jsonData, collectionName, options, output) {
     let result = `// Flat document structure\n`;
     result += `// Function to add flat documents to Firestore\n`;
     result += `async function addFlatDocuments() {\n`;
-    result += `  const collectionRef = collection(db, "${collectionName}");\n\n`;
+    result += `  const collectionRef = ${renderCollectionRef(collectionName, options)};\n\n`;
     
     // Convert data to array if it's not already
     const dataArray = Array.isArray(jsonData) ? jsonData : [jsonData];
+    const writer = createDocumentWriter(options);
     
     // Generate document creation code
     dataArray.forEach((item, index) => {
-        // Flatten the object
-        const flattenedObject = flattenObject(item);
-        
-        // Create a variable for this document
-        result += `  // Document ${index + 1}\n`;
-        
-        if (options.addIds) {
-            const docId = generateId(true);
-            result += `  const docRef${index + 1} = doc(collectionRef, "${docId}");\n`;
-            result += `  await setDoc(docRef${index + 1}, {\n`;
-        } else {
-            result += `  await addDoc(collectionRef, {\n`;
-        }
-        
-        // Add timestamps if enabled
-        if (options.addTimestamps) {
-            result += `    createdAt: serverTimestamp(),\n`;
-            result += `    updatedAt: serverTimestamp(),\n`;
-        }
+        // Flatten the object before adding timestamps
+        const docId = options.addIds ? generateId(true) : null;
+        const data = createDocumentData(flattenObject(item), options);
+        addDocument(output, collectionName, docId, data);
         
-        // Add the data fields
-        Object.entries(flattenedObject).forEach(([key, value], i) => {
-            result += `    ${key}: ${firebaseValueToString(value)}${i < Object.entries(flattenedObject).length - 1 ? ',' : ''}\n`;
-        });
-        
-        result += `  });\n\n`;
+        result += renderDocumentWrite(writer, 'collectionRef', docId, renderDocumentFields(data, '    ', options.sdk), `Document ${index + 1}`);
     });
     
-    result += `  console.log("${dataArray.length} flat documents added to ${collectionName} collection");\n`;
+    result += renderBatchCommit(writer);
+    result += `  console.log(${toStringLiteral(`${dataArray.length} flat documents added to ${collectionName} collection`)});\n`;
     result += `}\n\n`;
     
     return result;
@@ -166,62 +467,65 @@ function generateFlatDocuments(jsonData, collectionName, options) {
  * @param {Object} jsonData - The JSON data to convert
  * @param {string} collectionName - The name of the collection
  * @param {Object} options - Generation options
+ * @param {Object} output - Generator output to record documents in
+ * @param {string} [path=''] - The data path of the root items
  * @returns {string} Firebase document code
  */
-function generateReferencedDocuments(jsonData, collectionName, options) {
+function generateReferencedDocuments(jsonData, collectionName, options, output, path = '') {
     let result = `// Referenced document structure\n`;
     result += `// Function to add documents with references to Firestore\n`;
     result += `async function addReferencedDocuments() {\n`;
     
-    // Extract collections
-    const collections = {};
+    // Convert data to array if it's not already
+    const dataArray = Array.isArray(jsonData) ? jsonData : [jsonData];
     
-    if (Array.isArray(jsonData)) {
-        collections[collectionName] = jsonData;
-        extractReferencedCollections(jsonData, collections);
-    } else {
-        collections[collectionName] = [jsonData];
-        extractReferencedCollections([jsonData], collections);
+    // Every document gets its id up front (the id it has when Firestore accepts it) so references point at real documents
+    const graph = buildReferenceGraph(
+        dataArray,
+        collectionName,
+        (key, isArray, childPath) => toFirestoreCollectionId(getReferencedCollectionName(key, childPath, options), output),
+        (collection, item) => String(reuseId(item, 'id', () => generateId(true), isFirestoreId)),
+        path
+    );
+    
+    if (!options.addIds) {
+        addWarning(output, 'The references structure always generates document ids so that references resolve');
     }
     
+    const writer = createDocumentWriter(options);
+    
+    // Different collection names can map to the same identifier
+    const variables = new Set();
+    
     // Generate document creation code for each collection
-    Object.entries(collections).forEach(([collection, items]) => {
-        result += `  // Collection: ${collection}\n`;
-        result += `  const ${collection}Ref = collection(db, "${collection}");\n\n`;
+    Object.entries(graph.collections).forEach(([collection, items]) => {
+        const variable = getUniqueName(variables, `${toIdentifier(collection, false)}Ref`);
+        
+        result += `  // Collection: ${toCommentText(collection)}\n`;
+        result += `  const ${variable} = ${renderCollectionRef(collection, options)};\n\n`;
         
         // Generate document creation code
         items.forEach((item, index) => {
-            // Create a variable for this document
-            result += `  // ${collection} document ${index + 1}\n`;
-            
-            if (options.addIds) {
-                const docId = generateId(true);
-                result += `  const ${collection}Doc${index + 1} = doc(${collection}Ref, "${docId}");\n`;
-                result += `  await setDoc(${collection}Doc${index + 1}, {\n`;
-            } else {
-                result += `  const ${collection}Doc${index + 1} = await addDoc(${collection}Ref, {\n`;
-            }
-            
-            // Add timestamps if enabled
-            if (options.addTimestamps) {
-                result += `    createdAt: serverTimestamp(),\n`;
-                result += `    updatedAt: serverTimestamp(),\n`;
-            }
-            
-            // Add the data fields
-            Object.entries(item).forEach(([key, value], i) => {
-                // Skip nested objects that became separate collections
-                if (typeof value === 'object' && value !== null && !Array.isArray(value) && Object.keys(value).length > 0) {
-                    result += `    ${key}Ref: doc(db, "${key}s", "${generateId(true)}"),\n`;
-                } else {
-                    result += `    ${key}: ${firebaseValueToString(value)}${i < Object.entries(item).length - 1 ? ',' : ''}\n`;
+            // Nested objects became separate collections, keep DocumentReferences instead
+            const fields = resolveReferences(graph, item, (key, target, targetCollection) => {
+                if (Array.isArray(target)) {
+                    addReference(output, collection, `${key}Refs`, targetCollection);
+                    return { [`${key}Refs`]: target.map(child => new ReferenceValue(child.collection, child.id)) };
                 }
+                
+                addReference(output, collection, `${key}Ref`, targetCollection);
+                return { [`${key}Ref`]: new ReferenceValue(target.collection, target.id) };
             });
             
-            result += `  });\n\n`;
+            const docId = getReferenceId(graph, item);
+            const data = createDocumentData(fields, options);
+            addDocument(output, collection, docId, data);
+            
+            result += renderDocumentWrite(writer, variable, docId, renderDocumentFields(data, '    ', options.sdk), `${collection} document ${index + 1}`);
         });
     });
     
+    result += renderBatchCommit(writer);
     result += `  console.log("Referenced documents added to Firestore");\n`;
     result += `}\n\n`;
     
@@ -233,167 +537,909 @@ function generateReferencedDocuments(jsonData, collectionName, options) {
  * @param {Object} jsonData - The JSON data to convert
  * @param {string} collectionName - The name of the collection
  * @param {Object} options - Generation options
+ * @param {Object} output - Generator output to record documents in
  * @returns {string} Firebase document code
  */
-function generateArrayBasedDocuments(jsonData, collectionName, options) {
+function generateArrayBasedDocuments(jsonData, collectionName, options, output) {
     let result = `// Array-based document structure\n`;
     result += `// Function to add array-based document to Firestore\n`;
     result += `async function addArrayBasedDocument() {\n`;
-    result += `  const collectionRef = collection(db, "${collectionName}");\n\n`;
+    result += `  const collectionRef = ${renderCollectionRef(collectionName, options)};\n\n`;
     
     // Convert data to array if it's not already
     const dataArray = Array.isArray(jsonData) ? jsonData : [jsonData];
+    const writer = createDocumentWriter(options);
+    
+    // Build a single document with an items array
+    const items = dataArray.map(item => (
+        options.addIds ? { id: generateId(true), ...item } : { ...item }
+    ));
+    const docId = options.addIds ? generateId(true) : null;
+    const data = createDocumentData({ items }, options);
+    addDocument(output, collectionName, docId, data);
+    
+    let fields = '';
+    
+    Object.entries(data).forEach(([key, value]) => {
+        if (key !== 'items') {
+            fields += `    ${toPropertyKey(key)}: ${firebaseValueToString(value, options.sdk)},\n`;
+        }
+    });
+    
+    // Add items array
+    fields += `    items: [\n`;
+    
+    items.forEach((item, index) => {
+        fields += `      {\n`;
+        fields += renderDocumentFields(item, '        ', options.sdk);
+        fields += `      }${index < items.length - 1 ? ',' : ''}\n`;
+    });
+    
+    fields += `    ]\n`;
     
     // Generate document creation code
-    result += `  // Create a single document with items array\n`;
+    result += renderDocumentWrite(writer, 'collectionRef', docId, fields, 'Create a single document with items array');
+    result += renderBatchCommit(writer);
     
-    if (options.addIds) {
-        const docId = generateId(true);
-        result += `  const docRef = doc(collectionRef, "${docId}");\n`;
-        result += `  await setDoc(docRef, {\n`;
-    } else {
-        result += `  await addDoc(collectionRef, {\n`;
-    }
+    result += `  console.log(${toStringLiteral(`Array-based document added to ${collectionName} collection`)});\n`;
+    result += `}\n\n`;
     
-    // Add timestamps if enabled
-    if (options.addTimestamps) {
-        result += `    createdAt: serverTimestamp(),\n`;
-        result += `    updatedAt: serverTimestamp(),\n`;
+    return result;
+}
+
+/**
+ * Generate a Firebase Realtime Database import for the JSON data
+ * @param {Object} jsonData - The JSON data to convert
+ * @param {string} structure - The document structure type
+ * @param {string} collectionName - The name of the root node
+ * @param {Object} options - Generation options
+ * @param {Object} output - Generator output to record documents and files in
+ * @param {string} [path=''] - The data path of the root items
+ * @returns {string} Firebase Admin SDK code writing the tree with a multi-path update
+ */
+function generateRealtimeDatabase(jsonData, structure, collectionName, options, output, path = '') {
+    const dataArray = Array.isArray(jsonData) ? jsonData : [jsonData];
+    const collection = toRealtimeKey(collectionName, output);
+    const updates = [];
+    const indexNodes = [];
+    
+    // The Realtime Database keys every node by path, so every node gets a push id
+    switch (structure) {
+        case 'nested':
+        case 'subcollections':
+            // Child nodes of the tree already play the role of subcollections
+            dataArray.forEach(item => {
+                addRealtimeNode(updates, output, collection, generatePushId(), createDocumentData(item, options));
+            });
+            break;
+        case 'flat':
+            dataArray.forEach(item => {
+                addRealtimeNode(updates, output, collection, generatePushId(), createDocumentData(flattenObject(item), options));
+            });
+            break;
+        case 'references':
+            indexNodes.push(...addRealtimeReferences(updates, dataArray, collection, options, output, path));
+            break;
+        case 'arrays': {
+            // A single node whose items are keyed by push id, since the Realtime Database has no real arrays
+            const items = Object.fromEntries(dataArray.map(item => [generatePushId(), item]));
+            addRealtimeNode(updates, output, collection, generatePushId(), createDocumentData({ items }, options));
+            break;
+        }
+        default:
+            addWarning(output, `Unknown structure "${structure}", using nested documents`);
+            dataArray.forEach(item => {
+                addRealtimeNode(updates, output, collection, generatePushId(), createDocumentData(item, options));
+            });
     }
     
-    // Add items array
-    result += `    items: [\n`;
+    addFile(output, 'database.json', `${JSON.stringify(buildRealtimeTree(updates), null, 2)}\n`, 'json');
+    addFile(output, 'database.rules.json', generateRealtimeRules(output, options, indexNodes), 'json');
+    addFile(output, 'firebase.json', `${JSON.stringify({ database: { rules: 'database.rules.json' } }, null, 2)}\n`, 'json');
     
-    dataArray.forEach((item, index) => {
-        result += `      {\n`;
-        
-        // Add item ID if enabled
-        if (options.addIds) {
-            result += `        id: "${generateId(true)}",\n`;
+    let result = '';
+    
+    result += '// Firebase Realtime Database Code\n';
+    result += '// Requires the Firebase Admin SDK: npm install firebase-admin\n';
+    result += '// Set FIREBASE_DATABASE_URL and GOOGLE_APPLICATION_CREDENTIALS before running\n';
+    result += '// database.json holds the same tree for: firebase database:set / database.json\n';
+    result += '// Deploy database.rules.json with: firebase deploy --only database\n\n';
+    result += 'const admin = require("firebase-admin");\n\n';
+    result += 'admin.initializeApp({ databaseURL: process.env.FIREBASE_DATABASE_URL });\n\n';
+    result += 'const db = admin.database();\n\n';
+    result += '// Every node and fan-out index entry is written in one atomic multi-path update\n';
+    result += '// { ".sv": "timestamp" } is the server timestamp (admin.database.ServerValue.TIMESTAMP)\n';
+    result += 'async function importData() {\n';
+    result += '  const updates = {};\n\n';
+    
+    updates.forEach(([nodePath, value]) => {
+        if (typeof value === 'object' && value !== null) {
+            result += `  updates[${toStringLiteral(nodePath)}] = {\n`;
+            result += renderDocumentFields(value, '    ');
+            result += `  };\n`;
+        } else {
+            result += `  updates[${toStringLiteral(nodePath)}] = ${firebaseValueToString(value)};\n`;
         }
+    });
+    
+    result += `\n  await db.ref().update(updates);\n`;
+    result += `  console.log(${toStringLiteral(`${updates.length} paths written to the Realtime Database`)});\n`;
+    result += `}\n\n`;
+    result += `importData()\n`;
+    result += `  .catch(console.error)\n`;
+    result += `  .finally(() => admin.app().delete());\n`;
+    
+    return result;
+}
+
+/**
+ * Add the 'references' structure to a Realtime Database tree with fan-out index nodes
+ * @param {Array} updates - The [path, value] updates to add to
+ * @param {Array<Object>} dataArray - The root items
+ * @param {string} collection - The root node name
+ * @param {Object} options - Generation options
+ * @param {Object} output - Generator output to record documents and references in
+ * @param {string} path - The data path of the root items
+ * @returns {Array<string>} The names of the fan-out index nodes
+ */
+function addRealtimeReferences(updates, dataArray, collection, options, output, path) {
+    const graph = buildReferenceGraph(
+        dataArray,
+        collection,
+        (key, isArray, childPath) => toRealtimeKey(getReferencedCollectionName(key, childPath, options), output),
+        (collection, item) => toRealtimeKey(String(reuseId(item, 'id', generatePushId)), output),
+        path
+    );
+    const indexUpdates = [];
+    const indexNodes = [];
+    
+    Object.entries(graph.collections).forEach(([parent, items]) => {
+        items.forEach(item => {
+            const parentId = getReferenceId(graph, item);
+            
+            // Children are stored by id, and /{parent}-{children}/{parentId}/{childId} lists them without reading the parent
+            const fields = resolveReferences(graph, item, (key, target, targetCollection) => {
+                const children = Array.isArray(target) ? target : [target];
+                const indexNode = toRealtimeKey(`${singularize(parent)}-${targetCollection}`, output);
+                
+                if (!indexNodes.includes(indexNode)) {
+                    indexNodes.push(indexNode);
+                }
+                
+                children.forEach(child => {
+                    indexUpdates.push([`/${indexNode}/${parentId}/${child.id}`, true]);
+                });
+                
+                if (Array.isArray(target)) {
+                    addReference(output, parent, `${key}Ids`, targetCollection);
+                    return { [`${key}Ids`]: Object.fromEntries(children.map(child => [child.id, true])) };
+                }
+                
+                addReference(output, parent, `${key}Id`, targetCollection);
+                return { [`${key}Id`]: target.id };
+            });
+            
+            addRealtimeNode(updates, output, parent, parentId, createDocumentData(fields, options));
+        });
+    });
+    
+    updates.push(...indexUpdates);
+    
+    return indexNodes;
+}
+
+/**
+ * Add a node to a Realtime Database tree and record it as a document
+ * @param {Array} updates - The [path, value] updates to add to
+ * @param {Object} output - Generator output to record the document in
+ * @param {string} collection - The parent node name
+ * @param {string} id - The push id of the node
+ * @param {Object} data - The node data
+ */
+function addRealtimeNode(updates, output, collection, id, data) {
+    const value = toRealtimeValue(data, output);
+    
+    updates.push([`/${collection}/${id}`, value]);
+    addDocument(output, collection, id, value);
+}
+
+/**
+ * Build the JSON tree written by a list of multi-path updates
+ * @param {Array} updates - The [path, value] updates
+ * @returns {Object} The database tree
+ */
+function buildRealtimeTree(updates) {
+    const tree = {};
+    
+    updates.forEach(([nodePath, value]) => {
+        const keys = nodePath.split('/').filter(Boolean);
+        const last = keys.pop();
+        let node = tree;
         
-        // Add the data fields
-        Object.entries(item).forEach(([key, value], i) => {
-            result += `        ${key}: ${firebaseValueToString(value)}${i < Object.entries(item).length - 1 ? ',' : ''}\n`;
+        keys.forEach(key => {
+            if (!Object.prototype.hasOwnProperty.call(node, key)) {
+                Object.defineProperty(node, key, { value: {}, enumerable: true, writable: true, configurable: true });
+            }
+            
+            node = node[key];
         });
         
-        result += `      }${index < dataArray.length - 1 ? ',' : ''}\n`;
+        Object.defineProperty(node, last, { value, enumerable: true, writable: true, configurable: true });
     });
     
-    result += `    ]\n`;
-    result += `  });\n\n`;
+    return tree;
+}
+
+/**
+ * Convert a value to its Realtime Database form
+ * @param {*} value - The value to convert
+ * @param {Object} output - Generator output to record warnings in
+ * @returns {*} The JSON value stored in the database
+ */
+function toRealtimeValue(value, output) {
+    if (value instanceof Date) {
+        return value.toISOString();
+    } else if (value instanceof ServerTimestampValue) {
+        return { '.sv': 'timestamp' };
+    } else if (value instanceof ReferenceValue) {
+        return `${value.collection}/${value.id}`;
+    } else if (Array.isArray(value)) {
+        return value.map(item => toRealtimeValue(item, output));
+    } else if (typeof value === 'object' && value !== null) {
+        return Object.fromEntries(Object.entries(value).map(([key, child]) => [
+            toRealtimeKey(key, output),
+            toRealtimeValue(child, output)
+        ]));
+    }
     
-    result += `  console.log("Array-based document added to ${collectionName} collection");\n`;
-    result += `}\n\n`;
+    return value;
+}
+
+/**
+ * Convert a key to a valid Realtime Database key
+ * @param {string} key - The key
+ * @param {Object} output - Generator output to record warnings in
+ * @returns {string} The key with . $ # [ ] / and control characters replaced by underscores
+ */
+function toRealtimeKey(key, output) {
+    const safeKey = key.replace(/[.$#[\]/\u0000-\u001f\u007f]/g, '_') || '_';
     
-    return result;
+    if (safeKey !== key) {
+        const message = `The key "${key}" is not valid in the Realtime Database and is written as "${safeKey}"`;
+        
+        if (!output.warnings.includes(message)) {
+            addWarning(output, message);
+        }
+    }
+    
+    return safeKey;
 }
 
 /**
- * Generate index suggestions for Firebase
- * @param {Object} jsonData - The JSON data to analyze
- * @param {string} collectionName - The name of the collection
- * @returns {string} Firebase index suggestions
+ * Make a collection name a valid Firestore collection id, and warn when it changes
+ * @param {string} name - The collection name
+ * @param {Object} output - Generator output to record warnings in
+ * @returns {string} The name with / replaced by underscores, and . .. and __name__ forms changed
  */
-function generateIndexSuggestions(jsonData, collectionName) {
-    let result = `// Index Suggestions for Firebase\n`;
-    result += `// Add these indexes in the Firebase console or using the Firebase CLI\n\n`;
+function toFirestoreCollectionId(name, output) {
+    let safeId = name.replace(/\//g, '_').replace(/^__(.*)__$/, '_$1_');
     
-    const indexFields = [];
+    if (['', '.', '..'].includes(safeId)) {
+        safeId = `_${safeId}_`;
+    }
     
-    // Analyze data to find potential index fields
-    if (Array.isArray(jsonData) && jsonData.length > 0) {
-        const sampleItem = jsonData[0];
+    if (safeId !== name) {
+        const message = `The collection name "${name}" is not a valid Firestore collection id and is written as "${safeId}"`;
         
-        // Look for common index candidates
-        Object.entries(sampleItem).forEach(([key, value]) => {
-            // ID fields are good candidates
-            if (key.toLowerCase().includes('id') || key.toLowerCase().endsWith('_id')) {
-                indexFields.push(key);
+        if (!output.warnings.includes(message)) {
+            addWarning(output, message);
+        }
+    }
+    
+    return safeId;
+}
+
+/**
+ * Check whether Firestore accepts an id as a document id
+ * @param {string|number} id - The id
+ * @returns {boolean} Whether the id is a single path segment other than ., .. and __name__ forms
+ */
+function isFirestoreId(id) {
+    const segment = String(id);
+    
+    return !segment.includes('/') && segment !== '.' && segment !== '..' && !/^__.*__$/.test(segment);
+}
+
+/**
+ * Generate a Realtime Database push id (time-ordered, 20 characters)
+ * @returns {string} The push id
+ */
+function generatePushId() {
+    let now = Date.now();
+    const duplicateTime = now === lastPushTime;
+    let id = '';
+    
+    lastPushTime = now;
+    
+    // 8 characters of timestamp so that ids sort in creation order
+    for (let i = 0; i < 8; i++) {
+        id = PUSH_CHARS.charAt(now % 64) + id;
+        now = Math.floor(now / 64);
+    }
+    
+    // 12 random characters, incremented instead when the millisecond repeats
+    if (!duplicateTime) {
+        for (let i = 0; i < 12; i++) {
+            lastRandChars[i] = Math.floor(Math.random() * 64);
+        }
+    } else {
+        let i = 11;
+        
+        for (; i >= 0 && lastRandChars[i] === 63; i--) {
+            lastRandChars[i] = 0;
+        }
+        
+        lastRandChars[i]++;
+    }
+    
+    for (let i = 0; i < 12; i++) {
+        id += PUSH_CHARS.charAt(lastRandChars[i]);
+    }
+    
+    return id;
+}
+
+/**
+ * Generate database.rules.json for the generated nodes
+ * @param {Object} output - Generator output with the generated documents
+ * @param {Object} options - Generation options (rulesAccess, ownerField, addIndexes)
+ * @param {Array<string>} indexNodes - The names of the fan-out index nodes
+ * @returns {string} The rules JSON
+ */
+function generateRealtimeRules(output, options, indexNodes) {
+    const access = RULES_ACCESS[options.rulesAccess] ? options.rulesAccess : 'owner';
+    const ownerField = options.ownerField || 'ownerId';
+    const owner = `data.child(${toStringLiteral(ownerField)}).val() === auth.uid`;
+    const newOwner = `newData.child(${toStringLiteral(ownerField)}).val() === auth.uid`;
+    const rules = {};
+    
+    Object.entries(output.documents).forEach(([collection, entries]) => {
+        const schema = inferSchema(entries.map(entry => entry.data));
+        const node = access === 'owner' ? {} : {
+            '.read': access === 'public' ? true : 'auth != null',
+            '.write': 'auth != null'
+        };
+        const child = {};
+        
+        if (access === 'owner') {
+            if (!schema.fields[ownerField]) {
+                addWarning(output, `The ${collection} nodes have no ${ownerField} field, so the owner-only rules deny all access to them`);
             }
             
-            // Date fields are good candidates
-            if (
-                (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) ||
-                value instanceof Date ||
-                key.toLowerCase().includes('date') ||
-                key.toLowerCase().includes('time')
-            ) {
-                indexFields.push(key);
-            }
+            child['.read'] = `auth != null && ${owner}`;
+            child['.write'] = `auth != null && (!data.exists() || ${owner}) && (!newData.exists() || ${newOwner})`;
+        }
+        
+        // Null values are not stored, so only fields that are always set are required
+        const required = Object.values(schema.fields)
+            .filter(field => !field.optional && !field.nullable)
+            .map(field => field.name);
+        
+        if (required.length > 0) {
+            child['.validate'] = `newData.hasChildren([${required.map(toStringLiteral).join(', ')}])`;
+        }
+        
+        // .indexOn lets orderByChild() queries run on the server
+        if (options.addIndexes) {
+            const indexFields = suggestIndexFields(schema).filter(field => field !== 'id');
             
-            // Name, email, username fields are good candidates
-            if (
-                key.toLowerCase().includes('name') ||
-                key.toLowerCase().includes('email') ||
-                key.toLowerCase().includes('username')
-            ) {
-                indexFields.push(key);
+            indexFields.forEach(field => addIndex(output, collection, [field], `${collection}_${field}`));
+            
+            if (indexFields.length > 0) {
+                node['.indexOn'] = indexFields;
             }
-        });
+        }
+        
+        node[`$${toIdentifier(singularize(collection), false)}Id`] = child;
+        rules[collection] = node;
+    });
+    
+    // Index nodes only hold ids, so signed-in users read them and keep them in sync
+    indexNodes.forEach(indexNode => {
+        rules[indexNode] = {
+            '.read': access === 'public' ? true : 'auth != null',
+            '.write': 'auth != null'
+        };
+    });
+    
+    return `${JSON.stringify({ rules }, null, 2)}\n`;
+}
+
+/**
+ * Generate Firebase documents with arrays of objects as subcollections
+ * @param {Object} jsonData - The JSON data to convert
+ * @param {string} collectionName - The name of the root collection
+ * @param {Object} options - Generation options
+ * @param {Object} output - Generator output to record documents in
+ * @param {string} [path=''] - The data path of the root items
+ * @returns {string} Firebase document code
+ */
+function generateSubcollectionDocuments(jsonData, collectionName, options, output, path = '') {
+    let result = `// Subcollection document structure\n`;
+    result += `// Function to add documents and their subcollections to Firestore\n`;
+    result += `async function addSubcollectionDocuments() {\n`;
+    result += `  const collectionRef = ${renderCollectionRef(collectionName, options)};\n\n`;
+    
+    // Convert data to array if it's not already
+    const dataArray = Array.isArray(jsonData) ? jsonData : [jsonData];
+    const depth = options.subcollectionDepth === undefined ? 1 : Math.max(0, Math.floor(Number(options.subcollectionDepth) || 0));
+    
+    if (!options.addIds) {
+        addWarning(output, 'The subcollections structure always generates document ids so that subcollections are written under their parent documents');
     }
     
-    // Generate index suggestions
-    if (indexFields.length > 0) {
-        result += `// Firebase indexes for collection: ${collectionName}\n`;
-        result += `/*\n`;
+    const context = {
+        options,
+        output,
+        depth,
+        subcollectionPaths: getSubcollectionPaths(dataArray, path, 0, depth),
+        writer: createDocumentWriter(options),
+        refs: 0
+    };
+    
+    result += renderSubcollectionDocuments(context, dataArray, {
+        ref: 'collectionRef',
+        name: collectionName,
+        path: collectionName,
+        pattern: collectionName,
+        dataPath: path,
+        level: 0
+    });
+    
+    result += renderBatchCommit(context.writer);
+    result += `  console.log(${toStringLiteral(`${dataArray.length} documents and their subcollections added to ${collectionName} collection`)});\n`;
+    result += `}\n\n`;
+    
+    return result;
+}
+
+/**
+ * Render the documents of one collection, then the subcollections under each document
+ * @param {Object} context - Generation context (options, output, depth, subcollection data paths, writer and reference counter)
+ * @param {Array<Object>} items - The documents of the collection
+ * @param {Object} target - The collection: variable holding its reference, name, concrete path,
+ *     path pattern with {wildcards} for the parent ids, data path and nesting level
+ * @returns {string} Firebase document code
+ */
+function renderSubcollectionDocuments(context, items, target) {
+    const { options, output, writer } = context;
+    let result = '';
+    
+    items.forEach((item, index) => {
+        const docId = generateId(true);
+        const fields = {};
+        const subcollections = [];
         
-        indexFields.forEach(field => {
-            result += `  Field: ${field}, Order: ASCENDING\n`;
+        // Arrays of objects below the configured depth become subcollections of this document
+        Object.entries(item).forEach(([key, value]) => {
+            if (target.level < context.depth && isReferencedArray(value)) {
+                subcollections.push([key, value]);
+            } else if (!(Array.isArray(value) && value.length === 0 && context.subcollectionPaths.has(joinPath(target.dataPath, key)))) {
+                // Empty arrays are dropped where other documents have a subcollection, so the documents have the same fields
+                fields[key] = value;
+            }
         });
         
-        // If we have multiple fields, suggest a compound index
-        if (indexFields.length > 1) {
-            result += `\n  // Compound index suggestion:\n`;
-            indexFields.slice(0, 2).forEach(field => {
-                result += `  Field: ${field}, Order: ASCENDING\n`;
-            });
-        }
+        const data = createDocumentData(fields, options);
+        addDocument(output, target.pattern, docId, data);
         
-        result += `*/\n\n`;
+        result += renderDocumentWrite(writer, target.ref, docId, renderDocumentFields(data, '    ', options.sdk), `${target.path} document ${index + 1}`);
         
-        // Add Firebase CLI command example
-        result += `// Firebase CLI command example:\n`;
-        result += `// firebase firestore:indexes --project your-project-id\n\n`;
-    } else {
-        result += `// No obvious index candidates found in this data structure\n\n`;
-    }
+        subcollections.forEach(([key, children]) => {
+            const dataPath = joinPath(target.dataPath, key);
+            const name = toFirestoreCollectionId(getReferencedCollectionName(key, dataPath, options), output);
+            const variable = `${toIdentifier(name, false)}Ref${++context.refs}`;
+            const parentRef = options.sdk === 'admin' ? `${target.ref}.doc(${toStringLiteral(docId)})` : `doc(${target.ref}, ${toStringLiteral(docId)})`;
+            
+            result += `  // Subcollection ${toCommentText(name)} of ${toCommentText(`${target.path}/${docId}`)}\n`;
+            result += options.sdk === 'admin' ?
+                `  const ${variable} = ${parentRef}.collection(${toStringLiteral(name)});\n\n` :
+                `  const ${variable} = collection(${parentRef}, ${toStringLiteral(name)});\n\n`;
+            
+            result += renderSubcollectionDocuments(context, children, {
+                ref: variable,
+                name,
+                path: `${target.path}/${docId}/${name}`,
+                pattern: `${target.pattern}/${getParentWildcard(target)}/${name}`,
+                dataPath,
+                level: target.level + 1
+            });
+        });
+    });
     
     return result;
 }
 
 /**
- * Extract collections for referenced document structure
- * @param {Array} items - The items to analyze
- * @param {Object} collections - Collections object to update
+ * Get the data paths of the arrays of objects that become subcollections
+ * @param {Array<Object>} items - The documents of a collection
+ * @param {string} path - The data path of the documents
+ * @param {number} level - The nesting level of the collection
+ * @param {number} depth - The deepest level that has subcollections
+ * @param {Set<string>} [paths=new Set()] - Collects the data paths
+ * @returns {Set<string>} The data paths
  */
-function extractReferencedCollections(items, collections) {
+function getSubcollectionPaths(items, path, level, depth, paths = new Set()) {
+    if (level >= depth) {
+        return paths;
+    }
+    
     items.forEach(item => {
         Object.entries(item).forEach(([key, value]) => {
-            // If it's an object, make it a separate collection
-            if (typeof value === 'object' && value !== null && !Array.isArray(value) && Object.keys(value).length > 0) {
-                const collectionName = key.endsWith('s') ? key : `${key}s`;
-                
-                if (!collections[collectionName]) {
-                    collections[collectionName] = [];
-                }
-                
-                collections[collectionName].push(value);
+            if (isReferencedArray(value)) {
+                paths.add(joinPath(path, key));
+                getSubcollectionPaths(value, joinPath(path, key), level + 1, depth, paths);
             }
+        });
+    });
+    
+    return paths;
+}
+
+/**
+ * Get the rules wildcard that stands for the parent document id in a subcollection path
+ * @param {Object} target - The parent collection (name and path pattern)
+ * @returns {string} The wildcard, unique within the path
+ */
+function getParentWildcard(target) {
+    const wildcard = `${toIdentifier(singularize(target.name), false)}Id`;
+    
+    return target.pattern.includes(`{${wildcard}}`) ? `{${wildcard}${target.level}}` : `{${wildcard}}`;
+}
+
+/**
+ * Get the collection group (last path segment) of a collection or subcollection path
+ * @param {string} collection - The collection path
+ * @returns {string} The collection group
+ */
+function getCollectionGroup(collection) {
+    return collection.split('/').pop();
+}
+
+/**
+ * Generate firestore.indexes.json for the generated collections
+ * @param {Object} output - Generator output to record index definitions and files in
+ * @returns {string} Index suggestions code comments
+ */
+function generateIndexSuggestions(output) {
+    const indexes = [];
+    const fieldOverrides = [];
+    let result = `// Index Suggestions for Firebase\n`;
+    
+    Object.entries(output.documents).forEach(([collection, entries]) => {
+        // Index candidates come from the schema of every document
+        const schema = inferSchema(entries.map(entry => entry.data));
+        const collectionGroup = getCollectionGroup(collection);
+        
+        getCompositeIndexFields(schema).forEach(fields => {
+            const names = fields.map(field => field.fieldPath);
             
-            // If it's an array of objects, make each object a separate document
-            if (Array.isArray(value) && value.length > 0 && typeof value[0] === 'object' && value[0] !== null) {
-                const collectionName = key.endsWith('s') ? key : `${key}s`;
-                
-                if (!collections[collectionName]) {
-                    collections[collectionName] = [];
-                }
-                
-                collections[collectionName].push(...value);
-                extractReferencedCollections(value, collections);
-            }
+            addIndex(output, collection, names, `${collectionGroup}_${names.join('_')}`);
+            indexes.push({
+                collectionGroup,
+                queryScope: 'COLLECTION',
+                fields: fields.map(field => ({ ...field, fieldPath: toFieldPath(field.fieldPath) }))
+            });
+        });
+        
+        getExemptFields(schema).forEach(field => {
+            fieldOverrides.push({ collectionGroup, fieldPath: toFieldPath(field), indexes: [] });
         });
     });
+    
+    if (indexes.length === 0 && fieldOverrides.length === 0) {
+        result += `// No obvious index candidates found in this data structure\n\n`;
+        return result;
+    }
+    
+    addFile(output, 'firestore.indexes.json', `${JSON.stringify({ indexes, fieldOverrides }, null, 2)}\n`, 'json');
+    
+    // Single-field indexes are automatic, firestore.indexes.json holds the composite ones
+    result += `// Composite indexes and field overrides are in firestore.indexes.json\n`;
+    result += `// Deploy with: firebase deploy --only firestore:indexes\n`;
+    
+    indexes.forEach(index => {
+        const fields = index.fields.map(field => `${field.fieldPath} ${field.order || 'array-contains'}`);
+        result += `//   ${toCommentText(index.collectionGroup)}: ${toCommentText(fields.join(', '))}\n`;
+    });
+    
+    fieldOverrides.forEach(override => {
+        result += `//   ${toCommentText(override.collectionGroup)}: ${toCommentText(override.fieldPath)} exempt from indexing\n`;
+    });
+    
+    return `${result}\n`;
+}
+
+/**
+ * Get the Firestore field path of a top-level field
+ * @param {string} name - The field name
+ * @returns {string} The name, quoted with backticks unless it is a simple field name
+ */
+function toFieldPath(name) {
+    return /^[A-Za-z_][A-Za-z0-9_]*$/.test(name) ? name : `\`${name.replace(/[\\`]/g, '\\$&')}\``;
+}
+
+/**
+ * Get the composite indexes for the likely queries on a collection: equality filters
+ * and array-contains filters ordered by the newest document first
+ * @param {Object} schema - The schema inferred from the collection's documents
+ * @returns {Array<Array<Object>>} The fields of each composite index
+ */
+function getCompositeIndexFields(schema) {
+    const exemptFields = getExemptFields(schema);
+    const fields = Object.values(schema.fields).filter(field => isSingleType(field) && !exemptFields.includes(field.name));
+    const isDate = field => field.type === 'date' || ['date', 'date-time'].includes(field.format);
+    const sortField = fields.find(isDate);
+    
+    // Suggested index fields and repeated enum-like strings are filtered on with equality
+    const suggested = suggestIndexFields(schema);
+    const equalityFields = fields
+        .filter(field => !isDate(field) && !['id', '_id'].includes(field.name))
+        .filter(field => suggested.includes(field.name) || (
+            field.type === 'string' && field.distinctValues !== null && field.cardinality < field.count
+        ));
+    const arrayFields = fields.filter(field => (
+        field.type === 'array' && field.items !== null && ['string', 'number'].includes(field.items.type)
+    ));
+    
+    if (!sortField) {
+        // Without a sort field, suggest a two-field equality index like the other databases
+        return equalityFields.length > 1 ? [[
+            { fieldPath: equalityFields[0].name, order: 'ASCENDING' },
+            { fieldPath: equalityFields[1].name, order: 'ASCENDING' }
+        ]] : [];
+    }
+    
+    const orderBy = { fieldPath: sortField.name, order: 'DESCENDING' };
+    
+    return [
+        ...equalityFields.map(field => [{ fieldPath: field.name, order: 'ASCENDING' }, orderBy]),
+        ...arrayFields.map(field => [{ fieldPath: field.name, arrayConfig: 'CONTAINS' }, orderBy])
+    ];
+}
+
+/**
+ * Get the fields to exempt from automatic indexing: long text, which is not queried
+ * and slows down writes, and arrays of maps, which cannot be filtered on
+ * @param {Object} schema - The schema inferred from the collection's documents
+ * @returns {Array<string>} The exempt field paths
+ */
+function getExemptFields(schema) {
+    return Object.values(schema.fields)
+        .filter(field => (
+            (field.type === 'string' && field.maxLength > MAX_INDEXED_TEXT_LENGTH) ||
+            (field.type === 'array' && field.items !== null && field.items.type === 'object')
+        ))
+        .map(field => field.name);
+}
+
+/**
+ * Generate firestore.rules for the generated collections
+ * @param {Object} output - Generator output with the generated documents
+ * @param {Object} options - Generation options
+ * @returns {string} The security rules
+ */
+function generateSecurityRules(output, options) {
+    const access = RULES_ACCESS[options.rulesAccess] ? options.rulesAccess : 'owner';
+    const ownerField = options.ownerField || 'ownerId';
+    let result = '';
+    
+    result += `rules_version = '2';\n\n`;
+    result += `// Firestore security rules derived from the generated documents\n`;
+    result += `// Access: ${RULES_ACCESS[access]}\n`;
+    result += `// Deploy with: firebase deploy --only firestore:rules\n`;
+    result += `service cloud.firestore {\n`;
+    result += `  match /databases/{database}/documents {\n`;
+    result += `    function isSignedIn() {\n`;
+    result += `      return request.auth != null;\n`;
+    result += `    }\n`;
+    
+    if (access === 'owner') {
+        result += `\n    function isOwner(data) {\n`;
+        result += `      return isSignedIn() && ${getRulesFieldAccess('data', ownerField)} == request.auth.uid;\n`;
+        result += `    }\n`;
+    }
+    
+    const validators = new Set();
+    
+    Object.entries(output.documents).forEach(([collection, entries]) => {
+        const schema = inferSchema(entries.map(entry => entry.data));
+        // Subcollection paths name every collection on the way, without the parent id wildcards
+        const validator = getUniqueName(validators, `isValid${toIdentifier(singularize(collection.replace(/\{\w+\}/g, '')), true)}`);
+        const conditions = renderRulesChecks(schema.fields, 'data');
+        
+        if (access === 'owner' && !schema.fields[ownerField]) {
+            addWarning(output, `The ${collection} documents have no ${ownerField} field, so the owner-only rules deny all access to them`);
+        }
+        
+        const matchPath = getRulesMatchPath(collection);
+        
+        result += `\n    // Collection: ${toCommentText(collection)}\n`;
+        result += `    function ${validator}(data) {\n`;
+        result += `      return ${conditions.length > 0 ? conditions.join('\n        && ') : 'true'};\n`;
+        result += `    }\n\n`;
+        
+        if (matchPath.conditions.length > 0) {
+            result += `    // The collection name is not a plain path segment, so a wildcard matches it\n`;
+        }
+        
+        result += `    match /${matchPath.path} {\n`;
+        result += renderRulesAccess(access, validator, matchPath.conditions);
+        result += `    }\n`;
+    });
+    
+    result += `  }\n`;
+    result += `}\n`;
+    
+    return result;
+}
+
+/**
+ * Get the rules match path of a collection path pattern
+ * @param {string} collection - The collection path, with {wildcards} for the parent ids
+ * @returns {Object} The match path of the collection's documents, where collection names that are not plain
+ *     path segments are wildcards, and the conditions on those wildcards
+ */
+function getRulesMatchPath(collection) {
+    const conditions = [];
+    const wildcards = new Set(collection.split('/').filter(segment => /^\{\w+\}$/.test(segment)).map(segment => segment.slice(1, -1)));
+    
+    // Parent id wildcards are kept, collection names become wildcards unless the rules read them as a literal segment
+    const segments = collection.split('/').map(segment => {
+        if (/^\{\w+\}$/.test(segment) || /^[A-Za-z0-9_-]+$/.test(segment)) {
+            return segment;
+        }
+        
+        const wildcard = getUniqueName(wildcards, 'collectionId');
+        conditions.push(`${wildcard} == ${toStringLiteral(segment)}`);
+        
+        return `{${wildcard}}`;
+    });
+    
+    // The document id wildcard follows the collection
+    segments.push(`{${getUniqueName(wildcards, 'docId')}}`);
+    
+    return { path: segments.join('/'), conditions };
+}
+
+/**
+ * Render the allow statements of an access template
+ * @param {string} access - The access template (owner, authenticated or public)
+ * @param {string} validator - The name of the collection's validation function
+ * @param {Array<string>} [pathConditions=[]] - Conditions on the wildcards standing for collection names
+ * @returns {string} The allow statements
+ */
+function renderRulesAccess(access, validator, pathConditions = []) {
+    const isValid = `${validator}(request.resource.data)`;
+    const path = pathConditions.map(condition => `${condition} && `).join('');
+    
+    if (access === 'owner') {
+        return `      allow read, delete: if ${path}isOwner(resource.data);\n` +
+            `      allow create: if ${path}isOwner(request.resource.data) && ${isValid};\n` +
+            `      allow update: if ${path}isOwner(resource.data) && isOwner(request.resource.data) && ${isValid};\n`;
+    }
+    
+    return `      allow read: if ${path}${access === 'public' ? 'true' : 'isSignedIn()'};\n` +
+        `      allow create, update: if ${path}isSignedIn() && ${isValid};\n` +
+        `      allow delete: if ${path}isSignedIn();\n`;
+}
+
+/**
+ * Render the required-key and type checks for inferred fields
+ * @param {Object} fields - The inferred field schemas
+ * @param {string} expression - The rules expression of the map holding the fields
+ * @returns {Array<string>} The conditions
+ */
+function renderRulesChecks(fields, expression) {
+    const conditions = [];
+    const required = Object.values(fields).filter(field => !field.optional).map(field => field.name);
+    
+    if (required.length > 0) {
+        conditions.push(`${expression}.keys().hasAll([${required.map(toStringLiteral).join(', ')}])`);
+    }
+    
+    Object.values(fields).forEach(field => {
+        const check = renderRulesFieldCheck(field, getRulesFieldAccess(expression, field.name));
+        
+        if (check) {
+            conditions.push(field.optional ? `(!(${toStringLiteral(field.name)} in ${expression}) || ${check})` : check);
+        }
+    });
+    
+    return conditions;
+}
+
+/**
+ * Render the type check of a field
+ * @param {Object} field - The inferred field schema
+ * @param {string} access - The rules expression of the field value
+ * @returns {string|null} The type check, or null if the field is always null
+ */
+function renderRulesFieldCheck(field, access) {
+    const types = [...new Set(Object.keys(field.types)
+        .filter(type => type !== 'null')
+        .map(type => RULES_TYPES[type] || 'string'))];
+    
+    if (types.length === 0) {
+        return null;
+    }
+    
+    const checks = types.map(type => `${access} is ${type}`);
+    
+    // Nested objects are checked field by field
+    if (types.length === 1 && field.type === 'object' && field.fields) {
+        checks[0] = [checks[0], ...renderRulesChecks(field.fields, access)].join(' && ');
+    }
+    
+    if (field.nullable) {
+        checks.unshift(`${access} == null`);
+    }
+    
+    return checks.length > 1 || checks[0].includes(' && ') ? `(${checks.join(' || ')})` : checks[0];
+}
+
+/**
+ * Get the rules expression of a map field
+ * @param {string} expression - The rules expression of the map
+ * @param {string} name - The field name
+ * @returns {string} The field access expression
+ */
+function getRulesFieldAccess(expression, name) {
+    return isIdentifier(name) ? `${expression}.${name}` : `${expression}[${toStringLiteral(name)}]`;
+}
+
+/**
+ * Create the body of a Firestore document, adding timestamps if enabled
+ * @param {Object} fields - The document fields
+ * @param {Object} options - Generation options
+ * @returns {Object} The document body
+ */
+function createDocumentData(fields, options) {
+    const data = {};
+    
+    // Add timestamps if enabled
+    if (options.addTimestamps) {
+        data.createdAt = new ServerTimestampValue();
+        data.updatedAt = new ServerTimestampValue();
+    }
+    
+    return Object.assign(data, fields);
+}
+
+/**
+ * Render document fields as Firestore object lines
+ * @param {Object} data - The document body
+ * @param {string} indent - The indentation for each line
+ * @param {string} [sdk='web'] - The Firebase SDK (web or admin)
+ * @returns {string} The rendered fields
+ */
+function renderDocumentFields(data, indent, sdk = 'web') {
+    const entries = Object.entries(data);
+    
+    return entries.map(([key, value], i) => 
+        `${indent}${toPropertyKey(key)}: ${firebaseValueToString(value, sdk)}${i < entries.length - 1 ? ',' : ''}\n`
+    ).join('');
+}
+
+/**
+ * Get the collection name for objects nested under a key
+ * @param {string} key - The key of the nested object or array of objects
+ * @param {string} path - The data path of the nested data
+ * @param {Object} options - Generation options
+ * @returns {string} The collection name
+ */
+function getReferencedCollectionName(key, path, options) {
+    return resolveCollectionName(path, pluralize(key), options);
 }
 
 /**
@@ -408,7 +1454,8 @@ function flattenObject(obj, prefix = '') {
     Object.entries(obj).forEach(([key, value]) => {
         const newKey = prefix ? `${prefix}_${key}` : key;
         
-        if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
+        // Dates and geopoints are values, not objects to flatten
+        if (isPlainObject(value)) {
             Object.assign(flattened, flattenObject(value, newKey));
         } else {
             flattened[newKey] = value;
@@ -421,25 +1468,93 @@ function flattenObject(obj, prefix = '') {
 /**
  * Convert JavaScript value to Firebase syntax string
  * @param {*} value - The value to convert
+ * @param {string} [sdk='web'] - The Firebase SDK (web or admin)
  * @returns {string} Firebase syntax string
  */
-function firebaseValueToString(value) {
+function firebaseValueToString(value, sdk = 'web') {
     if (value === null) {
         return 'null';
     } else if (typeof value === 'string') {
-        return `"${value.replace(/"/g, '\\"')}"`;
+        return toStringLiteral(value);
     } else if (typeof value === 'number' || typeof value === 'boolean') {
         return String(value);
     } else if (value instanceof Date) {
-        return `new Date("${value.toISOString()}")`;
+        return `Timestamp.fromDate(new Date("${value.toISOString()}"))`;
+    } else if (value instanceof ServerTimestampValue) {
+        return sdk === 'admin' ? 'FieldValue.serverTimestamp()' : 'serverTimestamp()';
+    } else if (value instanceof ReferenceValue) {
+        return sdk === 'admin' ?
+            `db.collection(${toStringLiteral(value.collection)}).doc(${toStringLiteral(value.id)})` :
+            `doc(db, ${toStringLiteral(value.collection)}, ${toStringLiteral(value.id)})`;
+    } else if (value instanceof GeoPointValue) {
+        return `new GeoPoint(${value.latitude}, ${value.longitude})`;
     } else if (Array.isArray(value)) {
-        return `[${value.map(item => firebaseValueToString(item)).join(', ')}]`;
+        return `[${value.map(item => firebaseValueToString(item, sdk)).join(', ')}]`;
     } else if (typeof value === 'object') {
-        const entries = Object.entries(value).map(([k, v]) => `${k}: ${firebaseValueToString(v)}`);
+        const entries = Object.entries(value).map(([k, v]) => `${toPropertyKey(k)}: ${firebaseValueToString(v, sdk)}`);
         return `{ ${entries.join(', ')} }`;
     }
     
     return String(value);
 }
 
-export { generateFirebaseDocuments };
+/**
+ * Firebase generator definition for the generator registry
+ */
+const firebaseGenerator = {
+    id: 'firebase',
+    label: 'Firebase',
+    structures: ['nested', 'flat', 'references', 'arrays', { value: 'subcollections', label: 'Subcollections' }],
+    language: 'javascript',
+    options: [
+        {
+            key: 'target',
+            type: 'select',
+            label: 'Firebase Database',
+            default: 'firestore',
+            choices: [
+                { value: 'firestore', label: 'Cloud Firestore' },
+                { value: 'realtime', label: 'Realtime Database' }
+            ]
+        },
+        {
+            key: 'sdk',
+            type: 'select',
+            label: 'Firestore SDK',
+            default: 'web',
+            choices: [
+                { value: 'web', label: 'Modular Web SDK' },
+                { value: 'admin', label: 'Firebase Admin SDK (Node.js)' }
+            ]
+        },
+        {
+            key: 'writeMode',
+            type: 'select',
+            label: 'Firestore Writes',
+            default: 'single',
+            choices: [
+                { value: 'single', label: 'One Write per Document' },
+                { value: 'batch', label: 'Batched Writes (500 per batch)' }
+            ]
+        },
+        { key: 'emulator', type: 'checkbox', label: 'Seed the Firestore Emulator' },
+        { key: 'emulatorProjectId', type: 'text', label: 'Emulator Project ID', placeholder: DEFAULT_EMULATOR_PROJECT },
+        { key: 'subcollectionDepth', type: 'number', label: 'Subcollection Depth', default: 1 },
+        { key: 'addRules', type: 'checkbox', label: 'Generate firestore.rules' },
+        {
+            key: 'rulesAccess',
+            type: 'select',
+            label: 'Rules Access',
+            default: 'owner',
+            choices: [
+                { value: 'owner', label: 'Owner Only' },
+                { value: 'authenticated', label: 'Authenticated Read' },
+                { value: 'public', label: 'Public Read' }
+            ]
+        },
+        { key: 'ownerField', type: 'text', label: 'Owner Field', placeholder: 'ownerId' }
+    ],
+    generate: generateFirebaseDocuments
+};
+
+export { generateFirebaseDocuments, firebaseGenerator };
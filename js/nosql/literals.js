@@ -0,0 +1,110 @@
+/**
+ * NoSQL Generator - Literals Module
+ * Author: Mandela404
+ * Version: 1.0.0
+ * 
+ * This module emits keys, strings and names into generated code for all generators:
+ * - String literals valid in JavaScript, the MongoDB shell and Python
+ * - Object keys that are quoted when they are not plain identifiers
+ * - Variable names derived from collection names, unique within a generated file
+ * - Comment text that stays on its comment line
+ * - Single-quoted shell arguments
+ */
+
+import { toCamelCase } from '../utils.js';
+
+/**
+ * Convert a string to a double-quoted string literal
+ * @param {string} value - The string
+ * @returns {string} The string literal
+ */
+function toStringLiteral(value) {
+    // JSON escapes are valid in JavaScript and Python; JSON leaves the line and
+    // paragraph separators raw, which older JavaScript parsers reject in strings
+    return JSON.stringify(String(value))
+        .replace(/\u2028/g, '\\u2028')
+        .replace(/\u2029/g, '\\u2029');
+}
+
+/**
+ * Check whether a name can be used bare as an object key or property name
+ * @param {string} name - The name
+ * @returns {boolean} Whether the name is a plain identifier
+ */
+function isIdentifier(name) {
+    return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name);
+}
+
+/**
+ * Convert an object key to a JavaScript property key
+ * @param {string} key - The key
+ * @returns {string} The key, quoted unless it is a plain identifier
+ */
+function toPropertyKey(key) {
+    // Both __proto__ and "__proto__" set the prototype in an object literal, only a computed key creates the field
+    if (key === '__proto__') {
+        return '["__proto__"]';
+    }
+    
+    return isIdentifier(key) ? key : toStringLiteral(key);
+}
+
+/**
+ * Convert a field or collection name to a JavaScript identifier
+ * @param {string} name - The name to convert
+ * @param {boolean} pascalCase - Whether to capitalize the first letter
+ * @returns {string} The identifier
+ */
+function toIdentifier(name, pascalCase) {
+    const identifier = toCamelCase(name.replace(/[^A-Za-z0-9]+/g, ' ').trim()) || 'field';
+    const safeIdentifier = /^[0-9]/.test(identifier) ? `_${identifier}` : identifier;
+    
+    return pascalCase ? safeIdentifier.charAt(0).toUpperCase() + safeIdentifier.slice(1) : safeIdentifier;
+}
+
+/**
+ * Get a name that is not used yet in a generated file, and reserve it
+ * @param {Set<string>} used - The names used in the file so far
+ * @param {string} name - The preferred name
+ * @returns {string} The name, numbered when it is taken (different names can map to the same identifier)
+ */
+function getUniqueName(used, name) {
+    let unique = name;
+    
+    for (let count = 2; used.has(unique); count++) {
+        unique = `${name}${count}`;
+    }
+    
+    used.add(unique);
+    
+    return unique;
+}
+
+/**
+ * Make text safe to put in a line comment of generated code (JavaScript, Python, shell or YAML)
+ * @param {*} text - The comment text, usually holding collection, table or field names
+ * @returns {string} The text with line breaks replaced by spaces, so it cannot end the comment
+ */
+function toCommentText(text) {
+    return String(text).replace(/[\n\r\v\f\x1c-\x1e\x85\u2028\u2029]+/g, ' ');
+}
+
+/**
+ * Quote a value as a single shell argument
+ * @param {string} value - The value
+ * @returns {string} The single-quoted argument
+ */
+function toShellArgument(value) {
+    return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+// Export functions
+export {
+    toStringLiteral,
+    isIdentifier,
+    toPropertyKey,
+    toIdentifier,
+    getUniqueName,
+    toCommentText,
+    toShellArgument
+};
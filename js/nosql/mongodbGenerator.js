@@ -8,55 +8,128 @@
 
 import { generateId } from '../utils.js';
 import { logInfo } from '../logger.js';
+import { inferSchema, isSingleType, suggestIndexFields } from './schemaInference.js';
+import { buildReferenceGraph, reuseId, getReferenceId, resolveReferences } from './references.js';
+import { pluralize, singularize, resolveCollectionName, unwrapRootData } from './naming.js';
+import { toStringLiteral, isIdentifier, toPropertyKey, toIdentifier, getUniqueName, toCommentText, toShellArgument } from './literals.js';
+import { ObjectIdValue, createGeneratorOutput, addDocument, addIndex, addFile, addReference, addWarning } from './documentModel.js';
+
+// String fields with at most this many distinct (repeated) values become enums in validators
+const MAX_ENUM_VALUES = 10;
+
+// Range of integers stored as 32-bit ints by the MongoDB drivers
+const INT32_MIN = -2147483648;
+const INT32_MAX = 2147483647;
+
+// Range of integers that fit a 64-bit long (2^63 - 1 is not a double, so the upper bound is exclusive)
+const INT64_MIN = -(2 ** 63);
+const INT64_LIMIT = 2 ** 63;
+
+// Mongoose schema types for inferred types
+const MONGOOSE_TYPES = {
+    string: 'String',
+    number: 'Number',
+    boolean: 'Boolean',
+    date: 'Date',
+    objectId: 'Schema.Types.ObjectId'
+};
 
 /**
  * Generate MongoDB documents from JSON data
  * @param {Object} jsonData - The JSON data to convert
  * @param {string} structure - The document structure type
  * @param {Object} options - Generation options
- * @returns {string} MongoDB document code
+ * @returns {Object} Object containing the MongoDB code, documents, indexes and warnings
  */
 function generateMongoDBDocuments(jsonData, structure, options) {
     logInfo('Generating MongoDB documents...');
     
-    let result = '';
+    const output = createGeneratorOutput();
     
-    // Add MongoDB shell commands
-    result += '// MongoDB Shell Commands\n';
-    result += '// Run these commands in MongoDB shell or MongoDB Compass\n\n';
-    
-    // Get the collection name from the first key or use a default
-    const collectionName = Array.isArray(jsonData) ? 'items' : 
-                          Object.keys(jsonData).length > 0 ? Object.keys(jsonData)[0] : 
-                          'collection';
-    
-    // Add use database statement
-    result += `use ${options.dbName || 'nosql_generator_db'};\n\n`;
+    // A root object whose single key holds the array is unwrapped into that collection
+    const { data, path } = unwrapRootData(jsonData);
+    const collectionName = resolveCollectionName(path, path ? pluralize(path) : 'items', options);
     
     // Generate documents based on structure type
+    let documentsCode = '';
+    
     switch (structure) {
         case 'nested':
-            result += generateNestedDocuments(jsonData, collectionName, options);
+            documentsCode = generateNestedDocuments(data, collectionName, options, output);
             break;
         case 'flat':
-            result += generateFlatDocuments(jsonData, collectionName, options);
+            documentsCode = generateFlatDocuments(data, collectionName, options, output);
             break;
         case 'references':
-            result += generateReferencedDocuments(jsonData, collectionName, options);
+            documentsCode = generateReferencedDocuments(data, collectionName, options, output, path);
             break;
         case 'arrays':
-            result += generateArrayBasedDocuments(jsonData, collectionName, options);
+            documentsCode = generateArrayBasedDocuments(data, collectionName, options, output);
             break;
         default:
-            result += generateNestedDocuments(jsonData, collectionName, options);
+            addWarning(output, `Unknown structure "${structure}", using nested documents`);
+            documentsCode = generateNestedDocuments(data, collectionName, options, output);
+    }
+    
+    // Index definitions are shared by every output format
+    const indexes = options.addIndexes ? createIndexDefinitions(inferSchema(data), collectionName, output) : [];
+    
+    if (options.outputFormat === 'mongoose') {
+        return {
+            code: generateMongooseModule(output, options),
+            ...output
+        };
+    }
+    
+    if (options.outputFormat === 'node') {
+        return {
+            code: generateNodeDriverScript(output, options),
+            ...output
+        };
     }
     
+    if (options.outputFormat === 'ejson') {
+        return {
+            code: generateExtendedJSONExport(output, options),
+            language: 'shell',
+            ...output
+        };
+    }
+    
+    if (options.outputFormat === 'python') {
+        return {
+            code: generatePyMongoScript(output, options),
+            language: 'python',
+            ...output
+        };
+    }
+    
+    let result = '';
+    
+    // Add MongoDB shell commands
+    result += '// MongoDB Shell Commands\n';
+    result += '// Run these commands in MongoDB shell or MongoDB Compass\n\n';
+    
+    // Add use database statement (the use helper does not accept quoted names)
+    const dbName = options.dbName || 'nosql_generator_db';
+    result += isIdentifier(dbName) ? `use ${dbName};\n\n` : `db = db.getSiblingDB(${toStringLiteral(dbName)});\n\n`;
+    
+    // Validators go first: createCollection fails once an insert has created the collection
+    if (options.addValidator) {
+        result += generateValidators(output);
+    }
+    
+    result += documentsCode;
+    
     // Add index suggestions if enabled
     if (options.addIndexes) {
-        result += generateIndexSuggestions(jsonData, collectionName);
+        result += generateIndexSuggestions(indexes, collectionName);
     }
     
-    return result;
+    return {
+        code: result,
+        ...output
+    };
 }
 
 /**
@@ -64,37 +137,24 @@ function generateMongoDBDocuments(jsonData, structure, options) {
  * @param {Object} jsonData - The JSON data to convert
  * @param {string} collectionName - The name of the collection
  * @param {Object} options - Generation options
+ * @param {Object} output - Generator output to record documents in
  * @returns {string} MongoDB document code
  */
-function generateNestedDocuments(jsonData, collectionName, options) {
+function generateNestedDocuments(jsonData, collectionName, options, output) {
     let result = `// Nested document structure\n`;
     
     // Convert data to array if it's not already
     const dataArray = Array.isArray(jsonData) ? jsonData : [jsonData];
     
     // Generate insert statements
-    result += `db.${collectionName}.insertMany([\n`;
+    result += `${getCollectionAccessor(collectionName)}.insertMany([\n`;
     
     dataArray.forEach((item, index) => {
-        result += '  {\n';
-        
-        // Add _id if enabled
-        if (options.addIds) {
-            result += `    _id: ObjectId("${generateId()}"),\n`;
-        }
-        
-        // Add timestamps if enabled
-        if (options.addTimestamps) {
-            const now = new Date().toISOString();
-            result += `    createdAt: ISODate("${now}"),\n`;
-            result += `    updatedAt: ISODate("${now}"),\n`;
-        }
-        
-        // Add the data fields
-        Object.entries(item).forEach(([key, value], i) => {
-            result += `    ${key}: ${mongoValueToString(value)}${i < Object.entries(item).length - 1 ? ',' : ''}\n`;
-        });
+        const data = createDocumentData(item, options);
+        addDocument(output, collectionName, getDocumentId(data), data);
         
+        result += '  {\n';
+        result += renderDocumentFields(data, '    ');
         result += `  }${index < dataArray.length - 1 ? ',' : ''}\n`;
     });
     
@@ -108,38 +168,25 @@ function generateNestedDocuments(jsonData, collectionName, options) {
  * @param {Object} jsonData - The JSON data to convert
  * @param {string} collectionName - The name of the collection
  * @param {Object} options - Generation options
+ * @param {Object} output - Generator output to record documents in
  * @returns {string} MongoDB document code
  */
-function generateFlatDocuments(jsonData, collectionName, options) {
+function generateFlatDocuments(jsonData, collectionName, options, output) {
     let result = `// Flat document structure\n`;
     
     // Convert data to array if it's not already
     const dataArray = Array.isArray(jsonData) ? jsonData : [jsonData];
     
     // Generate insert statements
-    result += `db.${collectionName}.insertMany([\n`;
+    result += `${getCollectionAccessor(collectionName)}.insertMany([\n`;
     
     dataArray.forEach((item, index) => {
-        result += '  {\n';
-        
-        // Add _id if enabled
-        if (options.addIds) {
-            result += `    _id: ObjectId("${generateId()}"),\n`;
-        }
-        
-        // Add timestamps if enabled
-        if (options.addTimestamps) {
-            const now = new Date().toISOString();
-            result += `    createdAt: ISODate("${now}"),\n`;
-            result += `    updatedAt: ISODate("${now}"),\n`;
-        }
-        
-        // Flatten the object and add fields
-        const flattenedObject = flattenObject(item);
-        Object.entries(flattenedObject).forEach(([key, value], i) => {
-            result += `    ${key}: ${mongoValueToString(value)}${i < Object.entries(flattenedObject).length - 1 ? ',' : ''}\n`;
-        });
+        // Flatten the object before adding ids and timestamps
+        const data = createDocumentData(flattenObject(item), options);
+        addDocument(output, collectionName, getDocumentId(data), data);
         
+        result += '  {\n';
+        result += renderDocumentFields(data, '    ');
         result += `  }${index < dataArray.length - 1 ? ',' : ''}\n`;
     });
     
@@ -153,51 +200,52 @@ function generateFlatDocuments(jsonData, collectionName, options) {
  * @param {Object} jsonData - The JSON data to convert
  * @param {string} collectionName - The name of the collection
  * @param {Object} options - Generation options
+ * @param {Object} output - Generator output to record documents in
+ * @param {string} [path=''] - The data path of the root items
  * @returns {string} MongoDB document code
  */
-function generateReferencedDocuments(jsonData, collectionName, options) {
+function generateReferencedDocuments(jsonData, collectionName, options, output, path = '') {
     let result = `// Referenced document structure\n`;
-    const collections = {};
     
-    // Extract potential collections from nested objects
-    if (Array.isArray(jsonData)) {
-        collections[collectionName] = jsonData;
-        extractReferencedCollections(jsonData, collections);
-    } else {
-        collections[collectionName] = [jsonData];
-        extractReferencedCollections([jsonData], collections);
+    // Convert data to array if it's not already
+    const dataArray = Array.isArray(jsonData) ? jsonData : [jsonData];
+    
+    // Every document gets its _id up front (keeping the _id it has) so references point at real documents
+    const graph = buildReferenceGraph(
+        dataArray,
+        collectionName,
+        (key, isArray, childPath) => getReferencedCollectionName(key, childPath, options),
+        (collection, item) => reuseId(item, '_id', () => generateId()),
+        path
+    );
+    
+    if (!options.addIds) {
+        addWarning(output, 'The references structure always generates _id values so that references resolve');
     }
     
     // Generate documents for each collection
-    Object.entries(collections).forEach(([collection, items]) => {
-        result += `// Collection: ${collection}\n`;
-        result += `db.${collection}.insertMany([\n`;
+    Object.entries(graph.collections).forEach(([collection, items]) => {
+        result += `// Collection: ${toCommentText(collection)}\n`;
+        result += `${getCollectionAccessor(collection)}.insertMany([\n`;
         
         items.forEach((item, index) => {
-            result += '  {\n';
-            
-            // Add _id if enabled
-            if (options.addIds) {
-                result += `    _id: ObjectId("${generateId()}"),\n`;
-            }
-            
-            // Add timestamps if enabled
-            if (options.addTimestamps) {
-                const now = new Date().toISOString();
-                result += `    createdAt: ISODate("${now}"),\n`;
-                result += `    updatedAt: ISODate("${now}"),\n`;
-            }
-            
-            // Add the data fields
-            Object.entries(item).forEach(([key, value], i) => {
-                // Skip nested objects that became separate collections
-                if (typeof value === 'object' && value !== null && !Array.isArray(value) && Object.keys(value).length > 0) {
-                    result += `    ${key}Ref: ObjectId("${generateId()}"),\n`;
-                } else {
-                    result += `    ${key}: ${mongoValueToString(value)}${i < Object.entries(item).length - 1 ? ',' : ''}\n`;
+            // Nested objects became separate collections, keep references instead
+            const fields = resolveReferences(graph, item, (key, target, targetCollection) => {
+                if (Array.isArray(target)) {
+                    addReference(output, collection, `${key}Refs`, targetCollection);
+                    return { [`${key}Refs`]: target.map(child => toDocumentId(child.id)) };
                 }
+                
+                addReference(output, collection, `${key}Ref`, targetCollection);
+                return { [`${key}Ref`]: toDocumentId(target.id) };
             });
             
+            const id = getReferenceId(graph, item);
+            const data = createDocumentData(fields, options, id);
+            addDocument(output, collection, String(id), data);
+            
+            result += '  {\n';
+            result += renderDocumentFields(data, '    ');
             result += `  }${index < items.length - 1 ? ',' : ''}\n`;
         });
         
@@ -212,46 +260,38 @@ function generateReferencedDocuments(jsonData, collectionName, options) {
  * @param {Object} jsonData - The JSON data to convert
  * @param {string} collectionName - The name of the collection
  * @param {Object} options - Generation options
+ * @param {Object} output - Generator output to record documents in
  * @returns {string} MongoDB document code
  */
-function generateArrayBasedDocuments(jsonData, collectionName, options) {
+function generateArrayBasedDocuments(jsonData, collectionName, options, output) {
     let result = `// Array-based document structure\n`;
     
     // Convert data to array if it's not already
     const dataArray = Array.isArray(jsonData) ? jsonData : [jsonData];
     
-    // Generate a single document with arrays
-    result += `db.${collectionName}.insertOne({\n`;
+    // Build a single document with an items array
+    const items = dataArray.map(item => (
+        options.addIds ? { _id: new ObjectIdValue(generateId()), ...item } : { ...item }
+    ));
+    const data = createDocumentData({ items }, options);
+    addDocument(output, collectionName, getDocumentId(data), data);
     
-    // Add _id if enabled
-    if (options.addIds) {
-        result += `  _id: ObjectId("${generateId()}"),\n`;
-    }
+    // Generate a single document with arrays
+    result += `${getCollectionAccessor(collectionName)}.insertOne({\n`;
     
-    // Add timestamps if enabled
-    if (options.addTimestamps) {
-        const now = new Date().toISOString();
-        result += `  createdAt: ISODate("${now}"),\n`;
-        result += `  updatedAt: ISODate("${now}"),\n`;
-    }
+    Object.entries(data).forEach(([key, value]) => {
+        if (key !== 'items') {
+            result += `  ${toPropertyKey(key)}: ${mongoValueToString(value)},\n`;
+        }
+    });
     
     // Add items array
     result += `  items: [\n`;
     
-    dataArray.forEach((item, index) => {
+    items.forEach((item, index) => {
         result += '    {\n';
-        
-        // Add item _id if enabled
-        if (options.addIds) {
-            result += `      _id: ObjectId("${generateId()}"),\n`;
-        }
-        
-        // Add the data fields
-        Object.entries(item).forEach(([key, value], i) => {
-            result += `      ${key}: ${mongoValueToString(value)}${i < Object.entries(item).length - 1 ? ',' : ''}\n`;
-        });
-        
-        result += `    }${index < dataArray.length - 1 ? ',' : ''}\n`;
+        result += renderDocumentFields(item, '      ');
+        result += `    }${index < items.length - 1 ? ',' : ''}\n`;
     });
     
     result += '  ]\n';
@@ -260,104 +300,801 @@ function generateArrayBasedDocuments(jsonData, collectionName, options) {
     return result;
 }
 
+/**
+ * Record index definitions for the index candidates of a collection
+ * @param {Object} schema - The schema inferred from the JSON data
+ * @param {string} collectionName - The name of the collection
+ * @param {Object} output - Generator output to record index definitions in
+ * @returns {Array<Object>} The index definitions of the collection
+ */
+function createIndexDefinitions(schema, collectionName, output) {
+    // Index candidates come from the schema of every document
+    const indexFields = suggestIndexFields(schema);
+    
+    indexFields.forEach(field => {
+        addIndex(output, collectionName, [field], `${field}_index`);
+    });
+    
+    // If we have multiple fields, suggest a compound index
+    if (indexFields.length > 1) {
+        addIndex(output, collectionName, indexFields.slice(0, 2), 'compound_index');
+    }
+    
+    return output.indexes.filter(index => index.collection === collectionName);
+}
+
 /**
  * Generate index suggestions for MongoDB
- * @param {Object} jsonData - The JSON data to analyze
+ * @param {Array<Object>} indexes - The index definitions
  * @param {string} collectionName - The name of the collection
  * @returns {string} MongoDB index suggestions
  */
-function generateIndexSuggestions(jsonData, collectionName) {
+function generateIndexSuggestions(indexes, collectionName) {
     let result = `// Index Suggestions\n`;
-    const indexFields = [];
     
-    // Analyze data to find potential index fields
-    if (Array.isArray(jsonData) && jsonData.length > 0) {
-        const sampleItem = jsonData[0];
-        
-        // Look for common index candidates
-        Object.entries(sampleItem).forEach(([key, value]) => {
-            // ID fields are good candidates
-            if (key.toLowerCase().includes('id') || key.toLowerCase().endsWith('_id')) {
-                indexFields.push(key);
-            }
-            
-            // Date fields are good candidates
-            if (
-                (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) ||
-                value instanceof Date ||
-                key.toLowerCase().includes('date') ||
-                key.toLowerCase().includes('time')
-            ) {
-                indexFields.push(key);
+    // Generate index creation commands
+    if (indexes.length > 0) {
+        indexes.forEach(index => {
+            if (index.fields.length > 1) {
+                result += '\n// Compound Index Suggestion\n';
             }
             
-            // Name, email, username fields are good candidates
-            if (
-                key.toLowerCase().includes('name') ||
-                key.toLowerCase().includes('email') ||
-                key.toLowerCase().includes('username')
-            ) {
-                indexFields.push(key);
-            }
+            result += `${getCollectionAccessor(collectionName)}.createIndex({ `;
+            result += index.fields.map(field => `${toPropertyKey(field)}: 1`).join(', ');
+            result += ` }, { name: ${toStringLiteral(index.name)} });\n`;
         });
+    } else {
+        result += '// No obvious index candidates found in this data structure\n';
     }
     
-    // Generate index creation commands
-    if (indexFields.length > 0) {
-        indexFields.forEach(field => {
-            result += `db.${collectionName}.createIndex({ ${field}: 1 }, { name: "${field}_index" });\n`;
+    return result;
+}
+
+/**
+ * Generate createCollection commands with $jsonSchema validators for the generated documents
+ * @param {Object} output - Generator output with the generated documents
+ * @returns {string} MongoDB createCollection commands
+ */
+function generateValidators(output) {
+    let result = `// Collection validators derived from the generated documents\n`;
+    
+    Object.entries(output.documents).forEach(([collection, entries]) => {
+        const jsonSchema = JSON.stringify(buildCollectionJsonSchema(entries), null, 2).replace(/\n/g, '\n    ');
+        
+        result += `db.createCollection(${toStringLiteral(collection)}, {\n`;
+        result += `  validator: {\n`;
+        result += `    $jsonSchema: ${jsonSchema}\n`;
+        result += `  }\n`;
+        result += `});\n\n`;
+    });
+    
+    return result;
+}
+
+/**
+ * Build the $jsonSchema of a collection from its generated documents
+ * @param {Array<Object>} entries - The document entries of the collection
+ * @returns {Object} The $jsonSchema object
+ */
+function buildCollectionJsonSchema(entries) {
+    return buildJsonSchema(inferSchema(entries.map(entry => entry.data)).fields);
+}
+
+/**
+ * Build a $jsonSchema object schema from inferred fields
+ * @param {Object} fields - The inferred field schemas
+ * @returns {Object} The $jsonSchema object with bsonType, required and properties
+ */
+function buildJsonSchema(fields) {
+    const jsonSchema = { bsonType: 'object' };
+    const required = Object.values(fields).filter(field => !field.optional).map(field => field.name);
+    
+    if (required.length > 0) {
+        jsonSchema.required = required;
+    }
+    
+    jsonSchema.properties = {};
+    
+    Object.values(fields).forEach(field => {
+        jsonSchema.properties[field.name] = buildFieldJsonSchema(field);
+    });
+    
+    return jsonSchema;
+}
+
+/**
+ * Build the $jsonSchema of a single field
+ * @param {Object} field - The inferred field schema
+ * @returns {Object} The field $jsonSchema
+ */
+function buildFieldJsonSchema(field) {
+    const bsonTypes = [...new Set(Object.keys(field.types).map(type => getBsonType(field, type)))];
+    const fieldSchema = { bsonType: bsonTypes.length === 1 ? bsonTypes[0] : bsonTypes };
+    
+    const enumValues = getEnumValues(field);
+    
+    if (enumValues) {
+        fieldSchema.enum = field.nullable ? [...enumValues, null] : enumValues;
+    }
+    
+    if (field.fields) {
+        const objectSchema = buildJsonSchema(field.fields);
+        
+        if (objectSchema.required) {
+            fieldSchema.required = objectSchema.required;
+        }
+        
+        fieldSchema.properties = objectSchema.properties;
+    }
+    
+    if (field.items) {
+        fieldSchema.items = buildFieldJsonSchema(field.items);
+    }
+    
+    return fieldSchema;
+}
+
+/**
+ * Get the enum values of a low-cardinality string field
+ * @param {Object} field - The inferred field schema
+ * @returns {Array<string>|null} The allowed values, or null if the field is not an enum
+ */
+function getEnumValues(field) {
+    // Only strings whose values repeat are treated as enums
+    if (
+        isSingleType(field) && field.type === 'string' && field.distinctValues &&
+        field.cardinality <= MAX_ENUM_VALUES && field.cardinality <= field.types.string / 2
+    ) {
+        return field.distinctValues;
+    }
+    
+    return null;
+}
+
+/**
+ * Generate a Node.js script using the official MongoDB driver
+ * @param {Object} output - Generator output with the generated documents and indexes
+ * @param {Object} options - Generation options
+ * @returns {string} Node.js script code
+ */
+function generateNodeDriverScript(output, options) {
+    let result = '';
+    
+    result += '// MongoDB Node.js Driver Script\n';
+    result += '// Install the driver with: npm install mongodb\n';
+    result += '// Set MONGODB_URI to connect to a server other than localhost\n\n';
+    result += 'const { MongoClient, ObjectId } = require("mongodb");\n\n';
+    result += 'const uri = process.env.MONGODB_URI || "mongodb://localhost:27017";\n';
+    result += 'const client = new MongoClient(uri);\n\n';
+    result += 'async function main() {\n';
+    result += '  try {\n';
+    result += '    await client.connect();\n';
+    result += `    const db = client.db(${toStringLiteral(options.dbName || 'nosql_generator_db')});\n\n`;
+    
+    // Validators go first: createCollection fails once an insert has created the collection
+    if (options.addValidator) {
+        result += '    // Collection validators derived from the generated documents\n';
+        
+        Object.entries(output.documents).forEach(([collection, entries]) => {
+            const jsonSchema = JSON.stringify(buildCollectionJsonSchema(entries), null, 2).replace(/\n/g, '\n        ');
+            result += `    await db.createCollection(${toStringLiteral(collection)}, {\n`;
+            result += '      validator: {\n';
+            result += `        $jsonSchema: ${jsonSchema}\n`;
+            result += '      }\n';
+            result += '    });\n\n';
         });
+    }
+    
+    Object.entries(output.documents).forEach(([collection, entries]) => {
+        result += `    // Collection: ${toCommentText(collection)}\n`;
+        result += `    await db.collection(${toStringLiteral(collection)}).insertMany([\n`;
         
-        // If we have multiple fields, suggest a compound index
-        if (indexFields.length > 1) {
-            result += '\n// Compound Index Suggestion\n';
-            result += `db.${collectionName}.createIndex({ `;
-            
-            indexFields.slice(0, 2).forEach((field, index) => {
-                result += `${field}: 1${index < 1 ? ', ' : ''}`;
-            });
-            
-            result += ` }, { name: "compound_index" });\n`;
+        entries.forEach((entry, index) => {
+            result += '      {\n';
+            result += renderDriverFields(entry.data, '        ', nodeValueToString, toPropertyKey);
+            result += `      }${index < entries.length - 1 ? ',' : ''}\n`;
+        });
+        
+        result += '    ]);\n\n';
+    });
+    
+    if (options.addIndexes) {
+        result += '    // Index Suggestions\n';
+        
+        output.indexes.forEach(index => {
+            const keys = index.fields.map(field => `${toPropertyKey(field)}: 1`).join(', ');
+            result += `    await db.collection(${toStringLiteral(index.collection)}).createIndex({ ${keys} }, { name: ${toStringLiteral(index.name)} });\n`;
+        });
+        
+        if (output.indexes.length === 0) {
+            result += '    // No obvious index candidates found in this data structure\n';
         }
-    } else {
-        result += '// No obvious index candidates found in this data structure\n';
+        
+        result += '\n';
     }
     
+    result += '    console.log("Data inserted successfully");\n';
+    result += '  } finally {\n';
+    result += '    await client.close();\n';
+    result += '  }\n';
+    result += '}\n\n';
+    result += 'main().catch(console.error);\n';
+    
     return result;
 }
 
 /**
- * Extract collections for referenced document structure
- * @param {Array} items - The items to analyze
- * @param {Object} collections - Collections object to update
+ * Generate a Python script using PyMongo
+ * @param {Object} output - Generator output with the generated documents and indexes
+ * @param {Object} options - Generation options
+ * @returns {string} Python script code
  */
-function extractReferencedCollections(items, collections) {
-    items.forEach(item => {
-        Object.entries(item).forEach(([key, value]) => {
-            // If it's an object, make it a separate collection
-            if (typeof value === 'object' && value !== null && !Array.isArray(value) && Object.keys(value).length > 0) {
-                const collectionName = key.endsWith('s') ? key : `${key}s`;
-                
-                if (!collections[collectionName]) {
-                    collections[collectionName] = [];
-                }
-                
-                collections[collectionName].push(value);
-            }
-            
-            // If it's an array of objects, make each object a separate document
-            if (Array.isArray(value) && value.length > 0 && typeof value[0] === 'object' && value[0] !== null) {
-                const collectionName = key.endsWith('s') ? key : `${key}s`;
-                
-                if (!collections[collectionName]) {
-                    collections[collectionName] = [];
-                }
-                
-                collections[collectionName].push(...value);
-                extractReferencedCollections(value, collections);
-            }
+function generatePyMongoScript(output, options) {
+    let result = '';
+    
+    result += '# MongoDB PyMongo Script\n';
+    result += '# Install the driver with: pip install pymongo\n';
+    result += '# Set MONGODB_URI to connect to a server other than localhost\n\n';
+    result += 'import os\n';
+    result += 'from datetime import datetime, timezone\n\n';
+    result += 'from bson import ObjectId\n';
+    result += 'from pymongo import MongoClient\n\n';
+    result += 'client = MongoClient(os.environ.get("MONGODB_URI", "mongodb://localhost:27017"))\n';
+    result += `db = client[${toStringLiteral(options.dbName || 'nosql_generator_db')}]\n\n`;
+    
+    // Validators go first: create_collection fails once an insert has created the collection
+    if (options.addValidator) {
+        result += '# Collection validators derived from the generated documents\n';
+        
+        Object.entries(output.documents).forEach(([collection, entries]) => {
+            const jsonSchema = jsonToPythonLiteral(JSON.stringify(buildCollectionJsonSchema(entries), null, 4));
+            result += `db.create_collection(${toStringLiteral(collection)}, validator={"$jsonSchema": ${jsonSchema}})\n\n`;
+        });
+    }
+    
+    Object.entries(output.documents).forEach(([collection, entries]) => {
+        result += `# Collection: ${toCommentText(collection)}\n`;
+        result += `db[${toStringLiteral(collection)}].insert_many([\n`;
+        
+        entries.forEach((entry, index) => {
+            result += '    {\n';
+            result += renderDriverFields(entry.data, '        ', pythonValueToString, key => toStringLiteral(key));
+            result += `    }${index < entries.length - 1 ? ',' : ''}\n`;
         });
+        
+        result += '])\n\n';
     });
+    
+    if (options.addIndexes) {
+        result += '# Index Suggestions\n';
+        
+        output.indexes.forEach(index => {
+            const keys = index.fields.map(field => `(${toStringLiteral(field)}, 1)`).join(', ');
+            result += `db[${toStringLiteral(index.collection)}].create_index([${keys}], name=${toStringLiteral(index.name)})\n`;
+        });
+        
+        if (output.indexes.length === 0) {
+            result += '# No obvious index candidates found in this data structure\n';
+        }
+        
+        result += '\n';
+    }
+    
+    result += 'print("Data inserted successfully")\n';
+    result += 'client.close()\n';
+    
+    return result;
+}
+
+/**
+ * Generate one Extended JSON file per collection and the mongoimport commands to load them
+ * @param {Object} output - Generator output with the generated documents and indexes
+ * @param {Object} options - Generation options
+ * @returns {string} Shell script with the mongoimport commands
+ */
+function generateExtendedJSONExport(output, options) {
+    const mode = options.ejsonMode === 'canonical' ? 'canonical' : 'relaxed';
+    const dbName = options.dbName || 'nosql_generator_db';
+    let result = '';
+    
+    result += '#!/bin/sh\n';
+    result += `# MongoDB Extended JSON (${mode}) export\n`;
+    result += '# Keep the collection files next to this script and set MONGODB_URI for a remote server\n\n';
+    result += 'MONGODB_URI="${MONGODB_URI:-mongodb://localhost:27017}"\n\n';
+    
+    Object.entries(output.documents).forEach(([collection, entries]) => {
+        const fileName = `${collection}.json`;
+        const documents = entries.map(entry => toExtendedJSON(entry.data, mode));
+        
+        addFile(output, fileName, `${JSON.stringify(documents, null, 2)}\n`, 'json');
+        
+        result += `# Collection: ${toCommentText(collection)}\n`;
+        result += `mongoimport --uri "$MONGODB_URI" --db ${toShellArgument(dbName)} --collection ${toShellArgument(collection)}`;
+        result += ` --file ${toShellArgument(fileName)} --jsonArray\n\n`;
+    });
+    
+    // mongoimport does not create indexes, so they are created with mongosh
+    if (options.addIndexes && output.indexes.length > 0) {
+        result += '# Index Suggestions\n';
+        
+        output.indexes.forEach(index => {
+            const keys = index.fields.map(field => `${toPropertyKey(field)}: 1`).join(', ');
+            const command = `${getCollectionAccessor(index.collection)}.createIndex({ ${keys} }, { name: ${toStringLiteral(index.name)} })`;
+            result += `mongosh "$MONGODB_URI"/${toShellArgument(dbName)} --quiet --eval ${toShellArgument(command)}\n`;
+        });
+    }
+    
+    return result;
+}
+
+/**
+ * Convert a document value to MongoDB Extended JSON
+ * @param {*} value - The value to convert
+ * @param {string} mode - 'canonical' or 'relaxed'
+ * @returns {*} The Extended JSON value
+ */
+function toExtendedJSON(value, mode) {
+    if (value instanceof ObjectIdValue) {
+        return { $oid: value.hex };
+    } else if (value instanceof Date) {
+        // Relaxed mode uses ISO-8601 strings for dates between 1970 and 9999
+        const year = value.getUTCFullYear();
+        
+        if (mode === 'relaxed' && year >= 1970 && year <= 9999) {
+            return { $date: value.toISOString() };
+        }
+        
+        return { $date: { $numberLong: String(value.getTime()) } };
+    } else if (typeof value === 'number') {
+        if (mode === 'relaxed' && Number.isFinite(value)) {
+            return value;
+        }
+        
+        if (Number.isInteger(value) && value >= INT32_MIN && value <= INT32_MAX) {
+            return { $numberInt: String(value) };
+        } else if (Number.isInteger(value) && value >= INT64_MIN && value < INT64_LIMIT) {
+            return { $numberLong: String(value) };
+        }
+        
+        // Fractions, larger integers (which do not fit a long) and non-finite numbers are doubles
+        return { $numberDouble: String(value) };
+    } else if (Array.isArray(value)) {
+        return value.map(item => toExtendedJSON(item, mode));
+    } else if (value !== null && typeof value === 'object') {
+        const converted = {};
+        
+        Object.entries(value).forEach(([key, item]) => {
+            converted[key] = toExtendedJSON(item, mode);
+        });
+        
+        return converted;
+    }
+    
+    return value;
+}
+
+/**
+ * Render document fields as driver object lines
+ * @param {Object} data - The document body
+ * @param {string} indent - The indentation for each line
+ * @param {Function} valueToString - Converts a value to the target language
+ * @param {Function} keyToString - Converts a key to the target language
+ * @returns {string} The rendered fields
+ */
+function renderDriverFields(data, indent, valueToString, keyToString) {
+    const entries = Object.entries(data);
+    
+    return entries.map(([key, value], i) => 
+        `${indent}${keyToString(key)}: ${valueToString(value)}${i < entries.length - 1 ? ',' : ''}\n`
+    ).join('');
+}
+
+/**
+ * Convert JavaScript value to Node.js driver syntax string
+ * @param {*} value - The value to convert
+ * @returns {string} JavaScript syntax string
+ */
+function nodeValueToString(value) {
+    if (value === null || value === undefined) {
+        return 'null';
+    } else if (typeof value === 'string') {
+        return toStringLiteral(value);
+    } else if (typeof value === 'number' || typeof value === 'boolean') {
+        return String(value);
+    } else if (value instanceof Date) {
+        return `new Date("${value.toISOString()}")`;
+    } else if (value instanceof ObjectIdValue) {
+        return `new ObjectId("${value.hex}")`;
+    } else if (Array.isArray(value)) {
+        return `[${value.map(item => nodeValueToString(item)).join(', ')}]`;
+    } else if (typeof value === 'object') {
+        const entries = Object.entries(value).map(([k, v]) => `${toPropertyKey(k)}: ${nodeValueToString(v)}`);
+        return `{ ${entries.join(', ')} }`;
+    }
+    
+    return String(value);
+}
+
+/**
+ * Convert JSON text to a Python literal (null, true and false outside of strings)
+ * @param {string} json - The JSON text
+ * @returns {string} Python literal
+ */
+function jsonToPythonLiteral(json) {
+    const literals = { null: 'None', true: 'True', false: 'False' };
+    return json.replace(/"(?:[^"\\]|\\.)*"|\b(null|true|false)\b/g, (match, literal) => literal ? literals[literal] : match);
+}
+
+/**
+ * Convert JavaScript value to Python (PyMongo) syntax string
+ * @param {*} value - The value to convert
+ * @returns {string} Python syntax string
+ */
+function pythonValueToString(value) {
+    if (value === null || value === undefined) {
+        return 'None';
+    } else if (typeof value === 'string') {
+        return toStringLiteral(value);
+    } else if (typeof value === 'boolean') {
+        return value ? 'True' : 'False';
+    } else if (typeof value === 'number') {
+        return String(value);
+    } else if (value instanceof Date) {
+        const parts = [
+            value.getUTCFullYear(),
+            value.getUTCMonth() + 1,
+            value.getUTCDate(),
+            value.getUTCHours(),
+            value.getUTCMinutes(),
+            value.getUTCSeconds(),
+            value.getUTCMilliseconds() * 1000
+        ];
+        return `datetime(${parts.join(', ')}, tzinfo=timezone.utc)`;
+    } else if (value instanceof ObjectIdValue) {
+        return `ObjectId("${value.hex}")`;
+    } else if (Array.isArray(value)) {
+        return `[${value.map(item => pythonValueToString(item)).join(', ')}]`;
+    } else if (typeof value === 'object') {
+        const entries = Object.entries(value).map(([k, v]) => `${toStringLiteral(k)}: ${pythonValueToString(v)}`);
+        return `{${entries.join(', ')}}`;
+    }
+    
+    return String(value);
+}
+
+/**
+ * Generate a Mongoose module with a Schema and model per collection
+ * @param {Object} output - Generator output with the generated documents and indexes
+ * @param {Object} options - Generation options
+ * @returns {string} Mongoose module code
+ */
+function generateMongooseModule(output, options) {
+    const models = [];
+    let result = '';
+    
+    result += '// Mongoose Schemas and Models\n';
+    result += '// Require this module after mongoose.connect() to use the models\n\n';
+    result += 'const mongoose = require("mongoose");\n';
+    result += 'const { Schema } = mongoose;\n\n';
+    
+    // Different collection names can map to the same model name, and the module already declares mongoose and Schema
+    const modelNames = new Set(['mongoose', 'Schema']);
+    const collectionModels = new Map(Object.keys(output.documents).map(collection => [collection, getUniqueName(modelNames, getModelName(collection))]));
+    
+    // Schemas are named after their model and the path of nested objects, so these names can collide too
+    const schemas = { definitions: [], names: new Set(), dottedFields: [] };
+    
+    Object.entries(output.documents).forEach(([collection, entries]) => {
+        const modelName = collectionModels.get(collection);
+        const schemaPrefix = getUniqueName(schemas.names, toIdentifier(modelName, false));
+        const schemaName = `${schemaPrefix}Schema`;
+        const schema = inferSchema(entries.map(entry => entry.data));
+        
+        schemas.definitions = [];
+        schemas.dottedFields = [];
+        
+        // Mongoose adds an ObjectId _id itself and manages createdAt/updatedAt with the timestamps option
+        const fields = { ...schema.fields };
+        removeObjectIdField(fields);
+        
+        if (options.addTimestamps) {
+            delete fields.createdAt;
+            delete fields.updatedAt;
+        }
+        
+        const references = getCollectionReferences(output, collection, collectionModels);
+        const definition = renderMongooseFields(fields, schemaPrefix, schemas, '  ', references);
+        const schemaOptions = options.addTimestamps ? ', { timestamps: true }' : '';
+        
+        result += `// Schema for collection: ${toCommentText(collection)}\n`;
+        
+        schemas.dottedFields.forEach(name => {
+            addWarning(output, `The field ${name} of ${collection} contains a dot, which Mongoose reads as a nested path, so it is left out of ${schemaName}`);
+            result += `// Left out: ${toCommentText(name)} (Mongoose reads dots as nested paths)\n`;
+        });
+        
+        result += schemas.definitions.join('');
+        result += `const ${schemaName} = new Schema({\n${definition}}${schemaOptions});\n\n`;
+        
+        const indexes = output.indexes.filter(index => index.collection === collection && !index.fields.some(field => field.includes('.')));
+        
+        if (indexes.length > 0) {
+            indexes.forEach(index => {
+                result += `${schemaName}.index({ `;
+                result += index.fields.map(field => `${toPropertyKey(field)}: 1`).join(', ');
+                result += ` }, { name: ${toStringLiteral(index.name)} });\n`;
+            });
+            
+            result += '\n';
+        }
+        
+        // Pass the collection name so Mongoose does not pluralize the model name
+        result += `const ${modelName} = mongoose.model("${modelName}", ${schemaName}, ${toStringLiteral(collection)});\n\n`;
+        models.push(modelName);
+    });
+    
+    result += `module.exports = { ${models.join(', ')} };\n`;
+    
+    return result;
+}
+
+/**
+ * Render inferred fields as Mongoose schema definition lines
+ * @param {Object} fields - The inferred field schemas
+ * @param {string} prefix - Prefix for the names of nested subdocument schemas
+ * @param {Object} schemas - Collects the rendered subdocument schemas (definitions), the schema names used (names)
+ *     and the fields left out for a dot in their name (dottedFields)
+ * @param {string} indent - The indentation for each line
+ * @param {Map<string, string>} [references=new Map()] - Collections referenced by the fields, by field name
+ * @returns {string} The rendered definition lines
+ */
+function renderMongooseFields(fields, prefix, schemas, indent, references = new Map()) {
+    // Mongoose splits schema paths at dots, so a key with a dot cannot be declared
+    const entries = Object.values(fields).filter(field => {
+        if (field.name.includes('.')) {
+            schemas.dottedFields.push(field.name);
+            return false;
+        }
+        
+        return true;
+    });
+    
+    return entries.map((field, i) => {
+        const separator = i < entries.length - 1 ? ',' : '';
+        return `${indent}${toPropertyKey(field.name)}: ${getMongooseType(field, prefix, schemas, references)}${separator}\n`;
+    }).join('');
+}
+
+/**
+ * Get the Mongoose schema type definition of a field
+ * @param {Object} field - The inferred field schema
+ * @param {string} prefix - Prefix for the names of nested subdocument schemas
+ * @param {Object} schemas - Collects the rendered subdocument schemas (definitions), the schema names used (names)
+ *     and the fields left out for a dot in their name (dottedFields)
+ * @param {Map<string, string>} references - Models referenced by the fields, by field name
+ * @returns {string} The Mongoose type definition
+ */
+function getMongooseType(field, prefix, schemas, references) {
+    const type = getMongooseBaseType(field, prefix, schemas);
+    
+    const reference = getReferencedModelName(field, references);
+    
+    // Arrays default to [] in Mongoose, so they are never marked as required
+    if (isSingleType(field) && field.type === 'array') {
+        return reference ? `[{ type: ${MONGOOSE_TYPES[field.items.type]}, ref: "${reference}" }]` : type;
+    }
+    
+    const definition = [`type: ${type}`];
+    
+    if (reference) {
+        definition.push(`ref: "${reference}"`);
+    }
+    
+    // Mongoose always requires _id
+    if (!field.optional && !field.nullable && field.name !== '_id') {
+        definition.push('required: true');
+    }
+    
+    const enumValues = getEnumValues(field);
+    
+    if (enumValues) {
+        definition.push(`enum: [${enumValues.map(toStringLiteral).join(', ')}]`);
+    }
+    
+    return `{ ${definition.join(', ')} }`;
+}
+
+/**
+ * Get the models referenced by the fields of a collection's documents
+ * @param {Object} output - Generator output with the recorded references
+ * @param {string} collection - The collection name
+ * @param {Map<string, string>} collectionModels - Model names, by collection name
+ * @returns {Map<string, string>} Referenced model names, by field name
+ */
+function getCollectionReferences(output, collection, collectionModels) {
+    return new Map(output.references
+        .filter(reference => reference.collection === collection)
+        .map(reference => [reference.field, collectionModels.get(reference.target)]));
+}
+
+/**
+ * Get the model referenced by a field created by the 'references' structure
+ * @param {Object} field - The inferred field schema
+ * @param {Map<string, string>} references - Models referenced by the fields, by field name
+ * @returns {string|null} The referenced model name, or null if the field is not a reference
+ */
+function getReferencedModelName(field, references) {
+    const modelName = references.get(field.name);
+    
+    if (!modelName || !isSingleType(field)) {
+        return null;
+    }
+    
+    // References hold the ids of the referenced documents, which are kept from the input when they have one
+    const isId = type => ['objectId', 'string', 'number'].includes(type);
+    const isReference = isId(field.type) ||
+        (field.type === 'array' && field.items !== null && isSingleType(field.items) && isId(field.items.type));
+    
+    return isReference ? modelName : null;
+}
+
+/**
+ * Get the bare Mongoose type of a field (without required, ref or enum)
+ * @param {Object} field - The inferred field schema
+ * @param {string} prefix - Prefix for the names of nested subdocument schemas
+ * @param {Object} schemas - Collects the rendered subdocument schemas (definitions), the schema names used (names)
+ *     and the fields left out for a dot in their name (dottedFields)
+ * @returns {string} The Mongoose type
+ */
+function getMongooseBaseType(field, prefix, schemas) {
+    if (!isSingleType(field)) {
+        return 'Schema.Types.Mixed';
+    } else if (field.type === 'array') {
+        return `[${field.items ? getMongooseBaseType(field.items, prefix, schemas) : 'Schema.Types.Mixed'}]`;
+    } else if (field.type === 'object' && field.fields) {
+        return createMongooseSubSchema(field, prefix, schemas);
+    }
+    
+    return MONGOOSE_TYPES[field.type] || 'Schema.Types.Mixed';
+}
+
+/**
+ * Render a nested object field as a Mongoose subdocument schema
+ * @param {Object} field - The inferred field schema of the nested object
+ * @param {string} prefix - Prefix for the name of the subdocument schema
+ * @param {Object} schemas - Collects the rendered subdocument schemas (definitions), the schema names used (names)
+ *     and the fields left out for a dot in their name (dottedFields)
+ * @returns {string} The name of the subdocument schema
+ */
+function createMongooseSubSchema(field, prefix, schemas) {
+    const name = getUniqueName(schemas.names, `${prefix}${toIdentifier(field.name, true)}`);
+    const fields = { ...field.fields };
+    
+    // Subdocuments only get their own _id when the generated documents have one
+    const schemaOptions = fields._id ? '' : ', { _id: false }';
+    removeObjectIdField(fields);
+    
+    const definition = renderMongooseFields(fields, name, schemas, '  ');
+    schemas.definitions.push(`const ${name}Schema = new Schema({\n${definition}}${schemaOptions});\n\n`);
+    
+    return `${name}Schema`;
+}
+
+/**
+ * Remove the _id field when it holds ObjectIds, which Mongoose declares itself
+ * @param {Object} fields - The inferred field schemas, changed in place
+ */
+function removeObjectIdField(fields) {
+    // String and number ids (kept from the input) stay declared, else Mongoose casts them to ObjectId and rejects them
+    if (fields._id && isSingleType(fields._id) && fields._id.type === 'objectId') {
+        delete fields._id;
+    }
+}
+
+/**
+ * Get the Mongoose model name for a collection (singular PascalCase)
+ * @param {string} collection - The collection name
+ * @returns {string} The model name
+ */
+function getModelName(collection) {
+    return singularize(toIdentifier(collection, true));
+}
+
+/**
+ * Get the BSON type alias for an inferred type
+ * @param {Object} field - The inferred field schema
+ * @param {string} type - The inferred type
+ * @returns {string} The $jsonSchema bsonType alias
+ */
+function getBsonType(field, type) {
+    switch (type) {
+        case 'number':
+            // Only integers in the int32 range are stored as int, anything else may be a double
+            return field.integer && field.min >= INT32_MIN && field.max <= INT32_MAX ? 'int' : 'number';
+        case 'boolean':
+            return 'bool';
+        case 'reference':
+            return 'string';
+        default:
+            return type;
+    }
+}
+
+/**
+ * Create the body of a MongoDB document, adding _id and timestamps if enabled
+ * @param {Object} fields - The document fields
+ * @param {Object} options - Generation options
+ * @param {string|number|null} [id=null] - An _id assigned in advance (used whatever the addIds option)
+ * @returns {Object} The document body
+ */
+function createDocumentData(fields, options, id = null) {
+    const data = {};
+    
+    // Add _id if assigned or enabled
+    if (id !== null) {
+        data._id = toDocumentId(id);
+    } else if (options.addIds) {
+        data._id = new ObjectIdValue(generateId());
+    }
+    
+    // Add timestamps if enabled
+    if (options.addTimestamps) {
+        const now = new Date();
+        data.createdAt = now;
+        data.updatedAt = now;
+    }
+    
+    Object.assign(data, fields);
+    
+    // The assigned _id replaces the _id field it may have been taken from, which references already use
+    if (id !== null) {
+        data._id = toDocumentId(id);
+    }
+    
+    return data;
+}
+
+/**
+ * Convert a document id to the value stored in _id and in references
+ * @param {string|number} id - The document id
+ * @returns {ObjectIdValue|string|number} An ObjectId for 24-digit hex strings, otherwise the id itself
+ */
+function toDocumentId(id) {
+    return typeof id === 'string' && /^[0-9a-f]{24}$/i.test(id) ? new ObjectIdValue(id) : id;
+}
+
+/**
+ * Get the id of a MongoDB document body
+ * @param {Object} data - The document body
+ * @returns {string|null} The _id hex string or null if MongoDB assigns it
+ */
+function getDocumentId(data) {
+    return data._id instanceof ObjectIdValue ? data._id.hex : null;
+}
+
+/**
+ * Render document fields as MongoDB shell object lines
+ * @param {Object} data - The document body
+ * @param {string} indent - The indentation for each line
+ * @returns {string} The rendered fields
+ */
+function renderDocumentFields(data, indent) {
+    const entries = Object.entries(data);
+    
+    return entries.map(([key, value], i) => 
+        `${indent}${toPropertyKey(key)}: ${mongoValueToString(value)}${i < entries.length - 1 ? ',' : ''}\n`
+    ).join('');
+}
+
+/**
+ * Get the collection name for objects nested under a key
+ * @param {string} key - The key of the nested object or array of objects
+ * @param {string} path - The data path of the nested data
+ * @param {Object} options - Generation options
+ * @returns {string} The collection name
+ */
+function getReferencedCollectionName(key, path, options) {
+    return resolveCollectionName(path, pluralize(key), options);
 }
 
 /**
@@ -382,6 +1119,15 @@ function flattenObject(obj, prefix = '') {
     return flattened;
 }
 
+/**
+ * Get the MongoDB shell expression for a collection
+ * @param {string} collection - The collection name
+ * @returns {string} db.name, or db.getCollection("name") when the name is not a plain identifier
+ */
+function getCollectionAccessor(collection) {
+    return isIdentifier(collection) ? `db.${collection}` : `db.getCollection(${toStringLiteral(collection)})`;
+}
+
 /**
  * Convert JavaScript value to MongoDB syntax string
  * @param {*} value - The value to convert
@@ -391,19 +1137,59 @@ function mongoValueToString(value) {
     if (value === null) {
         return 'null';
     } else if (typeof value === 'string') {
-        return `"${value.replace(/"/g, '\\"')}"`;
+        return toStringLiteral(value);
     } else if (typeof value === 'number' || typeof value === 'boolean') {
         return String(value);
     } else if (value instanceof Date) {
         return `ISODate("${value.toISOString()}")`;
+    } else if (value instanceof ObjectIdValue) {
+        return `ObjectId("${value.hex}")`;
     } else if (Array.isArray(value)) {
         return `[${value.map(item => mongoValueToString(item)).join(', ')}]`;
     } else if (typeof value === 'object') {
-        const entries = Object.entries(value).map(([k, v]) => `${k}: ${mongoValueToString(v)}`);
+        const entries = Object.entries(value).map(([k, v]) => `${toPropertyKey(k)}: ${mongoValueToString(v)}`);
         return `{ ${entries.join(', ')} }`;
     }
     
     return String(value);
 }
 
-export { generateMongoDBDocuments };
+/**
+ * MongoDB generator definition for the generator registry
+ */
+const mongodbGenerator = {
+    id: 'mongodb',
+    label: 'MongoDB',
+    structures: ['nested', 'flat', 'references', 'arrays'],
+    language: 'javascript',
+    options: [
+        {
+            key: 'outputFormat',
+            type: 'select',
+            label: 'Output Format',
+            default: 'shell',
+            choices: [
+                { value: 'shell', label: 'MongoDB Shell' },
+                { value: 'node', label: 'Node.js Driver Script' },
+                { value: 'python', label: 'PyMongo Script' },
+                { value: 'ejson', label: 'Extended JSON (mongoimport)' },
+                { value: 'mongoose', label: 'Mongoose Schema' }
+            ]
+        },
+        {
+            key: 'ejsonMode',
+            type: 'select',
+            label: 'Extended JSON Mode',
+            default: 'relaxed',
+            choices: [
+                { value: 'relaxed', label: 'Relaxed' },
+                { value: 'canonical', label: 'Canonical' }
+            ]
+        },
+        { key: 'dbName', type: 'text', label: 'Database Name', placeholder: 'nosql_generator_db' },
+        { key: 'addValidator', type: 'checkbox', label: 'Add $jsonSchema Validator' }
+    ],
+    generate: generateMongoDBDocuments
+};
+
+export { generateMongoDBDocuments, mongodbGenerator };
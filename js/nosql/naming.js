@@ -0,0 +1,283 @@
+/**
+ * NoSQL Generator - Naming Module
+ * Author: Mandela404
+ * Version: 1.0.0
+ * 
+ * This module names the collections (tables, entity and document types) created by the generators:
+ * - Explicit names per data path
+ * - Naming conventions (camelCase, snake_case, PascalCase)
+ * - English pluralization and singularization
+ * - Unwrapping a root object whose single key holds the array
+ */
+
+import { toCamelCase, toPascalCase, toSnakeCase } from '../utils.js';
+
+// Naming conventions for collection names ('none' keeps the names from the JSON)
+const NAMING_CONVENTIONS = {
+    none: name => name,
+    camelCase: toCamelCase,
+    snake_case: toSnakeCase,
+    PascalCase: toPascalCase
+};
+
+// Words whose plural does not follow the rules below
+const IRREGULAR_PLURALS = {
+    person: 'people',
+    child: 'children',
+    man: 'men',
+    woman: 'women',
+    mouse: 'mice',
+    goose: 'geese',
+    tooth: 'teeth',
+    foot: 'feet',
+    ox: 'oxen',
+    criterion: 'criteria',
+    medium: 'media',
+    analysis: 'analyses',
+    crisis: 'crises',
+    thesis: 'theses',
+    quiz: 'quizzes',
+    hero: 'heroes',
+    potato: 'potatoes',
+    tomato: 'tomatoes',
+    echo: 'echoes',
+    leaf: 'leaves',
+    life: 'lives',
+    knife: 'knives',
+    wife: 'wives',
+    half: 'halves',
+    wolf: 'wolves',
+    shelf: 'shelves',
+    thief: 'thieves',
+    status: 'statuses',
+    bus: 'buses',
+    virus: 'viruses',
+    campus: 'campuses',
+    bonus: 'bonuses',
+    cache: 'caches',
+    movie: 'movies',
+    cookie: 'cookies',
+    calorie: 'calories',
+    zombie: 'zombies'
+};
+
+// Words that are the same in singular and plural
+const UNCOUNTABLE_WORDS = [
+    'data', 'metadata', 'information', 'equipment', 'news', 'series', 'species',
+    'sheep', 'fish', 'deer', 'feedback', 'software', 'hardware', 'staff'
+];
+
+// Singular words ending in s, which the rules below would take for plurals
+const SINGULAR_S_WORDS = ['alias', 'atlas', 'bias', 'canvas', 'gas', 'iris', 'lens'];
+
+/**
+ * Apply a word inflection to the last word of a name, keeping its case
+ * @param {string} name - The name (may be camelCase, snake_case, etc.)
+ * @param {Function} inflect - Function converting a lowercase word
+ * @returns {string} The inflected name
+ */
+function inflectLastWord(name, inflect) {
+    const match = /^(.*?)(\p{Lu}?\p{Ll}+|\p{Lu}+)$/u.exec(name);
+    
+    if (!match) {
+        return name;
+    }
+    
+    const [, prefix, word] = match;
+    const inflected = inflect(word.toLowerCase());
+    
+    if (word.length > 1 && word === word.toUpperCase()) {
+        return prefix + inflected.toUpperCase();
+    } else if (word.charAt(0) === word.charAt(0).toUpperCase()) {
+        return prefix + inflected.charAt(0).toUpperCase() + inflected.slice(1);
+    }
+    
+    return prefix + inflected;
+}
+
+/**
+ * Check whether a word is the singular of an irregular plural
+ * @param {string} word - The lowercase word
+ * @returns {boolean} Whether the word has an irregular plural
+ */
+function isIrregularSingular(word) {
+    return Object.prototype.hasOwnProperty.call(IRREGULAR_PLURALS, word);
+}
+
+/**
+ * Get the plural of a name (only the last word is inflected)
+ * @param {string} name - The name
+ * @returns {string} The plural name
+ */
+function pluralize(name) {
+    return inflectLastWord(name, word => {
+        if (UNCOUNTABLE_WORDS.includes(word)) {
+            return word;
+        } else if (isIrregularSingular(word)) {
+            return IRREGULAR_PLURALS[word];
+        } else if (Object.values(IRREGULAR_PLURALS).includes(word)) {
+            return word;
+        } else if (SINGULAR_S_WORDS.includes(word)) {
+            return `${word}es`;
+        } else if (/is$/.test(word)) {
+            return word.replace(/is$/, 'es');
+        } else if (/(ss|us)$/.test(word)) {
+            return `${word}es`;
+        } else if (/s$/.test(word)) {
+            // Already plural
+            return word;
+        } else if (/[^aeiou]y$/.test(word)) {
+            return word.replace(/y$/, 'ies');
+        } else if (/(x|z|ch|sh)$/.test(word)) {
+            return `${word}es`;
+        }
+        
+        return `${word}s`;
+    });
+}
+
+/**
+ * Get the singular of a name (only the last word is inflected)
+ * @param {string} name - The name
+ * @returns {string} The singular name
+ */
+function singularize(name) {
+    return inflectLastWord(name, word => {
+        const irregular = Object.entries(IRREGULAR_PLURALS).find(([, plural]) => plural === word);
+        
+        if (UNCOUNTABLE_WORDS.includes(word)) {
+            return word;
+        } else if (irregular) {
+            return irregular[0];
+        } else if (isIrregularSingular(word) || SINGULAR_S_WORDS.includes(word)) {
+            return word;
+        } else if (SINGULAR_S_WORDS.includes(word.replace(/es$/, ''))) {
+            return word.replace(/es$/, '');
+        } else if (/(ss|us|is)$/.test(word)) {
+            // Already singular
+            return word;
+        } else if (/[^aeiou]ies$/.test(word) && word.length > 4) {
+            return word.replace(/ies$/, 'y');
+        } else if (/(x|z|ch|sh|ss)es$/.test(word)) {
+            return word.replace(/es$/, '');
+        } else if (/s$/.test(word)) {
+            return word.replace(/s$/, '');
+        }
+        
+        return word;
+    });
+}
+
+/**
+ * Apply a naming convention to a name
+ * @param {string} name - The name
+ * @param {string} [convention='none'] - One of none, camelCase, snake_case, PascalCase
+ * @returns {string} The converted name
+ */
+function applyNamingConvention(name, convention = 'none') {
+    const convert = Object.prototype.hasOwnProperty.call(NAMING_CONVENTIONS, convention) ?
+        NAMING_CONVENTIONS[convention] :
+        null;
+    
+    if (!convert) {
+        throw new Error(`Unknown naming convention: ${convention}`);
+    }
+    
+    return convert(name) || name;
+}
+
+/**
+ * Parse explicit collection names
+ * @param {Object|string} [collectionNames] - Names per data path, as an object or as
+ *     "path=name" pairs separated by commas or new lines ('$' is the root of the data)
+ * @returns {Object} Names per data path
+ */
+function parseCollectionNames(collectionNames) {
+    if (!collectionNames) {
+        return {};
+    }
+    
+    if (typeof collectionNames === 'object') {
+        return { ...collectionNames };
+    }
+    
+    const names = {};
+    
+    collectionNames.split(/[,\n]/).forEach(pair => {
+        const separator = pair.indexOf('=');
+        
+        if (separator === -1) {
+            if (pair.trim()) {
+                throw new Error(`Invalid collection name "${pair.trim()}", expected path=name`);
+            }
+            
+            return;
+        }
+        
+        const path = pair.slice(0, separator).trim();
+        const name = pair.slice(separator + 1).trim();
+        
+        if (!path || !name) {
+            throw new Error(`Invalid collection name "${pair.trim()}", expected path=name`);
+        }
+        
+        names[path] = name;
+    });
+    
+    return names;
+}
+
+/**
+ * Resolve the collection name for a path of the input data
+ * @param {string} path - The dot-separated data path ('' for the root)
+ * @param {string} defaultName - The generator's default name for the path
+ * @param {Object} options - Generation options (collectionNames, namingConvention)
+ * @returns {string} The explicit name for the path, or the default name in the naming convention
+ */
+function resolveCollectionName(path, defaultName, options) {
+    const names = parseCollectionNames(options.collectionNames);
+    const namePath = path || '$';
+    
+    // Explicit names are used exactly as given
+    if (Object.prototype.hasOwnProperty.call(names, namePath)) {
+        return names[namePath];
+    }
+    
+    return applyNamingConvention(defaultName, options.namingConvention);
+}
+
+/**
+ * Join a data path and a key
+ * @param {string} path - The parent path ('' for the root)
+ * @param {string} key - The key
+ * @returns {string} The child path
+ */
+function joinPath(path, key) {
+    return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Unwrap a root object whose single key holds the array of items
+ * @param {Object|Array} jsonData - The JSON data
+ * @returns {Object} Object containing the data to generate from and its path ('' when not unwrapped)
+ */
+function unwrapRootData(jsonData) {
+    const keys = jsonData && !Array.isArray(jsonData) && typeof jsonData === 'object' ? Object.keys(jsonData) : [];
+    
+    if (keys.length === 1 && Array.isArray(jsonData[keys[0]])) {
+        return { data: jsonData[keys[0]], path: keys[0] };
+    }
+    
+    return { data: jsonData, path: '' };
+}
+
+// Export functions
+export {
+    pluralize,
+    singularize,
+    applyNamingConvention,
+    parseCollectionNames,
+    resolveCollectionName,
+    joinPath,
+    unwrapRootData
+};
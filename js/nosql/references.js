@@ -0,0 +1,161 @@
+/**
+ * NoSQL Generator - References Module
+ * Author: Mandela404
+ * Version: 1.0.0
+ * 
+ * This module prepares the 'references' document structure for all generators:
+ * - Splitting nested objects and arrays of objects into their own collections
+ * - Assigning every document its id (its own id when it has one) before any document is rendered
+ * - Replacing nested data with references to the real ids of the child documents
+ */
+
+import { joinPath } from './naming.js';
+import { isPlainObject } from './documentModel.js';
+
+/**
+ * Check whether a value is a nested object that becomes its own document
+ * @param {*} value - The value to check
+ * @returns {boolean} Whether the value is a non-empty plain object
+ */
+function isReferencedObject(value) {
+    // Dates, geopoints and other typed values stay in the document
+    return isPlainObject(value) && Object.keys(value).length > 0;
+}
+
+/**
+ * Check whether a value is an array whose objects become their own documents
+ * @param {*} value - The value to check
+ * @returns {boolean} Whether the value is a non-empty array of non-empty plain objects
+ */
+function isReferencedArray(value) {
+    return Array.isArray(value) && value.length > 0 && value.every(isReferencedObject);
+}
+
+/**
+ * Split items into collections and assign every document its id
+ * @param {Array<Object>} items - The root items
+ * @param {string} rootCollection - The collection of the root items
+ * @param {Function} getCollectionName - Function (key, isArray, path) returning the collection for nested data
+ *     under a key, where path is the dot-separated data path of the nested data
+ * @param {Function} createId - Function (collection, item) returning the document id, see reuseId
+ * @param {string} [rootPath=''] - The data path of the root items
+ * @returns {Object} Reference graph with the collections, the id of every document and the collections
+ *     of the arrays of objects under each key of a collection
+ */
+function buildReferenceGraph(items, rootCollection, getCollectionName, createId, rootPath = '') {
+    const graph = {
+        collections: {},
+        documents: new Map(),
+        arrayCollections: {}
+    };
+    
+    addDocuments(graph, rootCollection, items, rootPath, getCollectionName, createId);
+    
+    return graph;
+}
+
+/**
+ * Add items to a collection of the reference graph, then their nested data
+ * @param {Object} graph - The reference graph
+ * @param {string} collection - The collection name
+ * @param {Array<Object>} items - The items to add
+ * @param {string} path - The data path of the items
+ * @param {Function} getCollectionName - Function (key, isArray, path) returning the collection for nested data
+ * @param {Function} createId - Function (collection, item) returning the document id
+ */
+function addDocuments(graph, collection, items, path, getCollectionName, createId) {
+    if (!graph.collections[collection]) {
+        graph.collections[collection] = [];
+        graph.arrayCollections[collection] = {};
+    }
+    
+    items.forEach(item => {
+        graph.collections[collection].push(item);
+        graph.documents.set(item, { collection, id: createId(collection, item) });
+    });
+    
+    // Children get their ids after their parents, but before anything is rendered
+    items.forEach(item => {
+        Object.entries(item).forEach(([key, value]) => {
+            const childPath = joinPath(path, key);
+            
+            if (isReferencedObject(value)) {
+                addDocuments(graph, getCollectionName(key, false, childPath), [value], childPath, getCollectionName, createId);
+            } else if (isReferencedArray(value)) {
+                const childCollection = getCollectionName(key, true, childPath);
+                
+                if (!Object.prototype.hasOwnProperty.call(graph.arrayCollections[collection], key)) {
+                    graph.arrayCollections[collection][key] = childCollection;
+                }
+                
+                addDocuments(graph, childCollection, value, childPath, getCollectionName, createId);
+            }
+        });
+    });
+}
+
+/**
+ * Reuse the id an item already has, so that references match the id it is written with
+ * @param {Object} item - The original item
+ * @param {string} key - The field holding the id (e.g. _id or id)
+ * @param {Function} createId - Function returning a new id for items without a usable id
+ * @param {Function} [isValidId] - Function (id) checking that the database accepts the id
+ * @returns {string|number} The existing id (a non-empty string or a finite number) or a new id
+ */
+function reuseId(item, key, createId, isValidId = () => true) {
+    const id = Object.prototype.hasOwnProperty.call(item, key) ? item[key] : null;
+    const usable = (typeof id === 'string' && id !== '') || (typeof id === 'number' && Number.isFinite(id));
+    
+    return usable && isValidId(id) ? id : createId();
+}
+
+/**
+ * Get the id assigned to a document of the reference graph
+ * @param {Object} graph - The reference graph
+ * @param {Object} item - The original item
+ * @returns {string} The document id
+ */
+function getReferenceId(graph, item) {
+    return graph.documents.get(item).id;
+}
+
+/**
+ * Replace the nested data of an item with references to the child documents
+ * @param {Object} graph - The reference graph
+ * @param {Object} item - The original item
+ * @param {Function} createReference - Function (key, target, collection) returning the fields to store, where target
+ *     is { collection, id } for a nested object or an array of them for an array of objects, and collection is the
+ *     referenced collection
+ * @returns {Object} The document fields
+ */
+function resolveReferences(graph, item, createReference) {
+    const fields = {};
+    const arrayCollections = graph.arrayCollections[graph.documents.get(item).collection];
+    
+    Object.entries(item).forEach(([key, value]) => {
+        if (isReferencedObject(value)) {
+            const target = graph.documents.get(value);
+            Object.assign(fields, createReference(key, target, target.collection));
+        } else if (isReferencedArray(value)) {
+            const targets = value.map(child => graph.documents.get(child));
+            Object.assign(fields, createReference(key, targets, targets[0].collection));
+        } else if (Array.isArray(value) && value.length === 0 && Object.prototype.hasOwnProperty.call(arrayCollections, key)) {
+            // Every document of the collection gets the reference field, even when its array is empty
+            Object.assign(fields, createReference(key, [], arrayCollections[key]));
+        } else {
+            fields[key] = value;
+        }
+    });
+    
+    return fields;
+}
+
+// Export functions
+export {
+    isReferencedObject,
+    isReferencedArray,
+    buildReferenceGraph,
+    reuseId,
+    getReferenceId,
+    resolveReferences
+};
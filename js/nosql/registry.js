@@ -0,0 +1,179 @@
+/**
+ * NoSQL Generator - Generator Registry Module
+ * Author: Mandela404
+ * Version: 1.0.0
+ * 
+ * This module keeps track of the database generators available to the application:
+ * - Registering the built-in and custom generators
+ * - Looking up generators by id
+ * - Describing supported structures, options and output language
+ */
+
+import { logInfo } from '../logger.js';
+import { mongodbGenerator } from './mongodbGenerator.js';
+import { couchdbGenerator } from './couchdbGenerator.js';
+import { firebaseGenerator } from './firebaseGenerator.js';
+import { dynamodbGenerator } from './dynamodbGenerator.js';
+
+// Labels for the document structures shared by the built-in generators
+const STRUCTURE_LABELS = {
+    nested: 'Nested Documents',
+    flat: 'Flat Structure',
+    references: 'With References',
+    arrays: 'Array-based'
+};
+
+// Output languages with their file extension and MIME type
+const OUTPUT_LANGUAGES = {
+    javascript: { extension: 'js', mimeType: 'application/javascript' },
+    python: { extension: 'py', mimeType: 'text/x-python' },
+    json: { extension: 'json', mimeType: 'application/json' },
+    shell: { extension: 'sh', mimeType: 'application/x-sh' },
+    yaml: { extension: 'yaml', mimeType: 'application/yaml' },
+    typescript: { extension: 'ts', mimeType: 'application/typescript' },
+    hcl: { extension: 'tf', mimeType: 'text/plain' },
+    plaintext: { extension: 'txt', mimeType: 'text/plain' }
+};
+
+// Supported option field types
+const OPTION_TYPES = ['text', 'number', 'checkbox', 'select'];
+
+// Module state
+const registryState = {
+    generators: new Map()
+};
+
+/**
+ * Register a database generator
+ * @param {Object} definition - The generator definition
+ * @param {string} definition.id - Unique generator id (used as the db type)
+ * @param {string} [definition.label] - Display label
+ * @param {Array<string|Object>} [definition.structures] - Supported structures, as ids or { value, label }
+ * @param {Array<Object>} [definition.options] - Option schema ({ key, type, label, default, placeholder, choices })
+ * @param {string} [definition.language='javascript'] - Output language of the generated code
+ * @param {Function} definition.generate - Function (jsonData, structure, options) returning the generated code,
+ *     or an object with code, documents, indexes, files and warnings
+ * @returns {Object} The normalized generator definition
+ */
+function registerGenerator(definition) {
+    if (!definition || typeof definition.id !== 'string' || !definition.id.trim()) {
+        throw new Error('Generator definition requires an id');
+    }
+    
+    if (typeof definition.generate !== 'function') {
+        throw new Error(`Generator "${definition.id}" requires a generate function`);
+    }
+    
+    if (registryState.generators.has(definition.id)) {
+        throw new Error(`Generator "${definition.id}" is already registered`);
+    }
+    
+    const generator = {
+        id: definition.id,
+        label: definition.label || definition.id,
+        structures: normalizeStructures(definition.structures || Object.keys(STRUCTURE_LABELS)),
+        options: normalizeOptions(definition.id, definition.options || []),
+        language: definition.language || 'javascript',
+        generate: definition.generate
+    };
+    
+    if (generator.structures.length === 0) {
+        throw new Error(`Generator "${definition.id}" must support at least one structure`);
+    }
+    
+    registryState.generators.set(generator.id, generator);
+    logInfo(`Generator registered: ${generator.id}`);
+    
+    return generator;
+}
+
+/**
+ * Remove a generator from the registry
+ * @param {string} id - The generator id
+ * @returns {boolean} Whether a generator was removed
+ */
+function unregisterGenerator(id) {
+    return registryState.generators.delete(id);
+}
+
+/**
+ * Get a registered generator
+ * @param {string} id - The generator id
+ * @returns {Object|null} The generator definition or null if not registered
+ */
+function getGenerator(id) {
+    return registryState.generators.get(id) || null;
+}
+
+/**
+ * Get all registered generators in registration order
+ * @returns {Array<Object>} The generator definitions
+ */
+function getGenerators() {
+    return [...registryState.generators.values()];
+}
+
+/**
+ * Get the file extension and MIME type for an output language
+ * @param {string} language - The output language
+ * @returns {Object} Object containing extension and mimeType
+ */
+function getOutputLanguage(language) {
+    return OUTPUT_LANGUAGES[language] || OUTPUT_LANGUAGES.plaintext;
+}
+
+/**
+ * Normalize structure entries to { value, label } objects
+ * @param {Array<string|Object>} structures - Structure ids or objects
+ * @returns {Array<Object>} Normalized structures
+ */
+function normalizeStructures(structures) {
+    return structures.map(structure => {
+        if (typeof structure === 'string') {
+            return { value: structure, label: STRUCTURE_LABELS[structure] || structure };
+        }
+        
+        return { value: structure.value, label: structure.label || structure.value };
+    });
+}
+
+/**
+ * Validate and normalize an option schema
+ * @param {string} generatorId - The generator id (for error messages)
+ * @param {Array<Object>} options - The option schema
+ * @returns {Array<Object>} Normalized option schema
+ */
+function normalizeOptions(generatorId, options) {
+    return options.map(option => {
+        if (!option.key) {
+            throw new Error(`Generator "${generatorId}" has an option without a key`);
+        }
+        
+        const type = option.type || 'text';
+        
+        if (!OPTION_TYPES.includes(type)) {
+            throw new Error(`Generator "${generatorId}" option "${option.key}" has unsupported type: ${type}`);
+        }
+        
+        return {
+            key: option.key,
+            type,
+            label: option.label || option.key,
+            default: option.default !== undefined ? option.default : (type === 'checkbox' ? false : ''),
+            placeholder: option.placeholder || '',
+            choices: option.choices || []
+        };
+    });
+}
+
+// Register the built-in generators (registration order is display order)
+[mongodbGenerator, couchdbGenerator, firebaseGenerator, dynamodbGenerator].forEach(registerGenerator);
+
+// Export functions
+export {
+    registerGenerator,
+    unregisterGenerator,
+    getGenerator,
+    getGenerators,
+    getOutputLanguage
+};
@@ -0,0 +1,323 @@
+/**
+ * NoSQL Generator - Schema Inference Module
+ * Author: Mandela404
+ * Version: 1.0.0
+ * 
+ * This module infers a schema from every document of the input data:
+ * - Per-field type unions and optionality
+ * - Cardinality and distinct values for low-cardinality fields
+ * - Array element types and nested object shapes
+ * - Detected string formats (ISO date, email, UUID, URL, ObjectId hex)
+ * - Index candidates shared by all generators
+ */
+
+import { ObjectIdValue, ReferenceValue, ServerTimestampValue, GeoPointValue } from './documentModel.js';
+
+// String formats, checked in order (the first match wins)
+const STRING_FORMATS = [
+    { name: 'objectId', pattern: /^[0-9a-f]{24}$/i },
+    { name: 'uuid', pattern: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i },
+    { name: 'date-time', pattern: /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/ },
+    { name: 'date', pattern: /^\d{4}-\d{2}-\d{2}$/ },
+    { name: 'email', pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ },
+    { name: 'url', pattern: /^https?:\/\/[^\s/$.?#][^\s]*$/i }
+];
+
+// Distinct values are tracked up to this many per field
+const MAX_TRACKED_VALUES = 1000;
+
+// Fields with at most this many distinct values keep them in the schema
+const MAX_DISTINCT_VALUES = 20;
+
+/**
+ * Infer a schema from a list of documents
+ * @param {Array<Object>|Object} documents - The documents to analyze (a single object counts as one document)
+ * @returns {Object} Schema with the document count and a field schema per top-level key
+ */
+function inferSchema(documents) {
+    const accumulator = createObjectAccumulator();
+    
+    (Array.isArray(documents) ? documents : [documents]).forEach(document => {
+        if (getValueType(document) === 'object') {
+            accumulateObject(accumulator, document, '');
+        }
+    });
+    
+    return finalizeObject(accumulator);
+}
+
+/**
+ * Get the schema type of a value
+ * @param {*} value - The value
+ * @returns {string} One of string, number, boolean, null, date, objectId, reference, geopoint, binary, array, object
+ */
+function getValueType(value) {
+    if (value === null || value === undefined) {
+        return 'null';
+    } else if (Array.isArray(value)) {
+        return 'array';
+    } else if (value instanceof Date || value instanceof ServerTimestampValue) {
+        return 'date';
+    } else if (value instanceof ObjectIdValue) {
+        return 'objectId';
+    } else if (value instanceof ReferenceValue) {
+        return 'reference';
+    } else if (value instanceof GeoPointValue) {
+        return 'geopoint';
+    } else if (ArrayBuffer.isView(value)) {
+        return 'binary';
+    }
+    
+    return typeof value === 'object' ? 'object' : typeof value;
+}
+
+/**
+ * Detect the format of a string value
+ * @param {string} value - The string value
+ * @returns {string|null} The format name or null if none matches
+ */
+function detectFormat(value) {
+    const format = STRING_FORMATS.find(item => item.pattern.test(value));
+    return format ? format.name : null;
+}
+
+/**
+ * Create an accumulator for object shapes
+ * @returns {Object} The object accumulator
+ */
+function createObjectAccumulator() {
+    return {
+        count: 0,
+        fields: new Map()
+    };
+}
+
+/**
+ * Create an accumulator for a single field
+ * @param {string} name - The field name
+ * @param {string} path - The dot-notation path of the field
+ * @returns {Object} The field accumulator
+ */
+function createFieldAccumulator(name, path) {
+    return {
+        name,
+        path,
+        count: 0,
+        types: {},
+        formats: {},
+        stringCount: 0,
+        distinct: new Set(),
+        distinctOverflow: false,
+        integer: true,
+        min: null,
+        max: null,
+        maxLength: 0,
+        object: null,
+        items: null
+    };
+}
+
+/**
+ * Add an object to an object accumulator
+ * @param {Object} accumulator - The object accumulator
+ * @param {Object} object - The object to analyze
+ * @param {string} path - The dot-notation path of the object
+ */
+function accumulateObject(accumulator, object, path) {
+    accumulator.count++;
+    
+    Object.entries(object).forEach(([key, value]) => {
+        if (!accumulator.fields.has(key)) {
+            accumulator.fields.set(key, createFieldAccumulator(key, path ? `${path}.${key}` : key));
+        }
+        
+        accumulateValue(accumulator.fields.get(key), value);
+    });
+}
+
+/**
+ * Add a value to a field accumulator
+ * @param {Object} field - The field accumulator
+ * @param {*} value - The value to analyze
+ */
+function accumulateValue(field, value) {
+    const type = getValueType(value);
+    
+    field.count++;
+    field.types[type] = (field.types[type] || 0) + 1;
+    
+    switch (type) {
+        case 'string': {
+            const format = detectFormat(value);
+            
+            field.stringCount++;
+            field.maxLength = Math.max(field.maxLength, value.length);
+            
+            if (format) {
+                field.formats[format] = (field.formats[format] || 0) + 1;
+            }
+            
+            trackDistinct(field, value);
+            break;
+        }
+        case 'number':
+            field.integer = field.integer && Number.isInteger(value);
+            field.min = field.min === null ? value : Math.min(field.min, value);
+            field.max = field.max === null ? value : Math.max(field.max, value);
+            trackDistinct(field, value);
+            break;
+        case 'boolean':
+            trackDistinct(field, value);
+            break;
+        case 'date':
+        case 'objectId':
+        case 'reference':
+            trackDistinct(field, value.toJSON());
+            break;
+        case 'object':
+            if (!field.object) {
+                field.object = createObjectAccumulator();
+            }
+            
+            accumulateObject(field.object, value, field.path);
+            break;
+        case 'array':
+            if (!field.items) {
+                field.items = createFieldAccumulator(field.name, `${field.path}[]`);
+            }
+            
+            field.maxLength = Math.max(field.maxLength, value.length);
+            value.forEach(item => accumulateValue(field.items, item));
+            break;
+        default:
+            break;
+    }
+}
+
+/**
+ * Track a distinct scalar value for cardinality
+ * @param {Object} field - The field accumulator
+ * @param {*} value - The scalar value
+ */
+function trackDistinct(field, value) {
+    if (field.distinct.size < MAX_TRACKED_VALUES) {
+        field.distinct.add(value);
+    } else if (!field.distinct.has(value)) {
+        field.distinctOverflow = true;
+    }
+}
+
+/**
+ * Turn an object accumulator into a schema
+ * @param {Object} accumulator - The object accumulator
+ * @returns {Object} Schema with count and fields
+ */
+function finalizeObject(accumulator) {
+    const fields = {};
+    
+    accumulator.fields.forEach((field, key) => {
+        fields[key] = finalizeField(field, accumulator.count);
+    });
+    
+    return {
+        count: accumulator.count,
+        fields
+    };
+}
+
+/**
+ * Turn a field accumulator into a field schema
+ * @param {Object} field - The field accumulator
+ * @param {number} parentCount - Number of parent objects (or array elements) analyzed
+ * @returns {Object} The field schema
+ */
+function finalizeField(field, parentCount) {
+    const nonNullTypes = Object.entries(field.types)
+        .filter(([type]) => type !== 'null')
+        .sort((a, b) => b[1] - a[1]);
+    
+    // A format applies to the field only when every string value has it
+    const formatEntries = Object.entries(field.formats);
+    const format = formatEntries.length === 1 && formatEntries[0][1] === field.stringCount ? formatEntries[0][0] : null;
+    
+    const schema = {
+        name: field.name,
+        path: field.path,
+        count: field.count,
+        presence: parentCount > 0 ? field.count / parentCount : 0,
+        optional: field.count < parentCount,
+        nullable: Boolean(field.types.null),
+        types: { ...field.types },
+        type: nonNullTypes.length > 0 ? nonNullTypes[0][0] : 'null',
+        format,
+        formats: { ...field.formats },
+        cardinality: field.distinct.size,
+        cardinalityCapped: field.distinctOverflow,
+        distinctValues: !field.distinctOverflow && field.distinct.size <= MAX_DISTINCT_VALUES ? [...field.distinct] : null,
+        maxLength: field.maxLength,
+        fields: null,
+        items: null
+    };
+    
+    if (field.types.number) {
+        schema.integer = field.integer;
+        schema.min = field.min;
+        schema.max = field.max;
+    }
+    
+    if (field.object) {
+        schema.fields = finalizeObject(field.object).fields;
+    }
+    
+    // Arrays that were always empty have no element schema
+    if (field.items && field.items.count > 0) {
+        schema.items = finalizeField(field.items, field.items.count);
+    }
+    
+    return schema;
+}
+
+/**
+ * Check whether a field has a single type (ignoring null)
+ * @param {Object} field - The field schema
+ * @returns {boolean} Whether the field is single-typed
+ */
+function isSingleType(field) {
+    return Object.keys(field.types).filter(type => type !== 'null').length === 1;
+}
+
+/**
+ * Suggest index fields from an inferred schema
+ * @param {Object} schema - The inferred schema
+ * @returns {Array<string>} Top-level field names that are good index candidates
+ */
+function suggestIndexFields(schema) {
+    return Object.values(schema.fields)
+        .filter(field => !['object', 'array', 'null', 'geopoint'].includes(field.type))
+        .filter(field => {
+            const key = field.name.toLowerCase();
+            
+            // ID fields and identifier formats are good candidates
+            if (key === 'id' || /(_id|Id|ID)$/.test(field.name) || ['objectId', 'uuid'].includes(field.format)) {
+                return true;
+            }
+            
+            // Date fields are good candidates
+            if (['date', 'date-time'].includes(field.format) || field.type === 'date' || key.includes('date') || key.includes('time')) {
+                return true;
+            }
+            
+            // Name, email, username fields are good candidates
+            return field.format === 'email' || key.includes('name') || key.includes('email') || key.includes('username');
+        })
+        .map(field => field.name);
+}
+
+// Export functions
+export {
+    inferSchema,
+    getValueType,
+    detectFormat,
+    isSingleType,
+    suggestIndexFields
+};
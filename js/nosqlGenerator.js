@@ -3,20 +3,21 @@
  * Author: Mandela404
  * Version: 1.0.0
  * 
- * This module coordinates the generation of NoSQL documents from JSON data
- * by delegating to specific database generator modules.
+ * This module is the UI adapter for NoSQL generation: it renders the generator
+ * controls from the registry and displays the results of the DOM-free core.
  */
 
 import { logInfo, logSuccess, logWarning, logError } from './logger.js';
-import { generateMongoDBDocuments } from './nosql/mongodbGenerator.js';
-import { generateFirebaseDocuments } from './nosql/firebaseGenerator.js';
-import { generateDynamoDBDocuments } from './nosql/dynamodbGenerator.js';
-import { generateCouchDBDocuments } from './nosql/couchdbGenerator.js';
+import { getGenerator, getGenerators } from './nosql/registry.js';
+import { generateDocuments } from './nosql/core.js';
+import { escapeHtml } from './utils.js';
+import { initCapacityEstimator, updateCapacityEstimate } from './capacityEstimator.js';
 
 // Module state
 const generatorState = {
     lastInput: null,
     lastOutput: null,
+    lastResult: null,
     lastOptions: null
 };
 
@@ -26,14 +27,15 @@ const generatorState = {
 function initNoSQLGenerator() {
     logInfo('Initializing NoSQL generator...');
     
-    // Set up event listeners for database type changes
-    document.querySelectorAll('input[name="db-type"]').forEach(radio => {
-        radio.addEventListener('change', handleDatabaseTypeChange);
-    });
+    // Render database types and their option panels from the registry
+    renderGeneratorControls();
     
     // Set up event listener for document structure changes
     document.getElementById('doc-structure').addEventListener('change', handleStructureChange);
     
+    // Estimate the capacity and cost of the generated DynamoDB tables
+    initCapacityEstimator();
+    
     logSuccess('NoSQL generator initialized');
 }
 
@@ -53,8 +55,11 @@ function handleDatabaseTypeChange(event) {
         generateNoSQL(
             generatorState.lastInput,
             dbType,
-            generatorState.lastOptions.structure,
-            generatorState.lastOptions
+            document.getElementById('doc-structure').value,
+            {
+                ...generatorState.lastOptions,
+                ...getDatabaseOptions(dbType)
+            }
         );
     }
 }
@@ -78,26 +83,210 @@ function handleStructureChange(event) {
             generatorState.lastInput,
             dbType,
             structure,
-            generatorState.lastOptions
+            {
+                ...generatorState.lastOptions,
+                ...getDatabaseOptions(dbType)
+            }
         );
     }
 }
 
+/**
+ * Render the database type list, structure choices and option panels from the registry
+ */
+function renderGeneratorControls() {
+    const typeList = document.getElementById('db-type-list');
+    const optionsContainer = document.getElementById('db-options');
+    const checkedRadio = document.querySelector('input[name="db-type"]:checked');
+    const generators = getGenerators();
+    
+    if (generators.length === 0) {
+        logWarning('No database generators registered');
+        return;
+    }
+    
+    const selectedType = checkedRadio && getGenerator(checkedRadio.value) ? checkedRadio.value : generators[0].id;
+    
+    typeList.innerHTML = '';
+    optionsContainer.innerHTML = '';
+    
+    generators.forEach(generator => {
+        // Database type radio
+        const label = document.createElement('label');
+        const radio = document.createElement('input');
+        radio.type = 'radio';
+        radio.name = 'db-type';
+        radio.value = generator.id;
+        radio.checked = generator.id === selectedType;
+        radio.addEventListener('change', handleDatabaseTypeChange);
+        
+        const span = document.createElement('span');
+        span.textContent = generator.label;
+        
+        label.appendChild(radio);
+        label.appendChild(span);
+        typeList.appendChild(label);
+        
+        // Database-specific option panel
+        if (generator.options.length > 0) {
+            optionsContainer.appendChild(createOptionPanel(generator));
+        }
+    });
+    
+    updateUIForDatabaseType(selectedType);
+}
+
+/**
+ * Create the option panel for a generator from its option schema
+ * @param {Object} generator - The generator definition
+ * @returns {HTMLElement} The option panel element
+ */
+function createOptionPanel(generator) {
+    const panel = document.createElement('div');
+    panel.className = `option-group ${generator.id}-option`;
+    
+    const heading = document.createElement('h4');
+    heading.textContent = `${generator.label} Options`;
+    panel.appendChild(heading);
+    
+    generator.options.forEach(option => {
+        const inputId = getOptionInputId(generator.id, option.key);
+        
+        if (option.type === 'checkbox') {
+            const group = document.createElement('div');
+            group.className = 'checkbox-group';
+            
+            const label = document.createElement('label');
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.id = inputId;
+            input.checked = Boolean(option.default);
+            
+            const span = document.createElement('span');
+            span.textContent = option.label;
+            
+            label.appendChild(input);
+            label.appendChild(span);
+            group.appendChild(label);
+            panel.appendChild(group);
+            return;
+        }
+        
+        const group = document.createElement('div');
+        group.className = 'form-group';
+        
+        const label = document.createElement('label');
+        label.htmlFor = inputId;
+        label.textContent = option.label;
+        group.appendChild(label);
+        
+        if (option.type === 'select') {
+            const wrapper = document.createElement('div');
+            wrapper.className = 'select-wrapper';
+            
+            const select = document.createElement('select');
+            select.id = inputId;
+            
+            option.choices.forEach(choice => {
+                const choiceElement = document.createElement('option');
+                choiceElement.value = choice.value;
+                choiceElement.textContent = choice.label || choice.value;
+                choiceElement.selected = choice.value === option.default;
+                select.appendChild(choiceElement);
+            });
+            
+            wrapper.appendChild(select);
+            group.appendChild(wrapper);
+        } else {
+            const input = document.createElement('input');
+            input.type = option.type;
+            input.id = inputId;
+            input.value = option.default;
+            input.placeholder = option.placeholder;
+            group.appendChild(input);
+        }
+        
+        panel.appendChild(group);
+    });
+    
+    return panel;
+}
+
+/**
+ * Get the DOM id of a generator option input
+ * @param {string} generatorId - The generator id
+ * @param {string} key - The option key
+ * @returns {string} The input element id
+ */
+function getOptionInputId(generatorId, key) {
+    return `${generatorId}-option-${key}`;
+}
+
+/**
+ * Read the database-specific options for a generator from its option panel
+ * @param {string} dbType - The database type
+ * @returns {Object} The option values keyed by option key
+ */
+function getDatabaseOptions(dbType) {
+    const generator = getGenerator(dbType);
+    const values = {};
+    
+    if (!generator) {
+        return values;
+    }
+    
+    generator.options.forEach(option => {
+        const input = document.getElementById(getOptionInputId(generator.id, option.key));
+        
+        if (!input) {
+            values[option.key] = option.default;
+        } else if (option.type === 'checkbox') {
+            values[option.key] = input.checked;
+        } else if (option.type === 'number') {
+            values[option.key] = input.value === '' ? option.default : Number(input.value);
+        } else {
+            values[option.key] = input.value.trim() || option.default;
+        }
+    });
+    
+    return values;
+}
+
 /**
  * Update UI based on selected database type
  * @param {string} dbType - The selected database type
  */
 function updateUIForDatabaseType(dbType) {
     // Show/hide database-specific options
-    const mongoOptions = document.querySelectorAll('.mongodb-option');
-    const firebaseOptions = document.querySelectorAll('.firebase-option');
-    const dynamoOptions = document.querySelectorAll('.dynamodb-option');
-    const couchOptions = document.querySelectorAll('.couchdb-option');
-    
-    mongoOptions.forEach(el => el.style.display = dbType === 'mongodb' ? 'block' : 'none');
-    firebaseOptions.forEach(el => el.style.display = dbType === 'firebase' ? 'block' : 'none');
-    dynamoOptions.forEach(el => el.style.display = dbType === 'dynamodb' ? 'block' : 'none');
-    couchOptions.forEach(el => el.style.display = dbType === 'couchdb' ? 'block' : 'none');
+    getGenerators().forEach(generator => {
+        document.querySelectorAll(`.${generator.id}-option`).forEach(el => {
+            el.style.display = generator.id === dbType ? 'block' : 'none';
+        });
+    });
+    
+    // Only offer the structures the selected generator supports
+    const generator = getGenerator(dbType);
+    const structureSelect = document.getElementById('doc-structure');
+    
+    if (!generator || !structureSelect) {
+        return;
+    }
+    
+    const currentStructure = structureSelect.value;
+    structureSelect.innerHTML = '';
+    
+    generator.structures.forEach(structure => {
+        const option = document.createElement('option');
+        option.value = structure.value;
+        option.textContent = structure.label;
+        structureSelect.appendChild(option);
+    });
+    
+    if (generator.structures.some(structure => structure.value === currentStructure)) {
+        structureSelect.value = currentStructure;
+    }
+    
+    updateUIForStructure(structureSelect.value);
 }
 
 /**
@@ -106,15 +295,17 @@ function updateUIForDatabaseType(dbType) {
  */
 function updateUIForStructure(structure) {
     // Show/hide structure-specific options
-    const nestedOptions = document.querySelectorAll('.nested-option');
-    const flatOptions = document.querySelectorAll('.flat-option');
-    const referencesOptions = document.querySelectorAll('.references-option');
-    const arraysOptions = document.querySelectorAll('.arrays-option');
-    
-    nestedOptions.forEach(el => el.style.display = structure === 'nested' ? 'block' : 'none');
-    flatOptions.forEach(el => el.style.display = structure === 'flat' ? 'block' : 'none');
-    referencesOptions.forEach(el => el.style.display = structure === 'references' ? 'block' : 'none');
-    arraysOptions.forEach(el => el.style.display = structure === 'arrays' ? 'block' : 'none');
+    const structures = new Set();
+    
+    getGenerators().forEach(generator => {
+        generator.structures.forEach(item => structures.add(item.value));
+    });
+    
+    structures.forEach(value => {
+        document.querySelectorAll(`.${value}-option`).forEach(el => {
+            el.style.display = value === structure ? 'block' : 'none';
+        });
+    });
 }
 
 /**
@@ -123,7 +314,7 @@ function updateUIForStructure(structure) {
  * @param {string} dbType - The database type (mongodb, firebase, etc.)
  * @param {string} structure - The document structure type
  * @param {Object} options - Generation options
- * @returns {Object} Object containing the generated code and metadata
+ * @returns {Object} Object containing the generated code (data) and the structured generation result
  */
 function generateNoSQL(jsonData, dbType, structure, options) {
     logInfo(`Generating ${dbType} documents with ${structure} structure...`);
@@ -136,57 +327,25 @@ function generateNoSQL(jsonData, dbType, structure, options) {
     };
     
     try {
-        // Validate inputs
-        if (!jsonData) {
-            throw new Error('No JSON data provided');
-        }
-        
-        if (!dbType) {
-            throw new Error('No database type selected');
-        }
-        
-        if (!structure) {
-            throw new Error('No document structure selected');
-        }
-        
-        // Generate documents based on database type
-        let result;
-        
-        switch (dbType) {
-            case 'mongodb':
-                result = generateMongoDBDocuments(jsonData, structure, options);
-                break;
-            case 'firebase':
-                result = generateFirebaseDocuments(jsonData, structure, options);
-                break;
-            case 'dynamodb':
-                result = generateDynamoDBDocuments(jsonData, structure, options);
-                break;
-            case 'couchdb':
-                result = generateCouchDBDocuments(jsonData, structure, options);
-                break;
-            default:
-                throw new Error(`Unsupported database type: ${dbType}`);
-        }
+        // Generate documents with the DOM-free core
+        const result = generateDocuments(jsonData, dbType, structure, options);
         
         // Update output display
-        const outputElement = document.getElementById('nosql-output');
-        outputElement.textContent = result;
+        renderOutput(result);
+        updateCapacityEstimate(result);
         
-        // Apply syntax highlighting if available
-        if (window.hljs) {
-            outputElement.innerHTML = window.hljs.highlight('javascript', result).value;
-        }
+        // Report generator warnings
+        result.warnings.forEach(warning => logWarning(warning));
         
         // Save output for potential reuse
-        generatorState.lastOutput = result;
+        generatorState.lastOutput = result.code;
+        generatorState.lastResult = result;
         
         logSuccess(`${dbType} documents generated successfully`);
         
         return {
-            data: result,
-            dbType,
-            structure
+            data: result.code,
+            ...result
         };
     } catch (error) {
         logError(`NoSQL generation error: ${error.message}`);
@@ -195,13 +354,39 @@ function generateNoSQL(jsonData, dbType, structure, options) {
         const outputElement = document.getElementById('nosql-output');
         outputElement.innerHTML = `<div class="nosql-error">
             <i class="fas fa-exclamation-triangle"></i>
-            <div class="error-message">${error.message}</div>
+            <div class="error-message">${escapeHtml(error.message)}</div>
         </div>`;
+        updateCapacityEstimate(null);
         
         throw error;
     }
 }
 
+/**
+ * Display a generation result in the output panel
+ * @param {Object} result - The structured generation result
+ */
+function renderOutput(result) {
+    const outputElement = document.getElementById('nosql-output');
+    
+    // Extra files are listed after the code, each under a header line
+    const text = result.code + result.files.map(file => `\n===== ${file.name} =====\n${file.content}`).join('');
+    outputElement.textContent = text;
+    
+    // Apply syntax highlighting if available for the output language
+    if (window.hljs && window.hljs.getLanguage(result.language)) {
+        outputElement.innerHTML = window.hljs.highlight(result.language, text).value;
+    }
+}
+
+/**
+ * Get the current structured generation result
+ * @returns {Object|null} The last generation result or null if none
+ */
+function getCurrentResult() {
+    return generatorState.lastResult;
+}
+
 /**
  * Get the current NoSQL output
  * @returns {string|null} The current NoSQL output or null if none
@@ -221,7 +406,10 @@ function getCurrentOptions() {
 // Export functions
 export {
     initNoSQLGenerator,
+    renderGeneratorControls,
+    getDatabaseOptions,
     generateNoSQL,
     getCurrentNoSQLOutput,
+    getCurrentResult,
     getCurrentOptions
 };
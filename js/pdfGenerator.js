@@ -5,6 +5,7 @@
  * 
  * This module handles PDF generation from NoSQL data:
  * - Creating tabular PDFs with jsPDF
+ * - Summarizing the inferred schema
  * - Adding watermarks and timestamps
  * - Previewing PDFs before download
  */
@@ -90,6 +91,11 @@ function generatePDF(nosqlData, options = {}) {
         // Add table
         addTableToPDF(doc, tableData, 14, 35);
         
+        // Add the inferred schema if available
+        if (options.schema) {
+            addSchemaToPDF(doc, options.schema);
+        }
+        
         // Add timestamp if enabled
         if (options.includeTimestamp) {
             addTimestampToPDF(doc);
@@ -174,6 +180,11 @@ function previewPDF(nosqlData, options = {}) {
         // Add table
         addTableToPDF(doc, tableData, 14, 35);
         
+        // Add the inferred schema if available
+        if (options.schema) {
+            addSchemaToPDF(doc, options.schema);
+        }
+        
         // Add timestamp if enabled
         if (options.includeTimestamp) {
             addTimestampToPDF(doc);
@@ -348,6 +359,57 @@ function addTableToPDF(doc, tableData, x, y) {
     });
 }
 
+/**
+ * Build table data summarizing an inferred schema (nested fields use dot paths)
+ * @param {Object} schema - The schema inferred from the JSON data
+ * @returns {Object} Object containing headers and rows for the table
+ */
+function buildSchemaTableData(schema) {
+    const rows = [];
+    
+    const addFields = fields => {
+        Object.values(fields).forEach(field => {
+            rows.push([
+                field.path,
+                Object.keys(field.types).join(' | '),
+                field.optional ? `${Math.round(field.presence * 100)}%` : 'Yes',
+                field.format || (field.items ? `${Object.keys(field.items.types).join(' | ')}[]` : ''),
+                field.cardinalityCapped ? `${field.cardinality}+` : String(field.cardinality)
+            ]);
+            
+            if (field.fields) {
+                addFields(field.fields);
+            }
+            
+            if (field.items && field.items.fields) {
+                addFields(field.items.fields);
+            }
+        });
+    };
+    
+    addFields(schema.fields);
+    
+    return {
+        headers: ['Field', 'Types', 'Required', 'Format / Items', 'Distinct Values'],
+        rows
+    };
+}
+
+/**
+ * Add the inferred schema to a PDF document on a new page
+ * @param {Object} doc - The jsPDF document
+ * @param {Object} schema - The schema inferred from the JSON data
+ */
+function addSchemaToPDF(doc, schema) {
+    doc.addPage();
+    
+    doc.setFontSize(14);
+    doc.setTextColor(40, 40, 40);
+    doc.text(`Inferred Schema (${schema.count} documents)`, 14, 20);
+    
+    addTableToPDF(doc, buildSchemaTableData(schema), 14, 28);
+}
+
 /**
  * Add a timestamp to a PDF document
  * @param {Object} doc - The jsPDF document
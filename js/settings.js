@@ -11,6 +11,7 @@
 
 import { logInfo, logWarning, logError } from './logger.js';
 import { showNotification } from './notifications.js';
+import { DEFAULT_PRICING } from './nosql/dynamodbCapacity.js';
 
 // Default settings
 const DEFAULT_SETTINGS = {
@@ -20,7 +21,8 @@ const DEFAULT_SETTINGS = {
     lineNumbers: true,
     syntaxHighlight: true,
     defaultFilename: 'nosql_export',
-    includeMetadata: true
+    includeMetadata: true,
+    dynamodbPricing: { ...DEFAULT_PRICING }
 };
 
 // Module state
@@ -315,17 +315,38 @@ function isEmptyObject(obj) {
     return obj !== null && typeof obj === 'object' && Object.keys(obj).length === 0;
 }
 
+/**
+ * Split a string into words at case changes, spaces, dashes and underscores
+ * @param {string} str - The string to split
+ * @returns {Array<string>} The words (letters of any script, such as usuários, stay in their word)
+ */
+function splitWords(str) {
+    return str
+        .replace(/([\p{Ll}\p{N}])(\p{Lu})/gu, '$1 $2')
+        .replace(/(\p{Lu}+)(\p{Lu}\p{Ll})/gu, '$1 $2')
+        .split(/[^\p{L}\p{M}\p{N}]+/u)
+        .filter(word => word.length > 0);
+}
+
 /**
  * Convert a string to camelCase
  * @param {string} str - The string to convert
  * @returns {string} The camelCase string
  */
 function toCamelCase(str) {
-    return str
-        .replace(/(?:^\w|[A-Z]|\b\w)/g, (word, index) => 
-            index === 0 ? word.toLowerCase() : word.toUpperCase()
-        )
-        .replace(/\s+|[-_]/g, '');
+    return splitWords(str)
+        .map((word, index) => index === 0 ? word.toLowerCase() : word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+        .join('');
+}
+
+/**
+ * Convert a string to PascalCase
+ * @param {string} str - The string to convert
+ * @returns {string} The PascalCase string
+ */
+function toPascalCase(str) {
+    const camelCase = toCamelCase(str);
+    return camelCase.charAt(0).toUpperCase() + camelCase.slice(1);
 }
 
 /**
@@ -334,11 +355,7 @@ function toCamelCase(str) {
  * @returns {string} The snake_case string
  */
 function toSnakeCase(str) {
-    return str
-        .replace(/(?:^\w|[A-Z]|\b\w)/g, (word, index) => 
-            index === 0 ? word.toLowerCase() : '_' + word.toLowerCase()
-        )
-        .replace(/\s+|[-]/g, '_');
+    return splitWords(str).map(word => word.toLowerCase()).join('_');
 }
 
 /**
@@ -347,11 +364,7 @@ function toSnakeCase(str) {
  * @returns {string} The kebab-case string
  */
 function toKebabCase(str) {
-    return str
-        .replace(/(?:^\w|[A-Z]|\b\w)/g, (word, index) => 
-            index === 0 ? word.toLowerCase() : '-' + word.toLowerCase()
-        )
-        .replace(/\s+|[_]/g, '-');
+    return splitWords(str).map(word => word.toLowerCase()).join('-');
 }
 
 // Export functions
@@ -372,6 +385,7 @@ export {
     randomColor,
     isEmptyObject,
     toCamelCase,
+    toPascalCase,
     toSnakeCase,
     toKebabCase
 };
@@ -0,0 +1,92 @@
+/**
+ * NoSQL Generator - Command-Line Tool Tests
+ * Author: Mandela404
+ * Version: 1.0.0
+ * 
+ * These tests run bin/nosql-generate.js in a child process:
+ * - Generated code on stdout
+ * - Files written with --out, which must stay inside the output directory
+ * 
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { mkdtempSync, readdirSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join, relative } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const CLI_PATH = fileURLToPath(new URL('../bin/nosql-generate.js', import.meta.url));
+
+/**
+ * Run the command-line tool
+ * @param {Array<string>} args - The arguments
+ * @param {Object|Array} input - JSON data passed on stdin
+ * @returns {string} The standard output
+ */
+function runCli(args, input) {
+    return execFileSync(process.execPath, [CLI_PATH, ...args], {
+        input: JSON.stringify(input),
+        encoding: 'utf8',
+        stdio: ['pipe', 'pipe', 'pipe']
+    });
+}
+
+/**
+ * List the files of a directory and its subdirectories
+ * @param {string} directory - The directory
+ * @returns {Array<string>} File paths relative to the directory, with '/' separators
+ */
+function listFiles(directory) {
+    return readdirSync(directory, { recursive: true, withFileTypes: true })
+        .filter(entry => entry.isFile())
+        .map(entry => relative(directory, join(entry.parentPath || entry.path, entry.name)).split('\\').join('/'))
+        .sort();
+}
+
+test('the generated code is written to stdout', () => {
+    const code = runCli(['--db', 'mongodb', '--structure', 'nested'], [{ name: 'Ana' }]);
+    
+    assert.match(code, /insertMany/);
+});
+
+test('--out writes the code and one JSON file per collection', () => {
+    const directory = mkdtempSync(join(tmpdir(), 'nosql-generator-'));
+    
+    try {
+        runCli(['--db', 'firebase', '--structure', 'subcollections', '--out', join(directory, 'out')], { users: [{ name: 'Ana', orders: [{ total: 1 }] }] });
+        
+        assert.deepEqual(listFiles(directory), ['out/firebase_subcollections.js', 'out/users.json', 'out/users/{userId}/orders.json']);
+    } finally {
+        rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+test('--out does not write outside the output directory', () => {
+    const directory = mkdtempSync(join(tmpdir(), 'nosql-generator-'));
+    
+    try {
+        const outDir = join(directory, 'nested', 'out');
+        
+        runCli(['--db', 'mongodb', '--out', outDir], { '../../escaped': [{ a: 1 }] });
+        runCli(['--db', 'mongodb', '--collection-names', '$=../../renamed', '--out', outDir], [{ a: 1 }]);
+        
+        assert.deepEqual(listFiles(directory), [
+            'nested/out/_/_/escapeds.json',
+            'nested/out/_/_/renamed.json',
+            'nested/out/mongodb_nested.js'
+        ]);
+    } finally {
+        rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+test('--help lines up the generator option labels after the longest flag', () => {
+    const lines = runCli(['--help'], []).split('\n').filter(line => line.startsWith('  --'));
+    const columns = new Set(lines.map(line => line.search(/(?<= {2})[A-Z$]/)));
+    
+    assert.ok(lines.some(line => line.startsWith('  --emulator-project-id <value>  ')));
+    assert.equal(columns.size, 1);
+});
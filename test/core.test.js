@@ -0,0 +1,276 @@
+/**
+ * NoSQL Generator - Generation Core Tests
+ * Author: Mandela404
+ * Version: 1.0.0
+ * 
+ * These tests cover generateDocuments, the DOM-free entry point:
+ * - Input checks and the errors they throw
+ * - The structured result of every generator and structure
+ * - Documents, ids, references and collection names of the result
+ * 
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setLogLevel } from '../js/logger.js';
+import { generateDocuments } from '../js/nosql/core.js';
+import { getGenerators } from '../js/nosql/registry.js';
+import { ObjectIdValue } from '../js/nosql/documentModel.js';
+
+setLogLevel('warning');
+
+const USERS = {
+    users: [
+        { id: 1, name: 'Ana', address: { city: 'Lisboa' }, orders: [{ id: 'o1', total: 10 }, { id: 'o2', total: 20 }] },
+        { id: 2, name: 'Rui', address: { city: 'Porto' }, orders: [] }
+    ]
+};
+
+/**
+ * Get the data of the documents of a collection
+ * @param {Object} result - The generation result
+ * @param {string} collection - The collection name
+ * @returns {Array<Object>} The document data
+ */
+function getData(result, collection) {
+    return result.documents[collection].map(entry => entry.data);
+}
+
+test('generateDocuments checks its arguments', () => {
+    assert.throws(() => generateDocuments(null, 'mongodb', 'nested'), /No JSON data provided/);
+    assert.throws(() => generateDocuments(USERS, '', 'nested'), /No database type selected/);
+    assert.throws(() => generateDocuments(USERS, 'mongodb', ''), /No document structure selected/);
+    assert.throws(() => generateDocuments(USERS, 'redis', 'nested'), /Unsupported database type: redis/);
+    assert.throws(() => generateDocuments(USERS, 'mongodb', 'singleTable'), /does not support the singleTable structure/);
+});
+
+test('generateDocuments returns a structured result for every generator and structure', () => {
+    getGenerators().forEach(generator => {
+        generator.structures.forEach(({ value: structure }) => {
+            const result = generateDocuments(USERS, generator.id, structure, { addIds: true, addIndexes: true });
+            const label = `${generator.id} ${structure}`;
+            
+            assert.equal(result.dbType, generator.id, label);
+            assert.equal(result.structure, structure, label);
+            assert.equal(typeof result.language, 'string', label);
+            assert.ok(result.code.length > 0, label);
+            assert.ok(Object.keys(result.documents).length > 0, label);
+            assert.ok(Array.isArray(result.indexes), label);
+            assert.ok(Array.isArray(result.files), label);
+            assert.ok(Array.isArray(result.references), label);
+            assert.ok(Array.isArray(result.tables), label);
+            assert.ok(Array.isArray(result.warnings), label);
+            assert.deepEqual(Object.keys(result.schema.fields), ['id', 'name', 'address', 'orders'], label);
+        });
+    });
+});
+
+test('nested documents hold the input items unchanged', () => {
+    const result = generateDocuments(USERS, 'mongodb', 'nested');
+    
+    assert.deepEqual(Object.keys(result.documents), ['users']);
+    assert.deepEqual(getData(result, 'users'), USERS.users);
+});
+
+test('addIds gives MongoDB documents an ObjectId', () => {
+    const result = generateDocuments(USERS, 'mongodb', 'nested', { addIds: true });
+    
+    result.documents.users.forEach(entry => {
+        assert.ok(entry.data._id instanceof ObjectIdValue);
+        assert.equal(entry.id, entry.data._id.hex);
+    });
+});
+
+test('addTimestamps adds createdAt and updatedAt', () => {
+    const result = generateDocuments(USERS, 'mongodb', 'nested', { addTimestamps: true });
+    
+    getData(result, 'users').forEach(data => {
+        assert.ok(Object.prototype.hasOwnProperty.call(data, 'createdAt'));
+        assert.ok(Object.prototype.hasOwnProperty.call(data, 'updatedAt'));
+    });
+});
+
+test('references point at documents of the referenced collection', () => {
+    // CouchDB and DynamoDB keep every document type in one database or table
+    ['mongodb', 'firebase'].forEach(dbType => {
+        const result = generateDocuments(USERS, dbType, 'references', { addIds: true });
+        
+        assert.ok(result.references.length > 0, dbType);
+        
+        result.references.forEach(({ collection, field, target }) => {
+            const targetIds = new Set(result.documents[target].map(entry => String(entry.id)));
+            
+            getData(result, collection).forEach(data => {
+                const values = Array.isArray(data[field]) ? data[field] : [data[field]];
+                
+                values.filter(value => value !== undefined && value !== null).forEach(value => {
+                    const id = value instanceof ObjectIdValue ? value.hex : (value.id || value);
+                    assert.ok(targetIds.has(String(id)), `${dbType} ${collection}.${field} -> ${target}/${id}`);
+                });
+            });
+        });
+    });
+});
+
+test('references keep the ids the input documents already have', () => {
+    const result = generateDocuments(USERS, 'firebase', 'references', { addIds: true });
+    
+    assert.deepEqual(result.documents.orders.map(entry => String(entry.id)), ['o1', 'o2']);
+    assert.deepEqual(result.documents.users.map(entry => String(entry.id)), ['1', '2']);
+});
+
+test('DynamoDB items are written with BatchWriteCommand', () => {
+    ['nested', 'flat', 'references', 'singleTable'].forEach(structure => {
+        const result = generateDocuments(USERS, 'dynamodb', structure);
+        
+        assert.ok(result.code.includes('await batchWriteItems('), structure);
+        assert.ok(!result.code.includes('new PutCommand('), structure);
+    });
+});
+
+test('DynamoDB index suggestions skip attributes holding different types', () => {
+    // Root items keep their numeric ids, the order items have string ids
+    const result = generateDocuments(USERS, 'dynamodb', 'references', { addIndexes: true, blockInvalidItems: true });
+    
+    assert.ok(!result.indexes.some(index => index.fields.includes('id')));
+    assert.deepEqual(result.tables[0].globalIndexes.map(index => index.partitionKey), [{ name: 'name', type: 'S' }]);
+});
+
+test('an empty DynamoDB single-table input gives a warning instead of a table definition', () => {
+    const result = generateDocuments({ users: [] }, 'dynamodb', 'singleTable', { tableDefinition: 'all' });
+    
+    assert.deepEqual(result.tables, []);
+    assert.ok(!result.files.some(file => file.name === 'table-definition.json'));
+    assert.deepEqual(result.warnings, ['No items to write, so no table definition was generated for users']);
+    assert.doesNotThrow(() => new Function(result.code.replace(/^import .*$/gm, '')));
+});
+
+test('collectionNames renames collections by data path', () => {
+    const result = generateDocuments(USERS, 'mongodb', 'references', { collectionNames: 'users=people, users.orders=purchases' });
+    
+    assert.deepEqual(Object.keys(result.documents).sort(), ['addresses', 'people', 'purchases']);
+    assert.ok(result.code.includes('purchases'));
+});
+
+test('invalid collectionNames are reported', () => {
+    assert.throws(() => generateDocuments(USERS, 'mongodb', 'nested', { collectionNames: 'people' }), /expected path=name/);
+});
+
+test('Firestore index field paths quote field names that are not simple identifiers', () => {
+    const items = [1, 2, 3, 4].map(day => ({
+        'first-name': day % 2 ? 'Ana' : 'Rui',
+        createdAt: new Date(Date.UTC(2024, 0, day)).toISOString(),
+        'long text': 'x'.repeat(2000)
+    }));
+    const result = generateDocuments({ users: items }, 'firebase', 'nested', { addIndexes: true });
+    const config = JSON.parse(result.files.find(file => file.name === 'firestore.indexes.json').content);
+    
+    assert.deepEqual(config.indexes[0].fields.map(field => field.fieldPath), ['`first-name`', 'createdAt']);
+    assert.deepEqual(config.fieldOverrides.map(override => override.fieldPath), ['`long text`']);
+});
+
+test('MongoDB references turn empty arrays of referenced documents into empty references', () => {
+    const result = generateDocuments(USERS, 'mongodb', 'references', { outputFormat: 'mongoose' });
+    
+    assert.deepEqual(getData(result, 'users')[1].ordersRefs, []);
+    assert.ok(!getData(result, 'users').some(data => Object.prototype.hasOwnProperty.call(data, 'orders')));
+    assert.ok(result.code.includes('ordersRefs: [{ type: Schema.Types.ObjectId, ref: "Order" }]'));
+    assert.ok(!/^\s*orders:/m.test(result.code));
+});
+
+test('Mongoose schemas leave out fields with a dot in their name', () => {
+    const result = generateDocuments({ users: [{ name: 'Ana', 'a.b': 1, address: { 'x.y': 2, city: 'Lisboa' } }] }, 'mongodb', 'nested', { outputFormat: 'mongoose' });
+    
+    assert.ok(!result.code.includes('"a.b":'));
+    assert.ok(!result.code.includes('"x.y":'));
+    assert.equal(result.warnings.filter(warning => warning.includes('contains a dot')).length, 2);
+});
+
+test('canonical Extended JSON keeps integers beyond the 64-bit range as doubles', () => {
+    const numbers = { values: [{ small: 1, long: 2 ** 40, huge: 1e21, fraction: 1.5 }] };
+    const result = generateDocuments(numbers, 'mongodb', 'nested', { outputFormat: 'ejson', ejsonMode: 'canonical' });
+    const [document] = JSON.parse(result.files.find(file => file.name === 'values.json').content);
+    
+    assert.deepEqual(document.small, { $numberInt: '1' });
+    assert.deepEqual(document.long, { $numberLong: '1099511627776' });
+    assert.deepEqual(document.huge, { $numberDouble: '1e+21' });
+    assert.deepEqual(document.fraction, { $numberDouble: '1.5' });
+});
+
+test('DynamoDB single-table data attributes do not overwrite the key and type attributes', () => {
+    const data = { users: [{ id: 'u1', type: 'premium', orders: [{ id: 'o1', type: 'express' }] }] };
+    const result = generateDocuments(data, 'dynamodb', 'singleTable');
+    const [user, order] = getData(result, 'users');
+    
+    assert.equal(user.type, 'User');
+    assert.equal(user.GSI2PK, 'User');
+    assert.equal(user.dataType, 'premium');
+    assert.equal(order.type, 'Order');
+    assert.equal(order.PK, 'USER#u1');
+    assert.equal(order.dataType, 'express');
+    assert.equal(result.warnings.filter(warning => warning.includes('is written as dataType')).length, 2);
+});
+
+test('DynamoDB CLI export waits for each suggested index before creating the next one', () => {
+    const users = [1, 2, 3].map(number => ({ id: number, name: `User ${number}`, accountId: number * 10 }));
+    const result = generateDocuments({ users }, 'dynamodb', 'nested', { outputFormat: 'cli', addIndexes: true });
+    const lines = result.code.split('\n');
+    const updates = lines.map((line, index) => [line, index]).filter(([line]) => line.startsWith('aws dynamodb update-table'));
+    
+    assert.equal(updates.length, 2);
+    updates.forEach(([line, index]) => assert.match(lines[index + 1], /^wait_for_index 'users' '\w+Index'$/, line));
+    assert.ok(result.code.includes("'AttributeName=name,AttributeType=S'"));
+    assert.ok(result.code.includes("'AttributeName=accountId,AttributeType=N'"));
+});
+
+test('references give empty arrays of referenced documents an empty reference field', () => {
+    const expected = { dynamodb: 'ordersIds', firebase: 'ordersRefs', mongodb: 'ordersRefs', couchdb: 'ordersIds' };
+    
+    Object.entries(expected).forEach(([dbType, field]) => {
+        const result = generateDocuments(USERS, dbType, 'references');
+        const users = Object.values(result.documents).flat().map(entry => entry.data).filter(data => data.name);
+        
+        assert.equal(users.length, 2, dbType);
+        assert.equal(users[0][field].length, 2, dbType);
+        assert.deepEqual(users[1][field], [], dbType);
+        assert.ok(users.every(data => !Object.prototype.hasOwnProperty.call(data, 'orders')), dbType);
+    });
+});
+
+test('Firestore security rules match every collection and check its fields', () => {
+    const data = { users: [{ ownerId: 'u1', name: 'Ana', age: 30, 'my orders': [{ ownerId: 'u1', total: 10 }] }] };
+    const result = generateDocuments(data, 'firebase', 'subcollections', { addRules: true, rulesAccess: 'owner' });
+    const rules = result.files.find(file => file.name === 'firestore.rules').content;
+    
+    assert.ok(rules.startsWith("rules_version = '2';"));
+    assert.equal(rules.split('{').length, rules.split('}').length);
+    assert.ok(rules.includes('data.keys().hasAll(["ownerId", "name", "age"])'));
+    assert.ok(rules.includes('&& data.age is number'));
+    assert.ok(rules.includes('    match /users/{docId} {\n      allow read, delete: if isOwner(resource.data);'));
+    
+    // Names with a space are not literal path segments, so a wildcard matches them
+    assert.ok(rules.includes('    match /users/{userId}/{collectionId}/{docId} {\n      allow read, delete: if collectionId == "my orders" && isOwner(resource.data);'));
+});
+
+test('Firestore collection names that are not a single path segment are renamed', () => {
+    const result = generateDocuments(USERS, 'firebase', 'nested', { collectionNames: 'users=team/users', addRules: true });
+    const rules = result.files.find(file => file.name === 'firestore.rules').content;
+    
+    assert.deepEqual(Object.keys(result.documents), ['team_users']);
+    assert.ok(result.warnings.includes('The collection name "team/users" is not a valid Firestore collection id and is written as "team_users"'));
+    assert.ok(rules.includes('match /team_users/{docId} {'));
+});
+
+test('Firestore subcollections drop the empty arrays of documents without that subcollection', () => {
+    const data = {
+        users: [
+            { id: 1, tags: [], orders: [{ id: 'o1', items: [{ sku: 'a' }] }, { id: 'o2', items: [] }] },
+            { id: 2, tags: [], orders: [] }
+        ]
+    };
+    const result = generateDocuments(data, 'firebase', 'subcollections', { subcollectionDepth: 2 });
+    
+    assert.deepEqual(getData(result, 'users'), [{ id: 1, tags: [] }, { id: 2, tags: [] }]);
+    assert.deepEqual(getData(result, 'users/{userId}/orders'), [{ id: 'o1' }, { id: 'o2' }]);
+});
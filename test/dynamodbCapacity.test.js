@@ -0,0 +1,139 @@
+/**
+ * NoSQL Generator - DynamoDB Capacity Tests
+ * Author: Mandela404
+ * Version: 1.0.0
+ * 
+ * These tests cover the capacity and cost estimate of the DynamoDB tables:
+ * - Read and write unit rounding
+ * - Price and request rate checks
+ * - Seed load, storage and monthly cost of on-demand and provisioned tables
+ * 
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setLogLevel } from '../js/logger.js';
+import { generateDocuments } from '../js/nosql/core.js';
+import { DEFAULT_PRICING, getWriteUnits, getReadUnits, normalizePricing, normalizeWorkload, estimateCapacity } from '../js/nosql/dynamodbCapacity.js';
+
+setLogLevel('warning');
+
+const SECONDS_PER_MONTH = 730 * 60 * 60;
+const BYTES_PER_GB = 1024 * 1024 * 1024;
+
+// One item with an index entry, one item without
+const TABLE = {
+    tableName: 'users',
+    writeCapacity: 5,
+    items: [{ size: 900, indexEntries: 1 }, { size: 1500, indexEntries: 0 }]
+};
+
+const WORKLOAD = { readsPerSecond: 20, writesPerSecond: 10, consistency: 'eventual', targetUtilization: 50 };
+
+/**
+ * Check that two costs are equal up to floating point rounding
+ * @param {number} actual - The computed cost
+ * @param {number} expected - The expected cost
+ */
+function assertCost(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+}
+
+test('write units are rounded up per started KB', () => {
+    assert.equal(getWriteUnits(0), 1);
+    assert.equal(getWriteUnits(1024), 1);
+    assert.equal(getWriteUnits(1025), 2);
+    assert.equal(getWriteUnits(3 * 1024), 3);
+});
+
+test('read units are rounded up per started 4 KB and halved for eventually consistent reads', () => {
+    assert.equal(getReadUnits(4096, 'strong'), 1);
+    assert.equal(getReadUnits(4096, 'eventual'), 0.5);
+    assert.equal(getReadUnits(4097, 'strong'), 2);
+    assert.equal(getReadUnits(4097, 'eventual'), 1);
+});
+
+test('prices are merged with the default prices and checked', () => {
+    assert.deepEqual(normalizePricing({ storageGbMonth: '0.3', readRequestUnits: '' }), { ...DEFAULT_PRICING, storageGbMonth: 0.3 });
+    assert.throws(() => normalizePricing({ writeRequestUnits: -1 }), /Invalid price for writeRequestUnits/);
+    assert.throws(() => normalizePricing({ writeRequestUnits: 'abc' }), /Invalid price for writeRequestUnits/);
+});
+
+test('request rates are checked', () => {
+    assert.equal(normalizeWorkload({ readsPerSecond: '3' }).readsPerSecond, 3);
+    assert.throws(() => normalizeWorkload({ writesPerSecond: -1 }), /Invalid writesPerSecond/);
+    assert.throws(() => normalizeWorkload({ targetUtilization: 0 }), /expected a percentage above 0/);
+    assert.throws(() => normalizeWorkload({ targetUtilization: 120 }), /expected a percentage above 0/);
+    assert.throws(() => normalizeWorkload({ consistency: 'weak' }), /Unknown read consistency: weak/);
+});
+
+test('the seed load writes every index copy and storage bills 100 bytes per copy', () => {
+    const [estimate] = estimateCapacity([TABLE], WORKLOAD).tables;
+    
+    // 1 unit for the first item and its index entry, 2 units for the second item
+    assert.equal(estimate.seed.writeUnits, 1 * 2 + 2);
+    assert.equal(estimate.seed.provisionedSeconds, 4 / 5);
+    assertCost(estimate.seed.onDemandCost, 4 * DEFAULT_PRICING.writeRequestUnits / 1000000);
+    assert.equal(estimate.storage.bytes, (900 + 100) * 2 + (1500 + 100));
+    assert.equal(estimate.averageItemSize, 1200);
+    assert.equal(estimate.maxItemSize, 1500);
+});
+
+test('on-demand and provisioned costs follow the request rate', () => {
+    const [estimate] = estimateCapacity([TABLE], WORKLOAD).tables;
+    const storageCost = 3600 / BYTES_PER_GB * DEFAULT_PRICING.storageGbMonth;
+    
+    assert.equal(estimate.averageWriteUnits, 2);
+    assert.equal(estimate.averageReadUnits, 0.5);
+    
+    // On-demand tables pay per million request units
+    assert.equal(estimate.onDemand.writeUnits, 10 * 2 * SECONDS_PER_MONTH);
+    assert.equal(estimate.onDemand.readUnits, 20 * 0.5 * SECONDS_PER_MONTH);
+    assertCost(estimate.onDemand.monthlyCost, (52.56 * 0.625) + (26.28 * 0.125) + storageCost);
+    
+    // Provisioned tables keep the request rate at 50% of their capacity
+    assert.equal(estimate.provisioned.writeCapacity, 40);
+    assert.equal(estimate.provisioned.readCapacity, 20);
+    assertCost(estimate.provisioned.monthlyCost, (40 * 0.00065 + 20 * 0.00013) * 730 + storageCost);
+});
+
+test('strongly consistent reads cost twice as many read units', () => {
+    const eventual = estimateCapacity([TABLE], WORKLOAD).tables[0];
+    const strong = estimateCapacity([TABLE], { ...WORKLOAD, consistency: 'strong' }).tables[0];
+    
+    assert.equal(strong.averageReadUnits, eventual.averageReadUnits * 2);
+    assert.equal(strong.provisioned.readCapacity, eventual.provisioned.readCapacity * 2);
+});
+
+test('totals add up the tables', () => {
+    const estimate = estimateCapacity([TABLE, { ...TABLE, tableName: 'orders', writeCapacity: null }], WORKLOAD);
+    
+    assert.equal(estimate.tables[1].seed.provisionedSeconds, null);
+    assert.equal(estimate.totals.itemCount, 4);
+    assert.equal(estimate.totals.seedWriteUnits, 8);
+    assert.equal(estimate.totals.storageBytes, 7200);
+    assertCost(estimate.totals.onDemandMonthlyCost, estimate.tables[0].onDemand.monthlyCost * 2);
+});
+
+test('tables without items cost nothing', () => {
+    const [estimate] = estimateCapacity([{ tableName: 'empty', items: [] }], WORKLOAD).tables;
+    
+    assert.equal(estimate.seed.writeUnits, 0);
+    assert.equal(estimate.averageItemSize, 0);
+    assert.equal(estimate.onDemand.monthlyCost, 0);
+    assert.equal(estimate.provisioned.monthlyCost, 0);
+});
+
+test('the DynamoDB generation result holds the item sizes the estimate needs', () => {
+    const users = [{ id: 1, name: 'Ana' }, { id: 2, name: 'Rui' }];
+    const result = generateDocuments({ users }, 'dynamodb', 'nested', { addIndexes: true });
+    const [table] = result.tables;
+    
+    assert.equal(table.items.length, 2);
+    table.items.forEach(item => {
+        assert.ok(item.size > 0);
+        assert.equal(item.indexEntries, table.globalIndexes.length);
+    });
+    assert.equal(estimateCapacity(result.tables).totals.itemCount, 2);
+});
@@ -0,0 +1,141 @@
+/**
+ * NoSQL Generator - DynamoDB Keys Tests
+ * Author: Mandela404
+ * Version: 1.0.0
+ * 
+ * These tests cover the key configuration of the DynamoDB tables:
+ * - Partition and sort keys taken from item attributes or built from templates
+ * - Key types (S, N and B)
+ * - Key patterns of the single-table design
+ * 
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setLogLevel } from '../js/logger.js';
+import { generateDocuments } from '../js/nosql/core.js';
+
+setLogLevel('warning');
+
+const USERS = [
+    { email: 'ana@example.com', role: 'admin', joinedAt: '2024-01-01', age: 30 },
+    { email: 'rui@example.com', role: 'user', joinedAt: '2024-02-01', age: 41 }
+];
+
+/**
+ * Generate the DynamoDB items of the users table
+ * @param {Object} options - Generation options
+ * @param {Array<Object>} [users=USERS] - The users
+ * @returns {Object} The generation result
+ */
+function generateUsers(options, users = USERS) {
+    return generateDocuments({ users }, 'dynamodb', 'nested', options);
+}
+
+/**
+ * Get the generated items of a table
+ * @param {Object} result - The generation result
+ * @param {string} tableName - The name of the table
+ * @returns {Array<Object>} The items
+ */
+function getItems(result, tableName) {
+    return result.documents[tableName].map(entry => entry.data);
+}
+
+test('items are keyed on id by default and get no sort key', () => {
+    const result = generateUsers({});
+    const [table] = result.tables;
+    
+    assert.deepEqual(getItems(result, 'users').map(item => item.id), ['1', '2']);
+    assert.deepEqual(table.partitionKey, { name: 'id', type: 'S' });
+    assert.equal(table.sortKey, null);
+});
+
+test('partition and sort keys can be item attributes', () => {
+    const result = generateUsers({ partitionKey: 'email', sortKey: 'joinedAt' });
+    const [table] = result.tables;
+    const [item] = getItems(result, 'users');
+    
+    assert.deepEqual(Object.keys(item).slice(0, 2), ['email', 'joinedAt']);
+    assert.equal(item.joinedAt, '2024-01-01');
+    assert.ok(!Object.prototype.hasOwnProperty.call(item, 'id'));
+    assert.deepEqual(table.partitionKey, { name: 'email', type: 'S' });
+    assert.deepEqual(table.sortKey, { name: 'joinedAt', type: 'S' });
+    assert.deepEqual(result.warnings, []);
+});
+
+test('key templates build composite keys from the item attributes', () => {
+    const result = generateUsers({ partitionKeyTemplate: 'USER#${email}', sortKeyTemplate: '${role}#${joinedAt}' });
+    const items = getItems(result, 'users');
+    
+    // Template keys without a name are written as id and SK
+    assert.deepEqual(items.map(item => [item.id, item.SK]), [
+        ['USER#ana@example.com', 'admin#2024-01-01'],
+        ['USER#rui@example.com', 'user#2024-02-01']
+    ]);
+    assert.equal(items[0].email, 'ana@example.com');
+    assert.deepEqual(result.tables[0].sortKey, { name: 'SK', type: 'S' });
+});
+
+test('key templates report attributes that are missing from an item', () => {
+    const result = generateUsers({ partitionKey: 'userKey', partitionKeyTemplate: 'USER#${team}' });
+    
+    assert.deepEqual(getItems(result, 'users').map(item => item.userKey), ['USER#', 'USER#']);
+    assert.ok(result.warnings.includes('The key pattern USER#${team} of users uses "team", which is not a scalar attribute of every item'));
+    
+    // Both items end up with the same key
+    assert.ok(result.warnings.some(warning => warning.startsWith('DynamoDB would reject item 2 of users, userKey: same primary key as item 1')));
+});
+
+test('key types convert the key values', () => {
+    const strings = generateUsers({ partitionKey: 'role', sortKey: 'age', sortKeyType: 'S' });
+    const numbers = generateUsers({ partitionKey: 'code', partitionKeyType: 'N' }, [{ code: '7' }, { code: '12' }]);
+    const binary = generateUsers({ partitionKey: 'email', partitionKeyType: 'B' });
+    const [binaryItem] = getItems(binary, 'users');
+    
+    assert.deepEqual(getItems(strings, 'users').map(item => item.age), ['30', '41']);
+    assert.deepEqual(strings.tables[0].sortKey, { name: 'age', type: 'S' });
+    assert.deepEqual(getItems(numbers, 'users').map(item => item.code), [7, 12]);
+    assert.deepEqual(numbers.tables[0].partitionKey, { name: 'code', type: 'N' });
+    
+    // Binary keys hold the UTF-8 bytes of the value
+    assert.ok(binaryItem.email instanceof Uint8Array);
+    assert.equal(new TextDecoder().decode(binaryItem.email), 'ana@example.com');
+    assert.deepEqual(binary.tables[0].partitionKey, { name: 'email', type: 'B' });
+});
+
+test('number keys report values that are not numbers', () => {
+    const result = generateUsers({ partitionKey: 'age', partitionKeyType: 'N' }, [{ age: 30 }, { age: 'unknown' }]);
+    
+    assert.deepEqual(getItems(result, 'users').map(item => item.age), [30, 'unknown']);
+    assert.ok(result.warnings.includes('The key attribute age of users is a number key, but holds values that are not numbers'));
+    assert.ok(result.warnings.includes('DynamoDB would reject item 2 of users, age: the key attribute is declared as N but holds S'));
+});
+
+test('key uniqueness takes the sort key into account', () => {
+    const byRole = generateUsers({ partitionKey: 'role' }, [...USERS, { ...USERS[0], email: 'eva@example.com' }]);
+    const byRoleAndEmail = generateUsers({ partitionKey: 'role', sortKey: 'email' }, [...USERS, { ...USERS[0], email: 'eva@example.com' }]);
+    
+    assert.ok(byRole.warnings.some(warning => warning.startsWith('DynamoDB would reject item 3 of users, role: same primary key as item 1')));
+    assert.ok(!byRoleAndEmail.warnings.some(warning => warning.startsWith('DynamoDB would reject')));
+});
+
+test('single-table key patterns replace the default TYPE#id keys', () => {
+    const data = { users: [{ id: 1, name: 'Ana', orders: [{ id: 5, total: 20 }] }] };
+    const keys = result => Object.values(result.documents)[0].map(entry => `${entry.data.PK}|${entry.data.SK}`);
+    
+    assert.deepEqual(keys(generateDocuments(data, 'dynamodb', 'singleTable')), ['USER#1|USER#1', 'USER#1|ORDER#5']);
+    
+    // A bare prefix keys the entity on its id
+    const custom = generateDocuments(data, 'dynamodb', 'singleTable', { keyPatterns: 'User=CUSTOMER, Order=ORD#${total}' });
+    
+    assert.deepEqual(keys(custom), ['CUSTOMER#1|CUSTOMER#1', 'CUSTOMER#1|ORD#20']);
+});
+
+test('invalid single-table key patterns are rejected', () => {
+    const data = { users: [{ id: 1 }] };
+    
+    assert.throws(() => generateDocuments(data, 'dynamodb', 'singleTable', { keyPatterns: 'User' }), /Invalid key pattern "User", expected Type=PATTERN/);
+    assert.throws(() => generateDocuments(data, 'dynamodb', 'singleTable', { keyPatterns: 'User=' }), /Invalid key pattern "User=", expected Type=PATTERN/);
+});
@@ -0,0 +1,156 @@
+/**
+ * NoSQL Generator - DynamoDB Tables Tests
+ * Author: Mandela404
+ * Version: 1.0.0
+ * 
+ * These tests cover the table definitions of the DynamoDB generator:
+ * - Table models built from the generated items and the table options
+ * - CreateTable input
+ * - CloudFormation, AWS CDK and Terraform definitions
+ * 
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setLogLevel } from '../js/logger.js';
+import { generateDocuments } from '../js/nosql/core.js';
+import { toCreateTableInput, renderCloudFormation, renderCdk, renderTerraform } from '../js/nosql/dynamodbTables.js';
+
+setLogLevel('warning');
+
+// A provisioned table with a sort key, one index of each kind, TTL and a stream
+const TABLE = {
+    tableName: 'users',
+    partitionKey: { name: 'id', type: 'N' },
+    sortKey: { name: 'createdAt', type: 'S' },
+    globalIndexes: [{ name: 'emailIndex', partitionKey: { name: 'email', type: 'S' }, sortKey: null }],
+    localIndexes: [{ name: 'statusLocalIndex', sortKey: { name: 'status', type: 'S' } }],
+    billingMode: 'PROVISIONED',
+    readCapacity: 5,
+    writeCapacity: 10,
+    ttlAttribute: 'expiresAt',
+    streamViewType: 'NEW_IMAGE'
+};
+
+// The same table without indexes, TTL or stream, billed on demand
+const ON_DEMAND_TABLE = {
+    ...TABLE,
+    sortKey: null,
+    globalIndexes: [],
+    localIndexes: [],
+    billingMode: 'PAY_PER_REQUEST',
+    ttlAttribute: null,
+    streamViewType: null
+};
+
+const USERS = [
+    { id: 1, email: 'ana@example.com', status: 'active', createdAt: '2024-01-01T00:00:00Z' },
+    { id: 2, email: 'rui@example.com', status: 'inactive', createdAt: '2024-01-02T00:00:00Z' }
+];
+
+test('table models take their key types from the items and their settings from the options', () => {
+    const result = generateDocuments({ users: USERS }, 'dynamodb', 'nested', {
+        sortKey: 'createdAt',
+        localIndexes: 'status',
+        billingMode: 'PROVISIONED',
+        readCapacity: '3',
+        streamViewType: 'KEYS_ONLY'
+    });
+    const [table] = result.tables;
+    
+    assert.equal(table.tableName, 'users');
+    assert.deepEqual(table.partitionKey, { name: 'id', type: 'N' });
+    assert.deepEqual(table.sortKey, { name: 'createdAt', type: 'S' });
+    assert.deepEqual(table.localIndexes, [{ name: 'statusLocalIndex', sortKey: { name: 'status', type: 'S' } }]);
+    assert.equal(table.billingMode, 'PROVISIONED');
+    assert.equal(table.readCapacity, 3);
+    assert.equal(table.writeCapacity, 5);
+    assert.equal(table.streamViewType, 'KEYS_ONLY');
+});
+
+test('table models report keys and settings DynamoDB would reject', () => {
+    const result = generateDocuments({ users: USERS }, 'dynamodb', 'nested', {
+        partitionKey: 'missing',
+        localIndexes: 'status',
+        ttlAttribute: 'status',
+        billingMode: 'FREE'
+    });
+    
+    assert.equal(result.tables[0].billingMode, 'PAY_PER_REQUEST');
+    assert.deepEqual(result.tables[0].localIndexes, []);
+    assert.ok(result.warnings.includes('Not every item of users has the key attribute missing, DynamoDB rejects the items without it'));
+    assert.ok(result.warnings.includes('Local secondary indexes need a table with a sort key, so none are defined for users'));
+    assert.ok(result.warnings.includes('The TTL attribute status of users must hold epoch seconds as a number, other values never expire'));
+});
+
+test('the CreateTable input defines every key attribute once', () => {
+    const input = toCreateTableInput(TABLE);
+    const throughput = { ReadCapacityUnits: 5, WriteCapacityUnits: 10 };
+    
+    assert.deepEqual(input.AttributeDefinitions.map(attribute => `${attribute.AttributeName}:${attribute.AttributeType}`), ['id:N', 'createdAt:S', 'email:S', 'status:S']);
+    assert.deepEqual(input.KeySchema, [{ AttributeName: 'id', KeyType: 'HASH' }, { AttributeName: 'createdAt', KeyType: 'RANGE' }]);
+    assert.deepEqual(input.GlobalSecondaryIndexes[0].ProvisionedThroughput, throughput);
+    assert.deepEqual(input.LocalSecondaryIndexes[0].KeySchema, [{ AttributeName: 'id', KeyType: 'HASH' }, { AttributeName: 'status', KeyType: 'RANGE' }]);
+    assert.deepEqual(input.ProvisionedThroughput, throughput);
+    assert.deepEqual(input.StreamSpecification, { StreamEnabled: true, StreamViewType: 'NEW_IMAGE' });
+});
+
+test('on-demand tables have no provisioned throughput', () => {
+    const input = toCreateTableInput(ON_DEMAND_TABLE);
+    
+    assert.equal(input.BillingMode, 'PAY_PER_REQUEST');
+    assert.ok(!JSON.stringify(input).includes('ProvisionedThroughput'));
+    assert.ok(!Object.prototype.hasOwnProperty.call(input, 'GlobalSecondaryIndexes'));
+    assert.ok(!Object.prototype.hasOwnProperty.call(input, 'StreamSpecification'));
+});
+
+test('CloudFormation templates set the TTL and stream with the table and quote YAML keywords', () => {
+    const template = renderCloudFormation([TABLE, { ...TABLE, tableName: 'yes' }, { ...TABLE, tableName: 'Users' }]);
+    
+    assert.ok(template.includes('AWSTemplateFormatVersion: "2010-09-09"\n'));
+    assert.ok(template.includes('  UsersTable:\n    Type: AWS::DynamoDB::Table\n    Properties:\n      TableName: users\n'));
+    assert.ok(template.includes('      StreamSpecification:\n        StreamViewType: NEW_IMAGE\n'));
+    assert.ok(template.includes('      TimeToLiveSpecification:\n        AttributeName: expiresAt\n        Enabled: true\n'));
+    assert.ok(template.includes('          AttributeType: "N"\n'));
+    assert.ok(template.includes('      TableName: "yes"\n'));
+    
+    // Table names that map to the same logical id are numbered
+    assert.ok(template.includes('  UsersTable2:\n'));
+});
+
+test('CDK stacks add the indexes to the table construct', () => {
+    const stack = renderCdk([TABLE]);
+    
+    assert.ok(stack.includes('    const usersTable = new dynamodb.Table(this, "UsersTable", {\n'));
+    assert.ok(stack.includes('      partitionKey: { name: "id", type: dynamodb.AttributeType.NUMBER },\n'));
+    assert.ok(stack.includes('      readCapacity: 5,\n      writeCapacity: 10,\n'));
+    assert.ok(stack.includes('      timeToLiveAttribute: "expiresAt",\n'));
+    assert.ok(stack.includes('      stream: dynamodb.StreamViewType.NEW_IMAGE,\n'));
+    assert.ok(stack.includes('    usersTable.addGlobalSecondaryIndex({\n      indexName: "emailIndex",\n'));
+    assert.ok(stack.includes('    usersTable.addLocalSecondaryIndex({\n      indexName: "statusLocalIndex",\n'));
+    assert.ok(!renderCdk([ON_DEMAND_TABLE]).includes('readCapacity'));
+});
+
+test('Terraform resources align their arguments and escape template sequences', () => {
+    const hcl = renderTerraform([{ ...TABLE, tableName: 'users-${env}-%{x}' }]);
+    
+    assert.ok(hcl.includes('resource "aws_dynamodb_table" "users_env_x" {\n'));
+    assert.ok(hcl.includes('  name             = "users-$${env}-%%{x}"\n'));
+    assert.ok(hcl.includes('  hash_key         = "id"\n  range_key        = "createdAt"\n'));
+    assert.ok(hcl.includes('  attribute {\n    name = "email"\n    type = "S"\n  }\n'));
+    assert.ok(hcl.includes('  global_secondary_index {\n    name            = "emailIndex"\n    hash_key        = "email"\n'));
+    assert.ok(hcl.includes('  ttl {\n    attribute_name = "expiresAt"\n    enabled        = true\n  }\n'));
+    assert.equal(hcl.match(/attribute \{/g).length, 4);
+});
+
+test('the table definition option writes the selected files', () => {
+    const all = generateDocuments({ users: USERS }, 'dynamodb', 'nested', { tableDefinition: 'all' });
+    const none = generateDocuments({ users: USERS }, 'dynamodb', 'nested', { tableDefinition: 'none' });
+    const unknown = generateDocuments({ users: USERS }, 'dynamodb', 'nested', { tableDefinition: 'pulumi' });
+    
+    assert.equal(all.files.length, 3);
+    assert.equal(none.files.length, 0);
+    assert.equal(unknown.files.length, 0);
+    assert.ok(unknown.warnings.includes('Unknown table definition format "pulumi", no table definition generated'));
+});
@@ -0,0 +1,134 @@
+/**
+ * NoSQL Generator - DynamoDB Validation Tests
+ * Author: Mandela404
+ * Version: 1.0.0
+ * 
+ * These tests cover the checks of the generated DynamoDB items against the limits DynamoDB enforces:
+ * - Item size, nesting depth and number range
+ * - Sets, key attributes and duplicate primary keys
+ * - Warnings, or an error with the blockInvalidItems option
+ * 
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setLogLevel } from '../js/logger.js';
+import { generateDocuments } from '../js/nosql/core.js';
+
+setLogLevel('warning');
+
+/**
+ * Generate the DynamoDB items of a users table
+ * @param {Array<Object>} users - The users
+ * @param {Object} [options={}] - Generation options
+ * @returns {Object} The generation result
+ */
+function generateUsers(users, options = {}) {
+    return generateDocuments({ users }, 'dynamodb', 'nested', options);
+}
+
+/**
+ * Get the warnings about items DynamoDB would reject
+ * @param {Object} result - The generation result
+ * @returns {Array<string>} The warnings
+ */
+function getRejections(result) {
+    return result.warnings.filter(warning => warning.startsWith('DynamoDB would reject'));
+}
+
+/**
+ * Build a map nested a number of levels deep
+ * @param {number} levels - The number of nested maps
+ * @returns {Object} The outermost map
+ */
+function nest(levels) {
+    let value = { leaf: 1 };
+    
+    for (let level = 1; level < levels; level++) {
+        value = { child: value };
+    }
+    
+    return value;
+}
+
+test('valid items are not reported', () => {
+    const result = generateUsers([{ id: 1, name: 'Ana', tags: ['a', 'b'], address: { city: 'Luanda' } }], { stringSets: true });
+    
+    assert.deepEqual(getRejections(result), []);
+});
+
+test('items over 400 KB are reported with their size', () => {
+    const small = generateUsers([{ id: 1, bio: 'x'.repeat(399 * 1024) }]);
+    const large = generateUsers([{ id: 1, bio: 'x'.repeat(401 * 1024) }]);
+    
+    // 2 bytes for "id", 2 for the number 1, 3 for "bio" and the string itself
+    assert.deepEqual(getRejections(small), []);
+    assert.deepEqual(getRejections(large), [`DynamoDB would reject item 1 of users: ${2 + 2 + 3 + 401 * 1024} bytes is over the 400 KB item size limit`]);
+});
+
+test('attributes nested more than 32 levels deep are reported', () => {
+    const limit = generateUsers([{ id: 1, settings: nest(32) }]);
+    const tooDeep = generateUsers([{ id: 1, settings: nest(33) }]);
+    const path = ['settings', ...Array(32).fill('child')].join('.');
+    
+    assert.deepEqual(getRejections(limit), []);
+    assert.deepEqual(getRejections(tooDeep), [`DynamoDB would reject item 1 of users, ${path}: attributes cannot be nested more than 32 levels deep`]);
+});
+
+test('numbers outside the number range of DynamoDB are reported', () => {
+    const result = generateUsers([{ id: 1, large: 1e200, small: 1e-200, ok: 1e125 }]);
+    const range = '(1E-130 to 9.9999999999999999999999999999999999999E+125)';
+    
+    assert.deepEqual(getRejections(result), [
+        `DynamoDB would reject item 1 of users, large: 1e+200 is outside the number range of DynamoDB ${range}`,
+        `DynamoDB would reject item 1 of users, small: 1e-200 is outside the number range of DynamoDB ${range}`
+    ]);
+});
+
+test('empty arrays and arrays with duplicates stay lists when sets are enabled', () => {
+    const result = generateUsers([{ id: 1, tags: ['a', 'b'], empty: [], repeated: ['a', 'a'], scores: [1, 2] }], { stringSets: true });
+    
+    assert.ok(result.code.includes('tags: new Set(["a", "b"]),'));
+    assert.ok(result.code.includes('empty: [],'));
+    assert.ok(result.code.includes('repeated: ["a", "a"],'));
+    assert.ok(result.code.includes('scores: new Set([1, 2]),'));
+    assert.deepEqual(getRejections(result), []);
+});
+
+test('every number of a number set is checked', () => {
+    const result = generateUsers([{ id: 1, scores: [1e200, 2] }], { stringSets: true });
+    
+    assert.deepEqual(getRejections(result), ['DynamoDB would reject item 1 of users, scores: 1e+200 is outside the number range of DynamoDB (1E-130 to 9.9999999999999999999999999999999999999E+125)']);
+});
+
+test('key attributes must hold the declared type and cannot be empty', () => {
+    const mixed = generateUsers([{ id: 1 }, { id: 'two' }]);
+    const empty = generateUsers([{ id: 'a' }, { id: '' }]);
+    
+    assert.deepEqual(getRejections(mixed), ['DynamoDB would reject item 2 of users, id: the key attribute is declared as N but holds S']);
+    assert.deepEqual(getRejections(empty), ['DynamoDB would reject item 2 of users, id: key attributes cannot be empty']);
+});
+
+test('items with the same primary key are reported', () => {
+    const result = generateUsers([{ id: 1, name: 'Ana' }, { id: 2, name: 'Rui' }, { id: 1, name: 'Eva' }]);
+    const withSortKey = generateUsers([{ id: 1, name: 'Ana' }, { id: 1, name: 'Rui' }], { sortKey: 'name' });
+    
+    assert.deepEqual(getRejections(result), ['DynamoDB would reject item 3 of users, id: same primary key as item 1, so one overwrites the other (and a batch holding both fails)']);
+    assert.deepEqual(getRejections(withSortKey), []);
+});
+
+test('blockInvalidItems throws instead of warning and lists at most 20 violations', () => {
+    const users = Array.from({ length: 23 }, () => ({ id: 1 }));
+    
+    assert.throws(() => generateUsers(users, { blockInvalidItems: true }), error => {
+        const lines = error.message.split('\n');
+        
+        assert.equal(lines[0], 'DynamoDB would reject 22 attributes or items:');
+        assert.equal(lines.length, 1 + 20 + 1);
+        assert.equal(lines[1], '- item 2 of users, id: same primary key as item 1, so one overwrites the other (and a batch holding both fails)');
+        assert.equal(lines[21], '- and 2 more');
+        return true;
+    });
+    assert.doesNotThrow(() => generateUsers([{ id: 1 }, { id: 2 }], { blockInvalidItems: true }));
+});
@@ -0,0 +1,48 @@
+/**
+ * NoSQL Generator - Naming Tests
+ * Author: Mandela404
+ * Version: 1.0.0
+ * 
+ * These tests cover the names the generators derive from the input:
+ * - Naming conventions, for names in any script
+ * - English pluralization and singularization
+ * 
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyNamingConvention, pluralize, singularize } from '../js/nosql/naming.js';
+
+test('naming conventions keep accented letters in their word', () => {
+    assert.equal(applyNamingConvention('usuários', 'camelCase'), 'usuários');
+    assert.equal(applyNamingConvention('usuáriosAtivos', 'snake_case'), 'usuários_ativos');
+    assert.equal(applyNamingConvention('pedidos_de_ção', 'PascalCase'), 'PedidosDeÇão');
+    assert.equal(applyNamingConvention('ÉcoleNormale', 'snake_case'), 'école_normale');
+});
+
+test('naming conventions split words at case changes and separators', () => {
+    assert.equal(applyNamingConvention('first-name', 'camelCase'), 'firstName');
+    assert.equal(applyNamingConvention('HTTPServer', 'snake_case'), 'http_server');
+    assert.equal(applyNamingConvention('order items', 'PascalCase'), 'OrderItems');
+    assert.equal(applyNamingConvention('order items'), 'order items');
+});
+
+test('only the last word of a name is inflected', () => {
+    assert.equal(pluralize('orderItem'), 'orderItems');
+    assert.equal(pluralize('ORDER_ITEM'), 'ORDER_ITEMS');
+    assert.equal(singularize('UserAddresses'), 'UserAddress');
+    assert.equal(singularize('usuários'), 'usuário');
+});
+
+test('singular words ending in s are inflected', () => {
+    assert.equal(pluralize('alias'), 'aliases');
+    assert.equal(pluralize('gas'), 'gases');
+    assert.equal(pluralize('canvas'), 'canvases');
+    assert.equal(pluralize('userAlias'), 'userAliases');
+    assert.equal(singularize('alias'), 'alias');
+    assert.equal(singularize('aliases'), 'alias');
+    assert.equal(singularize('gases'), 'gas');
+    assert.equal(singularize('houses'), 'house');
+    assert.equal(pluralize('ideas'), 'ideas');
+});
@@ -0,0 +1,485 @@
+/**
+ * NoSQL Generator - Round-Trip Tests
+ * Author: Mandela404
+ * Version: 1.0.0
+ * 
+ * These tests run the generated code against stub database clients and compare
+ * the documents it writes with the documents of the generation result:
+ * - MongoDB shell, Node.js driver and PyMongo scripts, and the Mongoose module
+ * - Firestore web and Admin SDK code, one write per document and batched
+ * - DynamoDB Document Client scripts and CouchDB nano scripts
+ * 
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { setLogLevel } from '../js/logger.js';
+import { generateDocuments } from '../js/nosql/core.js';
+import { ObjectIdValue, ReferenceValue, ServerTimestampValue, GeoPointValue } from '../js/nosql/documentModel.js';
+
+setLogLevel('warning');
+
+// Keys and values that need quoting or escaping in every output language
+const TRICKY_DATA = JSON.parse(JSON.stringify([{
+    'first-name': 'O"Brien \\ back',
+    '$price': 9.5,
+    'a.b': 'line1\nline2\r\n',
+    sep: 'x\u2028y\u2029z',
+    quote: "it's `tpl` ${x}",
+    tab: '\t\b\f',
+    emoji: '😀 ünï',
+    class: 1,
+    '1abc': 2,
+    'with space': null,
+    when: '2024-05-01T10:00:00Z',
+    geo: { lat: 10, lng: 20 },
+    nested: { 'inner-key': '</script>', at: { latitude: 1, longitude: 2 }, deep: { 'x-y': [1, 'a"b'] } },
+    list: ['a\\b', 'c"d'],
+    tags: [{ 'tag-name': 'x\\y' }]
+}]).replace('"inner-key"', '"__proto__":"x","inner-key"'));
+
+// Collections with related documents, for the references and subcollections structures
+const RELATED_DATA = {
+    users: [
+        { id: 1, name: 'Ana', address: { city: 'Lisboa' }, orders: [{ id: 'o1', total: 10 }, { id: 'o2', total: 20 }] },
+        { id: 2, name: 'Rui', address: { city: 'Porto' }, orders: [] }
+    ]
+};
+
+const STRUCTURES = ['nested', 'flat', 'references', 'arrays', 'subcollections', 'singleTable'];
+
+// Marks a server timestamp written by the stub clients
+const SERVER_TIMESTAMP = { serverTimestamp: true };
+
+/**
+ * Stand-in for the ObjectId classes of the MongoDB clients
+ */
+class StubObjectId {
+    constructor(hex) {
+        this.hex = hex;
+    }
+}
+
+/**
+ * Stand-in for a Firestore document reference of the web SDK
+ */
+class StubDocumentRef {
+    constructor(collection, id) {
+        this.path = `${collection}/${id}`;
+    }
+}
+
+/**
+ * Stand-in for the GeoPoint classes of the Firestore SDKs
+ */
+class StubGeoPoint {
+    constructor(latitude, longitude) {
+        this.latitude = latitude;
+        this.longitude = longitude;
+    }
+}
+
+/**
+ * Convert written or generated values to plain JSON values that can be compared
+ * @param {*} value - A document or value
+ * @returns {*} The value with ids, references, dates and timestamps as plain markers
+ */
+function normalize(value) {
+    if (value === null || value === undefined) {
+        return null;
+    } else if (value instanceof Date) {
+        return value.toISOString();
+    } else if (value instanceof ObjectIdValue || value instanceof StubObjectId) {
+        return { $oid: value.hex };
+    } else if (value instanceof ReferenceValue) {
+        return { $ref: `${value.collection}/${value.id}` };
+    } else if (value instanceof StubDocumentRef || (typeof value.set === 'function' && value.path)) {
+        return { $ref: value.path };
+    } else if (value instanceof ServerTimestampValue || value === SERVER_TIMESTAMP) {
+        return '$timestamp';
+    } else if (value instanceof GeoPointValue || value instanceof StubGeoPoint) {
+        return { $geo: [value.latitude, value.longitude] };
+    } else if (Array.isArray(value)) {
+        return value.map(normalize);
+    } else if (typeof value === 'object') {
+        const normalized = {};
+        
+        // defineProperty keeps keys like __proto__ as own properties
+        Object.keys(value).forEach(key => {
+            Object.defineProperty(normalized, key, { value: normalize(value[key]), enumerable: true });
+        });
+        
+        return normalized;
+    }
+    
+    return value;
+}
+
+/**
+ * Sort normalized documents, as subcollection documents are written right after their parent
+ * @param {Array<Object>} documents - The normalized documents
+ * @returns {Array<Object>} The documents in a stable order
+ */
+function sortDocuments(documents) {
+    return documents
+        .map(document => [JSON.stringify(document), document])
+        .sort(([first], [second]) => (first < second ? -1 : first > second ? 1 : 0))
+        .map(([, document]) => document);
+}
+
+/**
+ * Get the documents of a generation result
+ * @param {Object} result - The generation result
+ * @returns {Array<Object>} The normalized documents, sorted
+ */
+function getExpectedDocuments(result) {
+    return sortDocuments(Object.values(result.documents).flatMap(entries => entries.map(entry => normalize(entry.data))));
+}
+
+/**
+ * Run the top-level async functions of generated code (everything but main)
+ * @param {string} code - The generated code without imports
+ * @param {Object} scope - Globals for the code, by name
+ */
+async function runFunctions(code, scope) {
+    const names = [...code.matchAll(/^async function (\w+)\(\)/gm)].map(match => match[1]).filter(name => name !== 'main');
+    const functions = new Function(...Object.keys(scope), `${code}\nreturn { ${names.join(', ')} };`)(...Object.values(scope));
+    
+    for (const name of names) {
+        await functions[name]();
+    }
+}
+
+// Console for the generated code, errors fail the test
+const quietConsole = {
+    log() {},
+    error(...args) {
+        throw new Error(args.join(' '));
+    }
+};
+
+/**
+ * Run a MongoDB shell script
+ * @param {string} code - The generated code
+ * @param {Array<Object>} written - Collects the written documents
+ */
+async function runMongoShell(code, written) {
+    const collection = () => ({
+        insertMany: docs => written.push(...docs),
+        insertOne: doc => written.push(doc),
+        createIndex: () => {}
+    });
+    const db = new Proxy({ getCollection: collection, createCollection: () => {} }, {
+        get: (target, property) => (property in target ? target[property] : collection())
+    });
+    const scope = { db, ObjectId: hex => new StubObjectId(hex), ISODate: value => new Date(value), print: () => {} };
+    
+    new Function(...Object.keys(scope), code.replace(/^use .*$/m, ''))(...Object.values(scope));
+}
+
+/**
+ * Run a MongoDB Node.js driver script
+ * @param {string} code - The generated code
+ * @param {Array<Object>} written - Collects the written documents
+ */
+async function runMongoNode(code, written) {
+    const collection = () => ({ insertMany: async docs => written.push(...docs), createIndex: async () => {} });
+    const mongodb = {
+        MongoClient: class {
+            async connect() {}
+            db() {
+                return { collection, createCollection: async () => {} };
+            }
+            async close() {}
+        },
+        ObjectId: StubObjectId
+    };
+    
+    const source = code.replace(/^main\(\)\.catch.*$/m, 'return main();');
+    await new Function('require', 'process', 'console', source)(() => mongodb, { env: {} }, quietConsole);
+}
+
+/**
+ * Run Firestore code for the modular web SDK
+ * @param {string} code - The generated code
+ * @param {Array<Object>} written - Collects the written documents
+ */
+async function runFirestoreWeb(code, written) {
+    const scope = {
+        getFirestore: () => ({}),
+        collection: (db, name) => ({ name }),
+        doc: (ref, first, second) => (second === undefined ? new StubDocumentRef(ref.name, first) : new StubDocumentRef(first, second)),
+        setDoc: async (ref, data) => written.push(data),
+        addDoc: async (ref, data) => written.push(data),
+        serverTimestamp: () => SERVER_TIMESTAMP,
+        writeBatch: () => ({ set: (ref, data) => written.push(data), commit: async () => {} }),
+        Timestamp: { fromDate: date => date },
+        GeoPoint: StubGeoPoint,
+        console: quietConsole
+    };
+    
+    await runFunctions(code.replace(/^import .*$/gm, ''), scope);
+}
+
+/**
+ * Run Firestore code for the Admin SDK
+ * @param {string} code - The generated code
+ * @param {Array<Object>} written - Collects the written documents
+ */
+async function runFirestoreAdmin(code, written) {
+    const collection = name => ({ doc: id => documentRef(name, id), add: async data => written.push(data) });
+    const documentRef = (name, id) => ({ set: async data => written.push(data), path: `${name}/${id}`, collection });
+    const db = { collection, batch: () => ({ set: (ref, data) => written.push(data), commit: async () => {} }) };
+    const firestore = {
+        getFirestore: () => db,
+        FieldValue: { serverTimestamp: () => SERVER_TIMESTAMP },
+        Timestamp: { fromDate: date => date },
+        GeoPoint: StubGeoPoint
+    };
+    const require = name => (name === 'firebase-admin/app' ? { initializeApp() {} } : firestore);
+    
+    const source = code.replace(/^main\(\)\.catch.*$/m, 'return main();');
+    await new Function('require', 'process', 'console', source)(require, { env: {} }, quietConsole);
+}
+
+/**
+ * Run a DynamoDB Document Client script
+ * @param {string} code - The generated code
+ * @param {Array<Object>} written - Collects the written items
+ */
+async function runDynamoDB(code, written) {
+    class Command {
+        constructor(input) {
+            this.input = input;
+        }
+    }
+    
+    const send = async command => {
+        if (command instanceof scope.PutCommand) {
+            written.push(command.input.Item);
+        } else if (command instanceof scope.BatchWriteCommand) {
+            Object.values(command.input.RequestItems).forEach(requests => requests.forEach(request => written.push(request.PutRequest.Item)));
+        }
+        
+        return { Items: [] };
+    };
+    
+    const scope = {
+        DynamoDBClient: class {},
+        DynamoDBDocumentClient: { from: () => ({ send }) },
+        PutCommand: class extends Command {},
+        BatchWriteCommand: class extends Command {},
+        GetCommand: Command,
+        QueryCommand: Command,
+        ScanCommand: Command,
+        ExecuteStatementCommand: Command,
+        console: quietConsole
+    };
+    
+    // Only the write functions run, the query examples would read back nothing
+    const source = code.replace(/^import .*$/gm, '').replace(/^\/\/ Query Examples[\s\S]*$/m, '');
+    await runFunctions(source, scope);
+}
+
+/**
+ * Run a CouchDB nano script
+ * @param {string} code - The generated code
+ * @param {Array<Object>} written - Collects the written documents
+ */
+async function runCouchDB(code, written) {
+    const db = {
+        insert: async doc => {
+            written.push(doc);
+            return {};
+        },
+        bulk: async ({ docs }) => {
+            written.push(...docs);
+            return [];
+        },
+        createIndex: async () => {}
+    };
+    const nano = () => ({ db: { create: async () => {} }, use: () => db });
+    
+    const source = code.replace(/^main\(\)\.catch.*$/m, 'return main();');
+    await new Function('require', 'process', 'console', source)(() => nano, { env: {} }, quietConsole);
+}
+
+/**
+ * Run a PyMongo script with stub bson and pymongo packages
+ * @param {string} code - The generated code
+ * @param {string} directory - Directory for the stub packages
+ * @returns {Array<Object>} The written documents
+ */
+function runPyMongo(code, directory) {
+    mkdirSync(join(directory, 'bson'), { recursive: true });
+    mkdirSync(join(directory, 'pymongo'), { recursive: true });
+    writeFileSync(join(directory, 'bson', '__init__.py'), 'class ObjectId:\n    def __init__(self, value): self.value = value\n');
+    writeFileSync(join(directory, 'pymongo', '__init__.py'), [
+        'import datetime, json',
+        'from bson import ObjectId',
+        'WRITTEN = []',
+        'def encode(value):',
+        '    if isinstance(value, ObjectId): return {"$oid": value.value}',
+        '    if isinstance(value, datetime.datetime): return value.strftime("%Y-%m-%dT%H:%M:%S.") + "%03dZ" % (value.microsecond // 1000)',
+        '    raise TypeError(value)',
+        'class Collection:',
+        '    def insert_many(self, docs): WRITTEN.extend(docs)',
+        '    def create_index(self, *args, **kwargs): pass',
+        'class Database:',
+        '    def __getitem__(self, name): return Collection()',
+        '    def create_collection(self, *args, **kwargs): pass',
+        'class MongoClient:',
+        '    def __init__(self, *args): pass',
+        '    def __getitem__(self, name): return Database()',
+        '    def close(self): print(json.dumps(WRITTEN, default=encode))',
+        ''
+    ].join('\n'));
+    
+    const output = execFileSync('python3', ['-c', code.replace(/^print\(.*\)$/gm, '')], {
+        env: { ...process.env, PYTHONPATH: directory },
+        encoding: 'utf8'
+    });
+    
+    return JSON.parse(output);
+}
+
+/**
+ * Check whether python3 can be run
+ * @returns {boolean} True if python3 is installed
+ */
+function hasPython() {
+    try {
+        execFileSync('python3', ['--version'], { stdio: 'ignore' });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Output variants, with the options they are generated with and the runner of their code
+const VARIANTS = [
+    { dbType: 'mongodb', options: { outputFormat: 'shell' }, run: runMongoShell },
+    { dbType: 'mongodb', options: { outputFormat: 'node' }, run: runMongoNode },
+    { dbType: 'firebase', options: { sdk: 'web', writeMode: 'single' }, run: runFirestoreWeb },
+    { dbType: 'firebase', options: { sdk: 'web', writeMode: 'batch' }, run: runFirestoreWeb },
+    { dbType: 'firebase', options: { sdk: 'admin', writeMode: 'single' }, run: runFirestoreAdmin },
+    { dbType: 'firebase', options: { sdk: 'admin', writeMode: 'batch' }, run: runFirestoreAdmin },
+    { dbType: 'dynamodb', options: {}, run: runDynamoDB },
+    { dbType: 'couchdb', options: {}, run: runCouchDB }
+];
+
+/**
+ * Get the structures a database supports
+ * @param {string} dbType - The database type
+ * @returns {Array<string>} Structure names
+ */
+function getStructures(dbType) {
+    return STRUCTURES.filter(structure => (
+        (structure !== 'subcollections' || dbType === 'firebase') &&
+        (structure !== 'singleTable' || dbType === 'dynamodb')
+    ));
+}
+
+VARIANTS.forEach(({ dbType, options, run }) => {
+    const variant = Object.values(options).join(' ');
+    
+    getStructures(dbType).forEach(structure => {
+        [TRICKY_DATA, RELATED_DATA].forEach((data, dataIndex) => {
+            [true, false].forEach(addIds => {
+                test(`${dbType} ${variant} ${structure} writes the generated documents (data ${dataIndex + 1}, ids ${addIds})`, async () => {
+                    const result = generateDocuments(data, dbType, structure, {
+                        ...options,
+                        addIds,
+                        addIndexes: true,
+                        addTimestamps: true,
+                        addValidator: true
+                    });
+                    const written = [];
+                    
+                    await run(result.code, written);
+                    
+                    assert.deepEqual(sortDocuments(normalize(written)), getExpectedDocuments(result));
+                });
+            });
+        });
+    });
+});
+
+test('mongodb python writes the generated documents', { skip: !hasPython() && 'python3 is not installed' }, () => {
+    const directory = mkdtempSync(join(tmpdir(), 'nosql-generator-'));
+    
+    try {
+        getStructures('mongodb').forEach(structure => {
+            [TRICKY_DATA, RELATED_DATA].forEach(data => {
+                const result = generateDocuments(data, 'mongodb', structure, { outputFormat: 'python', addIds: true, addIndexes: true, addTimestamps: true });
+                
+                assert.deepEqual(sortDocuments(runPyMongo(result.code, directory)), getExpectedDocuments(result), structure);
+            });
+        });
+    } finally {
+        rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+test('mongoose module builds a model per collection', () => {
+    ['nested', 'references'].forEach(structure => {
+        const result = generateDocuments(RELATED_DATA, 'mongodb', structure, { outputFormat: 'mongoose', addIds: true, addIndexes: true });
+        const models = [];
+        const module = { exports: {} };
+        
+        class Schema {
+            index() {}
+        }
+        
+        Schema.Types = { ObjectId: 'ObjectId', Mixed: 'Mixed' };
+        
+        const mongoose = { Schema, model: (name, schema, collection) => models.push(collection) };
+        new Function('require', 'module', result.code)(() => mongoose, module);
+        
+        assert.deepEqual(models, Object.keys(result.documents));
+        assert.equal(Object.keys(module.exports).length, models.length);
+    });
+});
+
+test('mongoose schemas declare the string ids kept from the input', () => {
+    const data = {
+        users: [
+            { _id: 'u1', name: 'Ana', orders: [{ _id: 'o1', total: 10 }] },
+            { _id: 'u2', name: 'Rui', orders: [{ _id: 'o2', total: 20 }] }
+        ]
+    };
+    
+    ['nested', 'references'].forEach(structure => {
+        const result = generateDocuments(data, 'mongodb', structure, { outputFormat: 'mongoose' });
+        const definitions = new Map();
+        
+        class Schema {
+            constructor(definition) {
+                this.definition = definition;
+            }
+            
+            index() {}
+        }
+        
+        Schema.Types = { ObjectId: 'ObjectId', Mixed: 'Mixed' };
+        
+        const mongoose = { Schema, model: (name, schema, collection) => definitions.set(collection, schema.definition) };
+        new Function('require', 'module', result.code)(() => mongoose, { exports: {} });
+        
+        // Mongoose casts _id to ObjectId unless the schema declares another type
+        Object.entries(result.documents).forEach(([collection, entries]) => {
+            const definition = definitions.get(collection);
+            const idType = definition._id ? definition._id.type : 'ObjectId';
+            
+            entries.forEach(({ data: document }) => {
+                const valueType = document._id instanceof ObjectIdValue ? 'ObjectId' : { string: String, number: Number }[typeof document._id];
+                assert.equal(idType, valueType, `${structure} ${collection} ${document._id}`);
+            });
+        });
+    });
+});